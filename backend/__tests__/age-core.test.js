@@ -0,0 +1,106 @@
+"use strict";
+
+/**
+ * Golden vectors for shared/age-core.js, the age calculation run by both the
+ * backend and the browser.
+ *
+ * Every vector in fixtures/age-vectors.json (calculateAge()) and
+ * fixtures/unit-vectors.json (calculateUnits(), all units) is checked three
+ * ways:
+ *  – the function as required by Node
+ *  – calculateAll() from the backend, which must add to it, not change it
+ *  – the function from the same file loaded as a plain browser script in a
+ *    fresh VM context (own globals, own Intl), the way the frontend runs it
+ *
+ * A failing vector means the two sides would disagree, or the behaviour
+ * changed; only regenerate the fixture for an intended change.
+ */
+
+process.env.NODE_ENV = "test";
+process.env.OUTPUT_DIR = "/tmp/agediff-test-golden";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const { calculateAge, calculateUnits, zonedTime } = require("../../shared/age-core");
+const { calculateAll } = require("../lib/age");
+
+const MODULE_FILE = path.join(__dirname, "../../shared/age-core.js");
+const VECTORS = require("./fixtures/age-vectors.json");
+const UNIT_VECTORS = require("./fixtures/unit-vectors.json");
+
+/** Birth instant and options of a vector, built the way the API parses them. */
+function vectorArgs({ birthday, time, now, timeZone, leapPolicy }, toInstant = zonedTime) {
+    const [year, month, day] = birthday.split("-").map(Number);
+    const [hour, minute, second] = (time || "00:00:00").split(":").map(Number);
+    return [
+        toInstant({ year, month: month - 1, day, hour, minute, second }, timeZone),
+        new Date(now),
+        { timeZone, leapPolicy, hasBirthTime: time !== null },
+    ];
+}
+
+/** The module's globals after running it as a classic <script>. */
+function loadAsBrowserScript() {
+    const context = vm.createContext({});
+    vm.runInContext(fs.readFileSync(MODULE_FILE, "utf8"), context, { filename: MODULE_FILE });
+    // Top-level functions become properties of the script's global object
+    return context;
+}
+
+afterAll(() => {
+    fs.rmSync(process.env.OUTPUT_DIR, { recursive: true, force: true });
+});
+
+describe("age-core golden vectors", () => {
+    const browser = loadAsBrowserScript();
+
+    it("has vectors with unique names", () => {
+        const names = VECTORS.map((v) => v.name);
+        expect(names.length).toBeGreaterThan(0);
+        expect(new Set(names).size).toBe(names.length);
+    });
+
+    it.each(VECTORS.map((v) => [v.name, v]))("calculateAge(): %s", (_, { input, expected }) => {
+        expect(calculateAge(...vectorArgs(input))).toEqual(expected);
+    });
+
+    it.each(VECTORS.map((v) => [v.name, v]))("calculateAll(): %s", (_, { input, expected }) => {
+        const result = calculateAll(...vectorArgs(input));
+        expect(result).toMatchObject(expected);
+        expect(result.calendar).toBeNull();
+        expect(result.units).toBeNull();
+    });
+
+    it.each(VECTORS.map((v) => [v.name, v]))("browser script: %s", (_, { input, expected }) => {
+        const result = browser.calculateAge(...vectorArgs(input, browser.zonedTime));
+        // Objects from the VM carry its own prototypes; compare them as JSON
+        expect(JSON.parse(JSON.stringify(result))).toEqual(expected);
+    });
+});
+
+describe("unit golden vectors", () => {
+    const browser = loadAsBrowserScript();
+
+    it("has vectors with unique names", () => {
+        const names = UNIT_VECTORS.map((v) => v.name);
+        expect(names.length).toBeGreaterThan(0);
+        expect(new Set(names).size).toBe(names.length);
+    });
+
+    it.each(UNIT_VECTORS.map((v) => [v.name, v]))("calculateUnits(): %s", (_, { input, expected }) => {
+        expect(calculateUnits(...vectorArgs(input))).toEqual(expected);
+    });
+
+    it.each(UNIT_VECTORS.map((v) => [v.name, v]))("calculateAll(): %s", (_, { input, expected }) => {
+        const [birthDate, now, options] = vectorArgs(input);
+        const units = expected.map((u) => u.id);
+        expect(calculateAll(birthDate, now, { ...options, units }).units).toEqual(expected);
+    });
+
+    it.each(UNIT_VECTORS.map((v) => [v.name, v]))("browser script: %s", (_, { input, expected }) => {
+        const result = browser.calculateUnits(...vectorArgs(input, browser.zonedTime));
+        expect(JSON.parse(JSON.stringify(result))).toEqual(expected);
+    });
+});
@@ -4,12 +4,17 @@
  * Test suite for the AgeDiff backend.
  *
  * Coverage:
- *  – HTTP integration tests via supertest (health, calculate, 404)
- *  – Pure-logic unit tests for calculateAll()
+ *  – HTTP integration tests via supertest (health, ready, metrics,
+ *    openapi.json and docs, responses checked against the document, calculate, batch, people,
+ *    upcoming, reminders, stream, summaries, calendar.ics, milestones, diff,
+ *    compare, eligibility, 404)
+ *  – Pure-logic unit tests for calculateAll(), including time-zone handling
+ *    and non-Gregorian calendars
  *  – fmtDate() formatting helper
  *  – writeSummaryFile() output via the API (filesystem assertions)
  *
- * No external HTTP calls are made; calculateAll() is entirely local maths.
+ * No external HTTP calls are made; calculateAll() is entirely local maths and
+ * reminder webhooks go to a stub server on 127.0.0.1.
  */
 
 // ---------------------------------------------------------------------------
@@ -18,12 +23,29 @@
 process.env.NODE_ENV = "test";
 process.env.PORT = "0";
 process.env.OUTPUT_DIR = "/tmp/agediff-test-jest";
+// Reminders go to a stub server started by the /api/reminders tests
+const REMINDER_STUB_PORT = 47913;
+process.env.REMINDER_WEBHOOK_URL = `http://127.0.0.1:${REMINDER_STUB_PORT}/hook`;
+process.env.REMINDER_MAX_ATTEMPTS = "3";
+process.env.REMINDER_RETRY_MS = "10";
+process.env.STREAM_HEARTBEAT_MS = "200";
 
 const request = require("supertest");
+const http = require("http");
 const fs = require("fs");
 const path = require("path");
 
-const { app, calculateAll, fmtDate } = require("../server");
+const { app } = require("../server");
+const { calculateAll, fmtDate } = require("../lib/age");
+const { calculateComparison } = require("../lib/compare");
+const { checkEligibility } = require("../lib/eligibility");
+const { birthFacts } = require("../lib/facts");
+const { calculateMilestones, loadMilestoneDefinitions } = require("../lib/milestones");
+const { pruneSummaries, summaryWritesSettled } = require("../lib/summaries");
+const { buildBirthdayCalendar } = require("../lib/ics");
+const { dueReminders, runReminders } = require("../lib/reminders");
+const { responseErrors, OPENAPI_OPERATIONS } = require("../lib/openapi");
+const { LEAP_POLICIES, zonedTime } = require("../../shared/age-core");
 
 const OUTPUT_DIR = process.env.OUTPUT_DIR;
 
@@ -35,6 +57,21 @@ beforeAll(() => {
     fs.mkdirSync(OUTPUT_DIR, { recursive: true });
 });
 
+/** Load a fresh copy of the server with extra env vars; throws what it throws. */
+function loadServerWith(env) {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    try {
+        let server;
+        jest.isolateModules(() => {
+            server = require("../server");
+        });
+        return server;
+    } finally {
+        process.env = saved;
+    }
+}
+
 afterAll(() => {
     try {
         fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
@@ -58,6 +95,384 @@ describe("GET /api/health", () => {
     });
 });
 
+// ===========================================================================
+// GET /api/ready
+// ===========================================================================
+
+describe("GET /api/ready", () => {
+    const { version } = require("../package.json");
+
+    it("200 ready with version, uptime, time zone and both checks", async () => {
+        await request(app).get("/api/calculate?birthday=1990-05-15");
+        await summaryWritesSettled();
+
+        const res = await request(app).get("/api/ready");
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({
+            status: "ready",
+            version,
+            timeZone: expect.any(String),
+            checks: {
+                outputDir: { ok: true, path: OUTPUT_DIR, error: null },
+                lastSummaryWrite: { ok: true, error: null },
+            },
+        });
+        expect(res.body.uptimeSeconds).toBeGreaterThanOrEqual(0);
+        expect(res.body.checks.outputDir.freeBytes).toBeGreaterThan(0);
+        expect(responseErrors("GET", "/api/ready", res.status, res.body)).toBeNull();
+        // The probe file is cleaned up
+        expect(fs.readdirSync(OUTPUT_DIR).filter((f) => f.startsWith(".ready-"))).toEqual([]);
+    });
+
+    it("503 degraded when the output directory can't be written", async () => {
+        const readOnly = jest.spyOn(fs.promises, "writeFile")
+            .mockRejectedValueOnce(new Error("EROFS: read-only file system"));
+        let res;
+        try {
+            res = await request(app).get("/api/ready");
+        } finally {
+            readOnly.mockRestore();
+        }
+
+        expect(res.status).toBe(503);
+        expect(res.body.status).toBe("degraded");
+        expect(res.body.checks.outputDir).toMatchObject({ ok: false, error: "EROFS: read-only file system" });
+        expect(responseErrors("GET", "/api/ready", res.status, res.body)).toBeNull();
+    });
+
+    it("503 after a failed summary write, until one succeeds again", async () => {
+        const full = jest.spyOn(fs.promises, "writeFile")
+            .mockRejectedValueOnce(new Error("ENOSPC: no space left on device"));
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        try {
+            await request(app).get("/api/calculate?birthday=1990-05-15");
+            await summaryWritesSettled();
+        } finally {
+            full.mockRestore();
+            console.error.mockRestore();
+        }
+
+        const degraded = await request(app).get("/api/ready");
+        expect(degraded.status).toBe(503);
+        expect(degraded.body.checks.outputDir.ok).toBe(true);
+        expect(degraded.body.checks.lastSummaryWrite).toMatchObject({
+            ok: false,
+            error: "ENOSPC: no space left on device",
+        });
+
+        await request(app).get("/api/calculate?birthday=1990-05-15");
+        await summaryWritesSettled();
+        expect((await request(app).get("/api/ready")).status).toBe(200);
+    });
+});
+
+// ===========================================================================
+// OpenAPI document, docs page and validation
+// ===========================================================================
+
+describe("OpenAPI", () => {
+    /** Assert a response matches openapi.json for the operation that sent it. */
+    const expectMatchesSpec = (res, path) => {
+        expect(responseErrors("GET", path, res.status, res.body)).toBeNull();
+    };
+
+    it("serves the document at /api/openapi.json", async () => {
+        const res = await request(app).get("/api/openapi.json");
+        expect(res.status).toBe(200);
+        expect(res.body.openapi).toBe("3.1.0");
+        expect(Object.keys(res.body.paths)).toEqual(expect.arrayContaining(["/api/health", "/api/calculate"]));
+    });
+
+    it("serves Swagger UI at /api/docs, pointed at the document", async () => {
+        const page = await request(app).get("/api/docs");
+        expect(page.status).toBe(200);
+        expect(page.headers["content-type"]).toMatch(/text\/html/);
+        expect(page.text).toContain('src="/api/docs/swagger-ui-bundle.js"');
+
+        const init = await request(app).get("/api/docs/init.js");
+        expect(init.text).toContain('url: "/api/openapi.json"');
+
+        const bundle = await request(app).get("/api/docs/swagger-ui-bundle.js");
+        expect(bundle.status).toBe(200);
+        expect(bundle.headers["content-type"]).toMatch(/javascript/);
+    });
+
+    it("documents the leap-day policies the API accepts", async () => {
+        const { body } = await request(app).get("/api/openapi.json");
+        expect(body.components.schemas.LeapPolicy.enum).toEqual(LEAP_POLICIES);
+    });
+
+    it("documents every /api route", () => {
+        // Layers of the app and of the feature routers mounted on it
+        const layers = (stack) => stack.flatMap((layer) =>
+            layer.handle.stack ? layers(layer.handle.stack) : [layer]);
+        const routes = layers(app._router.stack)
+            .filter((layer) => layer.route?.path.startsWith("/api/"))
+            .flatMap((layer) =>
+                Object.keys(layer.route.methods).map((method) => `${method.toUpperCase()} ${layer.route.path}`)
+            );
+        const documented = OPENAPI_OPERATIONS.map((op) => `${op.method} ${op.route}`);
+        expect(routes.length).toBeGreaterThan(20);
+        expect(routes.filter((route) => !documented.includes(route))).toEqual([]);
+    });
+
+    it("health responses match the document", async () => {
+        expectMatchesSpec(await request(app).get("/api/health"), "/api/health");
+    });
+
+    it.each([
+        ["a plain birthday", "birthday=1990-05-15"],
+        ["a time, calendar, units and asOf", "birthday=1985-07-04&time=06:15&calendar=hebrew&units=all&asOf=2026-07-03T12:00"],
+        ["the birthday itself", "birthday=1985-07-04&asOf=2026-07-04"],
+        ["a 29 February birthday, leap-only", "birthday=1996-02-29&leapPolicy=leap-only&lang=nl"],
+        ["a birth year without a generation", "birthday=1850-03-01"],
+    ])("calculate responses match the document: %s", async (_, query) => {
+        const res = await request(app).get(`/api/calculate?${query}`);
+        expect(res.status).toBe(200);
+        expectMatchesSpec(res, "/api/calculate");
+    });
+
+    it.each([
+        ["/api/milestones", "birthday=1990-05-15T10:00&lang=fr"],
+        ["/api/diff", "from=2020-01-01&to=1990-05-15"],
+        ["/api/compare", "birthdayA=1990-05-15&birthdayB=1993-06-01&nameA=Ann"],
+        ["/api/eligibility", "birthday=2000-02-29&minAge=18&maxAge=65&leapPolicy=feb28"],
+        ["/api/people", ""],
+        ["/api/upcoming", "days=366"],
+        ["/api/summaries", ""],
+        ["/api/reminders", ""],
+    ])("%s responses match the document", async (path, query) => {
+        const res = await request(app).get(`${path}?${query}`);
+        expect(res.status).toBe(200);
+        expectMatchesSpec(res, path);
+    });
+
+    it("batch responses match the document", async () => {
+        const res = await request(app)
+            .post("/api/calculate/batch")
+            .send([{ name: "Ada", birthday: "1990-05-15" }, { name: "Bad", birthday: "1990-02-30" }]);
+        expect(res.status).toBe(200);
+        expect(responseErrors("POST", "/api/calculate/batch", 200, res.body)).toBeNull();
+    });
+
+    it("error responses match the document", async () => {
+        const res = await request(app).get("/api/calculate?birthday=2999-01-01");
+        expect(res.status).toBe(400);
+        expectMatchesSpec(res, "/api/calculate");
+    });
+
+    it("reports a response that breaks the document", () => {
+        expect(responseErrors("GET", "/api/health", 200, { status: "up" })).toMatch(/timestamp/);
+        expect(responseErrors("GET", "/api/calculate", 400, { error: "x" })).toMatch(/required property/);
+        // Undocumented operations and statuses aren't checked
+        expect(responseErrors("GET", "/api/stream", 200, {})).toBeNull();
+        expect(responseErrors("GET", "/api/health", 503, {})).toBeNull();
+    });
+
+    it("400 from the schema for a repeated parameter", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-15&birthday=1991-05-15");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/^birthday parameter is required in YYYY-MM-DD format/);
+    });
+
+    it("builds the message from the schema when a parameter has no x-error", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-15&leapPolicy=never");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe("leapPolicy must be one of feb28, mar1, leap-only.");
+
+        const tz = await request(app).get("/api/calculate?birthday=1990-05-15&tz=a&tz=b");
+        expect(tz.status).toBe(400);
+        expect(tz.body.error).toBe("tz parameter must be string.");
+    });
+});
+
+// ===========================================================================
+// Error responses (RFC 7807 application/problem+json)
+// ===========================================================================
+
+describe("Problem responses", () => {
+    const expectProblem = (res, status, code, param = null) => {
+        expect(res.status).toBe(status);
+        expect(res.headers["content-type"]).toMatch(/^application\/problem\+json/);
+        expect(res.body).toMatchObject({
+            type: `urn:agediff:problem:${code.toLowerCase().replace(/_/g, "-")}`,
+            status,
+            code,
+            param,
+            requestId: res.headers["x-request-id"],
+        });
+        expect(res.body.title).toEqual(expect.any(String));
+        expect(res.body.detail).toBe(res.body.error);
+    };
+
+    it.each([
+        ["a malformed date", "birthday=15-05-1990", "INVALID_FORMAT", "birthday"],
+        ["a malformed time", "birthday=1990-05-15&time=noon", "INVALID_FORMAT", "time"],
+        ["a date that doesn't exist", "birthday=1990-02-30", "IMPOSSIBLE_DATE", "birthday"],
+        ["a time of day that doesn't exist", "birthday=1990-02-03T24:00", "IMPOSSIBLE_DATE", "birthday"],
+        ["a separate time that doesn't exist", "birthday=1990-02-03&time=10:60", "IMPOSSIBLE_DATE", "time"],
+        ["a future birthday", "birthday=2999-01-01", "FUTURE_DATE", "birthday"],
+        ["a birthday after asOf", "birthday=2000-01-01&asOf=1999-12-31", "FUTURE_DATE", "birthday"],
+        ["an unknown leap policy", "birthday=1990-05-15&leapPolicy=never", "INVALID_VALUE", "leapPolicy"],
+        ["an unknown time zone", "birthday=1990-05-15&tz=Mars/Olympus", "INVALID_VALUE", "tz"],
+        ["an unknown language", "birthday=1990-05-15&lang=de", "INVALID_VALUE", "lang"],
+    ])("/api/calculate: %s", async (_, query, code, param) => {
+        expectProblem(await request(app).get(`/api/calculate?${query}`), 400, code, param);
+    });
+
+    it("other routes use the same codes", async () => {
+        expectProblem(await request(app).get("/api/diff?from=2020-01-01&to=2020-13-01"), 400, "IMPOSSIBLE_DATE", "to");
+        expectProblem(await request(app).get("/api/upcoming?days=0"), 400, "INVALID_VALUE", "days");
+        expectProblem(
+            await request(app).get("/api/compare?birthdayA=1990-01-01&birthdayB=2999-01-01"),
+            400, "FUTURE_DATE", "birthdayB"
+        );
+        expectProblem(
+            await request(app).post("/api/people").send({ name: "", birthday: "1990-01-01" }),
+            400, "INVALID_VALUE", "name"
+        );
+    });
+
+    it("404 for unknown routes and missing records", async () => {
+        expectProblem(await request(app).get("/api/nope"), 404, "NOT_FOUND");
+        expectProblem(await request(app).get("/api/people/does-not-exist"), 404, "NOT_FOUND");
+    });
+
+    it("400 for a body that isn't JSON, 413 for one that is too large", async () => {
+        const bad = await request(app)
+            .post("/api/people")
+            .set("Content-Type", "application/json")
+            .send("{ not json");
+        expectProblem(bad, 400, "INVALID_FORMAT");
+
+        const big = await request(app)
+            .post("/api/calculate/batch")
+            .set("Content-Type", "text/csv")
+            .send("name,birthday\n" + "x,1990-01-01\n".repeat(100_000));
+        expectProblem(big, 413, "PAYLOAD_TOO_LARGE");
+    });
+
+    it("uses the caller's X-Request-Id when it is safe, else a new one", async () => {
+        const given = await request(app).get("/api/nope").set("X-Request-Id", "abc-123");
+        expect(given.body.requestId).toBe("abc-123");
+        expect(given.headers["x-request-id"]).toBe("abc-123");
+
+        const unsafe = await request(app).get("/api/nope").set("X-Request-Id", "a b<c>");
+        expect(unsafe.body.requestId).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it("429 RATE_LIMITED once the limiter trips (not applied under NODE_ENV=test)", async () => {
+        let limited;
+        jest.isolateModules(() => {
+            process.env.NODE_ENV = "production";
+            ({ app: limited } = require("../server"));
+            process.env.NODE_ENV = "test";
+        });
+
+        let res;
+        for (let i = 0; i <= 60; i++) res = await request(limited).get("/api/health");
+        expectProblem(res, 429, "RATE_LIMITED");
+        expect(res.body.detail).toMatch(/too many requests/i);
+    });
+});
+
+// ===========================================================================
+// GET /api/metrics
+// ===========================================================================
+
+describe("GET /api/metrics", () => {
+    /** Value of the first sample of `name` carrying all `labels` (0 if none). */
+    const sample = (text, name, labels = {}) => {
+        const line = text.split("\n").find((l) =>
+            (l.startsWith(`${name}{`) || l.startsWith(`${name} `)) &&
+            Object.entries(labels).every(([key, value]) => l.includes(`${key}="${value}"`))
+        );
+        return line ? Number(line.split(" ").pop()) : 0;
+    };
+    const scrape = async (target = app) => (await request(target).get("/api/metrics")).text;
+
+    it("serves the Prometheus text format with process stats", async () => {
+        const res = await request(app).get("/api/metrics");
+        expect(res.status).toBe(200);
+        expect(res.headers["content-type"]).toMatch(/^text\/plain;.*version=0\.0\.4/);
+        expect(res.text).toContain("# TYPE agediff_http_requests_total counter");
+        expect(res.text).toContain("# TYPE agediff_http_request_duration_seconds histogram");
+        expect(res.text).toContain("# TYPE agediff_rate_limit_rejections_total counter");
+        expect(res.text).toContain("# TYPE agediff_summary_writes_total counter");
+        expect(sample(res.text, "process_cpu_user_seconds_total")).toBeGreaterThan(0);
+        expect(sample(res.text, "nodejs_heap_size_used_bytes")).toBeGreaterThan(0);
+    });
+
+    it("counts and times requests per route pattern and status", async () => {
+        const health = { method: "GET", route: "/api/health", status: 200 };
+        const person = { method: "GET", route: "/api/people/:id", status: 404 };
+        const before = await scrape();
+
+        await request(app).get("/api/health");
+        await request(app).get("/api/health");
+        await request(app).get("/api/people/does-not-exist");
+        await request(app).get("/api/nope");
+
+        const after = await scrape();
+        const delta = (name, labels) => sample(after, name, labels) - sample(before, name, labels);
+        expect(delta("agediff_http_requests_total", health)).toBe(2);
+        expect(delta("agediff_http_request_duration_seconds_count", health)).toBe(2);
+        expect(delta("agediff_http_requests_total", person)).toBe(1);
+        expect(delta("agediff_http_requests_total", { route: "unmatched", status: 404 })).toBe(1);
+        // Ids are folded into the pattern, not a series each
+        expect(after).not.toContain("does-not-exist");
+    });
+
+    it("labels requests rejected before routing with their documented route", async () => {
+        const labels = { method: "GET", route: "/api/calculate", status: 400 };
+        const before = sample(await scrape(), "agediff_http_requests_total", labels);
+        const res = await request(app).get("/api/calculate?birthday=15-05-1990");
+        expect(res.body.code).toBe("INVALID_FORMAT");
+        expect(sample(await scrape(), "agediff_http_requests_total", labels)).toBe(before + 1);
+    });
+
+    it("counts summary file writes that succeed and fail", async () => {
+        const before = await scrape();
+
+        await request(app).get("/api/calculate?birthday=1990-05-15");
+        await summaryWritesSettled();
+
+        const failing = jest.spyOn(fs.promises, "writeFile").mockRejectedValueOnce(new Error("disk full"));
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        try {
+            await request(app).get("/api/calculate?birthday=1990-05-15");
+            await summaryWritesSettled();
+        } finally {
+            failing.mockRestore();
+            console.error.mockRestore();
+        }
+
+        const after = await scrape();
+        const delta = (result) =>
+            sample(after, "agediff_summary_writes_total", { result }) -
+            sample(before, "agediff_summary_writes_total", { result });
+        expect(delta("success")).toBe(1);
+        expect(delta("failure")).toBe(1);
+    });
+
+    it("counts rate-limit rejections and is never limited itself", async () => {
+        let limited;
+        jest.isolateModules(() => {
+            process.env.NODE_ENV = "production";
+            ({ app: limited } = require("../server"));
+            process.env.NODE_ENV = "test";
+        });
+
+        for (let i = 0; i <= 61; i++) await request(limited).get("/api/health");
+        for (let i = 0; i <= 61; i++) await request(limited).get("/api/metrics");
+
+        const res = await request(limited).get("/api/metrics");
+        expect(res.status).toBe(200);
+        expect(sample(res.text, "agediff_rate_limit_rejections_total")).toBe(2);
+        expect(sample(res.text, "agediff_http_requests_total", { route: "/api/health", status: 429 })).toBe(2);
+    });
+});
+
 // ===========================================================================
 // GET /api/calculate – input validation
 // ===========================================================================
@@ -214,232 +629,2180 @@ describe("GET /api/calculate – success", () => {
 });
 
 // ===========================================================================
-// calculateAll() – unit tests (pure logic, no HTTP, fixed timestamps)
+// GET /api/calculate – birth time
 // ===========================================================================
 
-describe("calculateAll() – component arithmetic", () => {
-    it("simple case: no borrowing needed", () => {
-        const birthDate = new Date(2000, 0, 1, 0, 0, 0); // Jan 1, 2000 00:00:00
-        const now = new Date(2026, 5, 15, 10, 30, 45);   // June 15, 2026 10:30:45
+describe("GET /api/calculate – birth time", () => {
+    it("accepts a time appended to the birthday", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-14T08:32&tz=UTC");
+        expect(res.status).toBe(200);
+        expect(res.body.birthday).toBe("1990-05-14");
+        expect(res.body.birthTime).toBe("08:32:00");
+    });
 
-        const r = calculateAll(birthDate, now);
+    it("accepts the time as a separate parameter, with seconds", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-14&time=08:32:15&tz=UTC");
+        expect(res.status).toBe(200);
+        expect(res.body.birthTime).toBe("08:32:15");
+    });
 
-        expect(r.sinceBirth.components.years).toBe(26);
-        expect(r.sinceBirth.components.months).toBe(5);
-        expect(r.sinceBirth.components.days).toBe(14);
-        expect(r.sinceBirth.components.hours).toBe(10);
-        expect(r.sinceBirth.components.minutes).toBe(30);
-        expect(r.sinceBirth.components.seconds).toBe(45);
+    it("birthTime is null when no time is given", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-14");
+        expect(res.status).toBe(200);
+        expect(res.body.birthTime).toBeNull();
     });
 
-    it("borrows days from previous month when days go negative", () => {
-        // May 20 → June 10: days = 10 - 20 = -10 → borrow May (31 days) → 21, months = 0
-        const birthDate = new Date(2000, 4, 20); // May 20, 2000
-        const now = new Date(2026, 5, 10);       // June 10, 2026
+    it("the time of birth shifts the sub-day components", async () => {
+        const plain = await request(app).get("/api/calculate?birthday=1990-05-14&tz=UTC");
+        const timed = await request(app).get("/api/calculate?birthday=1990-05-14&time=00:00:30&tz=UTC");
+        expect(timed.status).toBe(200);
+        // 30 s later birth means 30 s less elapsed (allowing for a clock tick between requests)
+        const delta = plain.body.sinceBirth.totals.seconds - timed.body.sinceBirth.totals.seconds;
+        expect(delta).toBeGreaterThanOrEqual(29);
+        expect(delta).toBeLessThanOrEqual(31);
+    });
 
-        const r = calculateAll(birthDate, now);
+    it("400 for a malformed time", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-14&time=8h32");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/HH:MM/);
+    });
 
-        expect(r.sinceBirth.components.months).toBe(0);
-        expect(r.sinceBirth.components.days).toBe(21);
+    it("400 for a malformed time suffix on the birthday", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-14T8:32");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/YYYY-MM-DD/);
     });
 
-    it("borrows months from years when months go negative", () => {
-        // Sep 15 → Feb 24: months = 1 - 8 = -7 → months = 5, years--
-        const birthDate = new Date(2000, 8, 15); // Sep 15, 2000
-        const now = new Date(2026, 1, 24);       // Feb 24, 2026
+    it("400 for an impossible time of day", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-14T24:10");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/invalid time of day/i);
+    });
 
-        const r = calculateAll(birthDate, now);
+    it("400 for an impossible minute", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-14&time=10:60");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/invalid time of day/i);
+    });
 
-        expect(r.sinceBirth.components.years).toBe(25);
-        expect(r.sinceBirth.components.months).toBe(5);
-        expect(r.sinceBirth.components.days).toBe(9);
+    it("400 when the time is given twice", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-14T08:32&time=08:32");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/not both/i);
     });
+});
 
-    it("borrows seconds from minutes when seconds go negative", () => {
-        // 10:30:45 → 10:31:30: seconds = -15 → 45, minutes--  → 0
-        const birthDate = new Date(2000, 0, 1, 10, 30, 45);
-        const now = new Date(2026, 0, 1, 10, 31, 30);
+// ===========================================================================
+// GET /api/calculate – asOf reference date
+// ===========================================================================
 
-        const r = calculateAll(birthDate, now);
+describe("GET /api/calculate – asOf", () => {
+    it("calculates the age on a future date", async () => {
+        const res = await request(app).get("/api/calculate?birthday=2000-09-15&asOf=2027-09-01&tz=UTC");
+        expect(res.status).toBe(200);
+        expect(res.body.asOf).toBe("2027-09-01");
+        expect(res.body.sinceBirth.components).toMatchObject({ years: 26, months: 11, days: 17 });
+        expect(res.body.nextBirthdayDate).toBe("2027-09-15");
+        expect(res.body.untilNextBirthday.totals.days).toBe(14);
+    });
 
-        expect(r.sinceBirth.components.minutes).toBe(0);
-        expect(r.sinceBirth.components.seconds).toBe(45);
+    it("calculates the age on a past date, with a time of day", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-14&asOf=2010-05-14T12:00&tz=UTC");
+        expect(res.status).toBe(200);
+        expect(res.body.asOf).toBe("2010-05-14T12:00:00");
+        expect(res.body.isBirthday).toBe(true);
+        expect(res.body.turningAge).toBe(20);
+        expect(res.body.sinceBirth.components.hours).toBe(12);
     });
 
-    it("borrows minutes from hours when minutes go negative", () => {
-        // 10:05:00 → 11:03:00: minutes = 3 - 5 = -2 → 58, hours = 0
-        const birthDate = new Date(2000, 0, 1, 10, 5, 0);
-        const now = new Date(2026, 0, 1, 11, 3, 0);
+    it("calculatedAt stays the real time of the request", async () => {
+        const before = Date.now();
+        const res = await request(app).get("/api/calculate?birthday=1990-05-14&asOf=2040-01-01");
+        expect(Date.parse(res.body.calculatedAt)).toBeGreaterThanOrEqual(before - 1000);
+        expect(Date.parse(res.body.calculatedAt)).toBeLessThanOrEqual(Date.now());
+    });
 
-        const r = calculateAll(birthDate, now);
+    it("asOf is null without the parameter", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-14");
+        expect(res.body.asOf).toBeNull();
+    });
 
-        expect(r.sinceBirth.components.hours).toBe(0);
-        expect(r.sinceBirth.components.minutes).toBe(58);
+    it("accepts a birthday in the future when asOf is later still", async () => {
+        const year = new Date().getFullYear() + 2;
+        const res = await request(app).get(`/api/calculate?birthday=${year}-01-01&asOf=${year + 18}-06-01&tz=UTC`);
+        expect(res.status).toBe(200);
+        expect(res.body.sinceBirth.components.years).toBe(18);
     });
 
-    it("borrows hours from days when hours go negative", () => {
-        // Day 10, 8:00 → Day 11, 6:00: hours = 6 - 8 = -2 → 22, days = 0
-        const birthDate = new Date(2000, 0, 10, 8, 0, 0);
-        const now = new Date(2026, 0, 11, 6, 0, 0);
+    it("400 when the birthday is after asOf", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-14&asOf=1990-05-13");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe("Birthday must be on or before asOf.");
+    });
 
-        const r = calculateAll(birthDate, now);
+    it("400 for a malformed asOf", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-14&asOf=next-year");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/^asOf parameter is required in YYYY-MM-DD format/);
+    });
 
-        expect(r.sinceBirth.components.days).toBe(0);
-        expect(r.sinceBirth.components.hours).toBe(22);
+    it("labels the summary with the reference date", async () => {
+        await request(app).get("/api/calculate?birthday=1990-05-14&asOf=2027-09-01&tz=UTC&format=txt,csv");
+        await summaryWritesSettled();
+        expect(fs.readFileSync(path.join(OUTPUT_DIR, "age_summary.txt"), "utf8"))
+            .toMatch(/As of: +September 1, 2027/);
+        expect(fs.readFileSync(path.join(OUTPUT_DIR, "age_summary.csv"), "utf8"))
+            .toContain("info,As of,2027-09-01");
     });
 });
 
-describe("calculateAll() – totals", () => {
-    it("exactly one day difference gives correct totals", () => {
-        const birthDate = new Date(2025, 0, 1); // Jan 1, 2025 00:00:00
-        const now = new Date(2025, 0, 2);       // Jan 2, 2025 00:00:00
-
-        const r = calculateAll(birthDate, now);
+// ===========================================================================
+// GET /api/calculate – alternative units
+// ===========================================================================
 
-        expect(r.sinceBirth.totals.days).toBe(1);
-        expect(r.sinceBirth.totals.hours).toBe(24);
-        expect(r.sinceBirth.totals.minutes).toBe(1440);
-        expect(r.sinceBirth.totals.seconds).toBe(86400);
+describe("GET /api/calculate – units", () => {
+    it("units is null unless asked for", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-14");
+        expect(res.body.units).toBeNull();
     });
 
-    it("exactly one hour gives correct totals", () => {
-        const birthDate = new Date(2025, 0, 1, 10, 0, 0);
-        const now = new Date(2025, 0, 1, 11, 0, 0);
+    it("returns the requested units in display order", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-14&units=mars,weeks&tz=UTC");
+        expect(res.status).toBe(200);
+        expect(res.body.units.map((u) => u.id)).toEqual(["weeks", "mars"]);
+        expect(res.body.units[1]).toMatchObject({ label: "Mars years", group: "planets" });
+    });
 
-        const r = calculateAll(birthDate, now);
+    it("accepts group names and all", async () => {
+        const planets = await request(app).get("/api/calculate?birthday=1990-05-14&units=planets");
+        expect(planets.body.units.map((u) => u.id)).toEqual(
+            ["mercury", "venus", "mars", "jupiter", "saturn", "uranus", "neptune"]
+        );
+        const all = await request(app).get("/api/calculate?birthday=1990-05-14&units=all");
+        expect(all.body.units).toHaveLength(11);
+    });
 
-        expect(r.sinceBirth.totals.hours).toBe(1);
-        expect(r.sinceBirth.totals.minutes).toBe(60);
-        expect(r.sinceBirth.totals.seconds).toBe(3600);
+    it("400 for an unknown unit", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-14&units=weeks,pluto");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/^units must be a comma-separated list of all, time, planets, weeks/);
     });
+});
 
-    it("totalMonths accounts for partial month (day not yet reached)", () => {
-        // Feb 28, 2000 → Feb 27, 2026: birthday not yet reached this month
-        const birthDate = new Date(2000, 1, 28); // Feb 28, 2000
-        const now = new Date(2026, 1, 27);       // Feb 27, 2026
+// ===========================================================================
+// GET /api/calculate – birth facts
+// ===========================================================================
 
-        const r = calculateAll(birthDate, now);
+describe("GET /api/calculate – facts", () => {
+    it("adds a facts block about the day of birth", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-14&tz=UTC");
+        expect(res.status).toBe(200);
+        expect(res.body.facts).toEqual({
+            weekday: { id: "monday", name: "Monday" },
+            dayOfYear: 134,
+            isoWeek: { year: 1990, week: 20 },
+            westernZodiac: { id: "taurus", name: "Taurus", symbol: "♉" },
+            chineseZodiac: { id: "horse", name: "Horse", element: { id: "metal", name: "Metal" } },
+            birthstone: { id: "emerald", name: "Emerald" },
+            birthFlower: { id: "lily-of-the-valley", name: "Lily of the valley" },
+            generation: { id: "millennials", name: "Millennials", from: 1981, to: 1996 },
+        });
+    });
 
-        // 25 full years × 12 = 300, plus 11 full months = 311
-        expect(r.sinceBirth.totals.months).toBe(311);
+    it("names follow the request language", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-05-14&tz=UTC&lang=nl");
+        expect(res.body.facts.weekday.name).toBe("maandag");
+        expect(res.body.facts.westernZodiac.name).toBe("Stier");
+        expect(res.body.facts.chineseZodiac.name).toBe("Paard");
     });
 
-    it("totalMonths includes the current month when day is reached", () => {
-        // Feb 28, 2000 → Feb 28, 2026: birthday exactly reached today
-        const birthDate = new Date(2000, 1, 28); // Feb 28, 2000
-        const now = new Date(2026, 1, 28);       // Feb 28, 2026
+    it("writes an About Your Birthday section to the summary", async () => {
+        await request(app).get("/api/calculate?birthday=1990-05-14&tz=UTC&format=txt,csv");
+        await summaryWritesSettled();
+        const txt = fs.readFileSync(path.join(OUTPUT_DIR, "age_summary.txt"), "utf8");
+        expect(txt).toContain("-- About Your Birthday");
+        expect(txt).toMatch(/Weekday: +Monday/);
+        expect(txt).toMatch(/Chinese zodiac: +Horse \(Metal\)/);
+        expect(fs.readFileSync(path.join(OUTPUT_DIR, "age_summary.csv"), "utf8"))
+            .toContain("facts,westernZodiac,taurus");
+    });
+});
 
-        const r = calculateAll(birthDate, now);
+// ===========================================================================
+// GET /api/calculate – leap-day policy
+// ===========================================================================
 
-        // Exactly 26 years = 312 months
-        expect(r.sinceBirth.totals.months).toBe(312);
+describe("GET /api/calculate – leap-day policy", () => {
+    it("reports the default policy (mar1)", async () => {
+        const res = await request(app).get("/api/calculate?birthday=2000-02-29");
+        expect(res.status).toBe(200);
+        expect(res.body.leapPolicy).toBe("mar1");
     });
 
-    it("totals are in correct ascending order (seconds > minutes > hours > days)", () => {
-        const birthDate = new Date(1990, 0, 1);
-        const now = new Date(2026, 1, 24, 12, 0, 0);
+    it("applies the leapPolicy query parameter", async () => {
+        const res = await request(app).get("/api/calculate?birthday=2000-02-29&leapPolicy=leap-only");
+        expect(res.status).toBe(200);
+        expect(res.body.leapPolicy).toBe("leap-only");
+        if (!res.body.isBirthday) {
+            expect(res.body.nextBirthdayDate).toMatch(/-02-29$/);
+        }
+    });
 
-        const r = calculateAll(birthDate, now);
-        const t = r.sinceBirth.totals;
+    it.each([
+        ["feb28", "2025-02-28", 17, { years: 17, months: 0, days: 0 }],
+        ["feb28", "2025-03-01", null, { years: 17, months: 0, days: 1 }],
+        ["mar1", "2025-02-28", null, { years: 16, months: 11, days: 30 }],
+        ["mar1", "2025-03-01", 17, { years: 17, months: 0, days: 0 }],
+    ])("%s on %s: the age rolls over on the observed birthday", async (policy, asOf, turningAge, components) => {
+        const res = await request(app)
+            .get(`/api/calculate?birthday=2008-02-29&asOf=${asOf}T12:00&tz=UTC&leapPolicy=${policy}`);
+        expect(res.status).toBe(200);
+        expect(res.body.turningAge).toBe(turningAge);
+        expect(res.body.sinceBirth.components).toMatchObject(components);
+        expect(res.body.sinceBirth.totals.years).toBe(components.years);
+    });
 
-        expect(t.seconds).toBeGreaterThan(t.minutes);
-        expect(t.minutes).toBeGreaterThan(t.hours);
-        expect(t.hours).toBeGreaterThan(t.days);
-        expect(t.days).toBeGreaterThan(t.months);
-        expect(t.months).toBeGreaterThan(t.years);
+    it("refuses to start with an unknown LEAP_DAY_POLICY", () => {
+        expect(() => loadServerWith({ LEAP_DAY_POLICY: "never" })).toThrow(/LEAP_DAY_POLICY/);
+        expect(loadServerWith({ LEAP_DAY_POLICY: "feb28" }).app).toBeDefined();
+    });
+
+    it("400 for an unknown leapPolicy", async () => {
+        const res = await request(app).get("/api/calculate?birthday=2000-02-29&leapPolicy=never");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/feb28, mar1, leap-only/);
     });
 });
 
-describe("calculateAll() – isBirthday and turningAge", () => {
-    it("isBirthday=true when month and day match", () => {
-        const birthDate = new Date(1990, 1, 24); // Feb 24, 1990
-        const now = new Date(2026, 1, 24);       // Feb 24, 2026
+// ===========================================================================
+// GET /api/calculate – time zones
+// ===========================================================================
+
+describe("GET /api/calculate – time zones", () => {
+    it("echoes the tz query parameter as timeZone", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-06-15&tz=Europe/Brussels");
+        expect(res.status).toBe(200);
+        expect(res.body.timeZone).toBe("Europe/Brussels");
+    });
+
+    it("falls back to the X-Timezone header when tz is absent", async () => {
+        const res = await request(app)
+            .get("/api/calculate?birthday=1990-06-15")
+            .set("X-Timezone", "Australia/Sydney");
+        expect(res.status).toBe(200);
+        expect(res.body.timeZone).toBe("Australia/Sydney");
+    });
+
+    it("tz query parameter wins over the X-Timezone header", async () => {
+        const res = await request(app)
+            .get("/api/calculate?birthday=1990-06-15&tz=America/Los_Angeles")
+            .set("X-Timezone", "Australia/Sydney");
+        expect(res.status).toBe(200);
+        expect(res.body.timeZone).toBe("America/Los_Angeles");
+    });
+
+    it("uses the configured default zone when none is given", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-06-15");
+        expect(res.status).toBe(200);
+        expect(res.body.timeZone).toBe(Intl.DateTimeFormat().resolvedOptions().timeZone);
+    });
+
+    it("refuses to start with an unknown DEFAULT_TZ", () => {
+        expect(() => loadServerWith({ DEFAULT_TZ: "Mars/Olympus_Mons" })).toThrow(/DEFAULT_TZ/);
+        expect(loadServerWith({ DEFAULT_TZ: "Asia/Tokyo" }).app).toBeDefined();
+    });
+
+    it("400 for an unknown time zone", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-06-15&tz=Mars/Olympus_Mons");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/time zone/i);
+    });
+
+    it("isBirthday follows the calendar day in the requested zone", async () => {
+        // Somewhere on Earth it is always a different date than in another zone
+        const nowMs = Date.now();
+        const ymd = (tz) => new Intl.DateTimeFormat("en-CA", { timeZone: tz }).format(nowMs);
+        const kiritimati = ymd("Pacific/Kiritimati"); // UTC+14
+        const bd = `1990${kiritimati.slice(4)}`;
+
+        const res = await request(app).get(`/api/calculate?birthday=${bd}&tz=Pacific/Kiritimati`);
+        expect(res.status).toBe(200);
+        expect(res.body.isBirthday).toBe(true);
+
+        if (ymd("Pacific/Pago_Pago") !== kiritimati) { // UTC-11
+            const res2 = await request(app).get(`/api/calculate?birthday=${bd}&tz=Pacific/Pago_Pago`);
+            expect(res2.status).toBe(200);
+            expect(res2.body.isBirthday).toBe(false);
+        }
+    });
+});
+
+// ===========================================================================
+// GET /api/calculate – non-Gregorian calendars
+// ===========================================================================
+
+describe("GET /api/calculate – calendars", () => {
+    it("calendar is null by default", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-06-15");
+        expect(res.status).toBe(200);
+        expect(res.body.calendar).toBeNull();
+    });
+
+    it("adds the birthday in the requested calendar", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-06-15&tz=UTC&calendar=hebrew");
+        expect(res.status).toBe(200);
+        expect(res.body.calendar.id).toBe("hebrew");
+        expect(res.body.calendar.birthDate).toEqual({
+            year: 5750, month: "Sivan", day: 22, formatted: "22 Sivan 5750",
+        });
+        expect(res.body.calendar.nextBirthday.date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+        expect(res.body.calendar.untilNextBirthday.totals.days).toBeLessThan(385);
+    });
+
+    it("400 for an unknown calendar", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-06-15&calendar=mayan");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/calendar must be one of gregory, hebrew, islamic, persian, chinese/);
+    });
+});
+
+// ===========================================================================
+// GET /api/stream (Server-Sent Events)
+// ===========================================================================
+
+describe("GET /api/stream", () => {
+    let server;
+    let base;
+
+    beforeAll((done) => {
+        server = app.listen(0, "127.0.0.1", () => {
+            base = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    // Read the stream until `until(text)` holds, then hang up
+    const readStream = (query, until) => new Promise((resolve, reject) => {
+        const req = http.get(`${base}/api/stream?${query}`, (res) => {
+            let text = "";
+            res.setEncoding("utf8");
+            res.on("data", (chunk) => {
+                text += chunk;
+                if (until(text)) {
+                    req.destroy();
+                    resolve({ res, text });
+                }
+            });
+        });
+        req.on("error", reject);
+    });
+
+    const events = (text) => text.split("\n\n").filter((block) => block.includes("event: age"));
+
+    it("pushes a calculateAll() result every interval", async () => {
+        const { res, text } = await readStream(
+            "birthday=1990-06-15&tz=UTC&interval=1",
+            (t) => events(t).length >= 2
+        );
+        expect(res.statusCode).toBe(200);
+        expect(res.headers["content-type"]).toMatch(/text\/event-stream/);
+        expect(res.headers["cache-control"]).toBe("no-cache");
+        expect(text.startsWith("retry: 5000\n\n")).toBe(true);
+
+        const [first, second] = events(text).map((block) => {
+            const lines = Object.fromEntries(block.split("\n").map((l) => l.split(/: (.*)/s).slice(0, 2)));
+            return { id: lines.id, data: JSON.parse(lines.data) };
+        });
+        expect(first.id).toBe("1");
+        expect(second.id).toBe("2");
+        expect(first.data.birthday).toBe("1990-06-15");
+        expect(first.data.timeZone).toBe("UTC");
+        expect(Date.parse(second.data.calculatedAt)).toBeGreaterThan(Date.parse(first.data.calculatedAt));
+    });
+
+    it("sends heartbeat comments between slow events", async () => {
+        const { text } = await readStream(
+            "birthday=1990-06-15&interval=60",
+            (t) => t.includes(": heartbeat\n\n")
+        );
+        expect(events(text)).toHaveLength(1);
+    });
+
+    it("closes the connection when the client hangs up", async () => {
+        await readStream("birthday=1990-06-15", (t) => events(t).length >= 1);
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        const open = await new Promise((resolve) => server.getConnections((_err, n) => resolve(n)));
+        expect(open).toBe(0);
+    });
+
+    it("400 JSON error before streaming for invalid input", async () => {
+        const cases = [
+            ["birthday=1990-02-30", /Invalid calendar date/],
+            ["birthday=1990-06-15&interval=0", /interval must be/],
+            ["birthday=1990-06-15&tz=Not/AZone", /time zone/i],
+        ];
+        for (const [query, error] of cases) {
+            const res = await request(app).get(`/api/stream?${query}`);
+            expect(res.status).toBe(400);
+            expect(res.body.error).toMatch(error);
+        }
+    });
+});
+
+// ===========================================================================
+// GET /api/calendar.ics
+// ===========================================================================
+
+describe("GET /api/calendar.ics", () => {
+    it("returns a text/calendar attachment named after the person", async () => {
+        const res = await request(app).get("/api/calendar.ics?birthday=1990-05-14&name=Ann%20Lee");
+        expect(res.status).toBe(200);
+        expect(res.headers["content-type"]).toMatch(/^text\/calendar/);
+        expect(res.headers["content-disposition"]).toMatch(/attachment; filename="ann-lee.ics"/);
+        expect(res.text).toMatch(/^BEGIN:VCALENDAR\r\n/);
+        expect(res.text).toMatch(/END:VCALENDAR\r\n$/);
+    });
+
+    it("400 for an invalid reminders list", async () => {
+        const res = await request(app).get("/api/calendar.ics?birthday=1990-05-14&reminders=1,soon");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/reminders/);
+    });
+
+    it("400 for an out-of-range years value", async () => {
+        const res = await request(app).get("/api/calendar.ics?birthday=1990-05-14&years=0");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/years/);
+    });
+
+    it("400 for an invalid birthday", async () => {
+        const res = await request(app).get("/api/calendar.ics?birthday=1990-02-30");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/invalid calendar date/i);
+    });
+});
+
+// ===========================================================================
+// GET /api/milestones
+// ===========================================================================
+
+describe("GET /api/milestones", () => {
+    it("splits milestones into past and upcoming, each sorted by date", async () => {
+        const res = await request(app).get("/api/milestones?birthday=1990-05-14&tz=UTC");
+        expect(res.status).toBe(200);
+        expect(res.body.birthday).toBe("1990-05-14");
+        expect(res.body.timeZone).toBe("UTC");
+
+        const { past, upcoming } = res.body;
+        expect(past.every((m) => m.reached && m.countdown === null)).toBe(true);
+        expect(upcoming.every((m) => !m.reached && m.countdown)).toBe(true);
+
+        const dates = [...past, ...upcoming].map((m) => m.at);
+        expect(dates).toEqual([...dates].sort());
+    });
+
+    it("dates 10,000 days and 1 billion seconds exactly", async () => {
+        const res = await request(app).get("/api/milestones?birthday=1990-05-14&tz=UTC");
+        const byId = Object.fromEntries(
+            [...res.body.past, ...res.body.upcoming].map((m) => [m.id, m])
+        );
+
+        expect(byId["10000-days"].date).toBe("2017-09-29");
+        expect(byId["10000-days"].label).toBe("10,000 days");
+        expect(byId["1000000000-seconds"].at).toBe(
+            new Date(Date.UTC(1990, 4, 14) + 1e12).toISOString()
+        );
+        expect(byId["1000000000-seconds"].label).toBe("1 billion seconds");
+    });
+
+    it("400 when birthday is missing", async () => {
+        const res = await request(app).get("/api/milestones");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/birthday parameter/i);
+    });
+
+    it("400 when birthday is in the future", async () => {
+        const future = new Date();
+        future.setFullYear(future.getFullYear() + 1);
+        const res = await request(app).get(`/api/milestones?birthday=${fmtDate(future)}`);
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/future/i);
+    });
+});
+
+// ===========================================================================
+// GET /api/diff
+// ===========================================================================
+
+describe("GET /api/diff", () => {
+    it("returns components and totals between two dates", async () => {
+        const res = await request(app).get("/api/diff?from=2020-01-15&to=2026-03-10&tz=UTC");
+        expect(res.status).toBe(200);
+        expect(res.body.from).toBe("2020-01-15");
+        expect(res.body.to).toBe("2026-03-10");
+        expect(res.body.timeZone).toBe("UTC");
+        expect(res.body.sign).toBe(1);
+        expect(res.body.direction).toBe("forward");
+        // Jan 15 → Mar 10: borrow February 2026 (28 days) → 1 month 23 days
+        expect(res.body.components).toEqual({
+            years: 6, months: 1, days: 23, hours: 0, minutes: 0, seconds: 0,
+        });
+        expect(res.body.totals.years).toBe(6);
+        expect(res.body.totals.months).toBe(73);
+        expect(res.body.totals.days).toBe(2246);
+        expect(res.body.totals.seconds).toBe(2246 * 86400);
+    });
+
+    it("reversed dates give the same magnitude with a negative sign", async () => {
+        const fwd = await request(app).get("/api/diff?from=2020-01-15&to=2026-03-10&tz=UTC");
+        const back = await request(app).get("/api/diff?from=2026-03-10&to=2020-01-15&tz=UTC");
+        expect(back.status).toBe(200);
+        expect(back.body.sign).toBe(-1);
+        expect(back.body.direction).toBe("backward");
+        expect(back.body.components).toEqual(fwd.body.components);
+        expect(back.body.totals).toEqual(fwd.body.totals);
+    });
+
+    it("identical dates give zero with direction none", async () => {
+        const res = await request(app).get("/api/diff?from=2024-02-29&to=2024-02-29");
+        expect(res.status).toBe(200);
+        expect(res.body.sign).toBe(0);
+        expect(res.body.direction).toBe("none");
+        expect(res.body.totals.seconds).toBe(0);
+    });
+
+    it("accepts future dates and times of day", async () => {
+        const res = await request(app).get("/api/diff?from=2030-06-01T09:00&to=2030-06-01T17:30&tz=UTC");
+        expect(res.status).toBe(200);
+        expect(res.body.from).toBe("2030-06-01T09:00:00");
+        expect(res.body.to).toBe("2030-06-01T17:30:00");
+        expect(res.body.components.hours).toBe(8);
+        expect(res.body.components.minutes).toBe(30);
+        expect(res.body.totals.minutes).toBe(510);
+    });
+
+    // The borrowed month is shorter than the start day: its anniversary falls
+    // on its last day, so the remainder never goes negative
+    it.each([
+        ["31st → 1 March, leap year", "2020-01-31", "2020-03-01", { months: 1, days: 1 }],
+        ["31st → 1 March, common year", "2021-01-31", "2021-03-01", { months: 1, days: 1 }],
+        ["30th → 1 March", "2021-01-30", "2021-03-01", { months: 1, days: 1 }],
+        ["31st → 1 May", "2021-03-31", "2021-05-01", { months: 1, days: 1 }],
+        ["31st → last of February", "2020-01-31", "2020-02-29", { months: 1, days: 0 }],
+    ])("month end: %s, in both directions", async (_name, from, to, expected) => {
+        const fwd = await request(app).get(`/api/diff?from=${from}&to=${to}&tz=UTC`);
+        const back = await request(app).get(`/api/diff?from=${to}&to=${from}&tz=UTC`);
+        for (const res of [fwd, back]) {
+            expect(res.status).toBe(200);
+            expect(res.body.components).toEqual({
+                years: 0, ...expected, hours: 0, minutes: 0, seconds: 0,
+            });
+        }
+        expect(back.body.sign).toBe(-1);
+    });
+
+    it("counts days by the calendar across a DST change", async () => {
+        const res = await request(app).get("/api/diff?from=2026-03-28&to=2026-03-30&tz=Europe/Brussels");
+        expect(res.status).toBe(200);
+        expect(res.body.components.days).toBe(2);
+        expect(res.body.totals.hours).toBe(47);
+    });
+
+    it("400 when from is missing", async () => {
+        const res = await request(app).get("/api/diff?to=2026-03-10");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/from parameter/);
+    });
+
+    it("400 for an impossible to date", async () => {
+        const res = await request(app).get("/api/diff?from=2020-01-15&to=2026-02-29");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/invalid calendar date/i);
+    });
+
+    it("400 for an unknown time zone", async () => {
+        const res = await request(app).get("/api/diff?from=2020-01-15&to=2026-03-10&tz=Nowhere");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/time zone/i);
+    });
+});
+
+// ===========================================================================
+// GET /api/compare
+// ===========================================================================
+
+describe("GET /api/compare", () => {
+    it("returns names, the older person and the gap", async () => {
+        const res = await request(app).get(
+            "/api/compare?birthdayA=2000-06-05&nameA=Bob&birthdayB=1980-05-20&nameB=Ann&tz=UTC"
+        );
+        expect(res.status).toBe(200);
+        expect(res.body.a).toEqual({ name: "Bob", birthday: "2000-06-05" });
+        expect(res.body.b).toEqual({ name: "Ann", birthday: "1980-05-20" });
+        expect(res.body.older).toBe("b");
+        expect(res.body.gap.components).toEqual({
+            years: 20, months: 0, days: 16, hours: 0, minutes: 0, seconds: 0,
+        });
+        expect(res.body.gap.totals.days).toBe(7321);
+    });
+
+    it("names default to Person A / Person B", async () => {
+        const res = await request(app).get("/api/compare?birthdayA=1990-01-01&birthdayB=1991-01-01");
+        expect(res.status).toBe(200);
+        expect(res.body.a.name).toBe("Person A");
+        expect(res.body.b.name).toBe("Person B");
+        expect(res.body.older).toBe("a");
+    });
+
+    it("lists the ratio dates with their reached flag", async () => {
+        const res = await request(app).get("/api/compare?birthdayA=1980-05-20&birthdayB=2000-06-05&tz=UTC");
+        expect(res.status).toBe(200);
+        const byLabel = Object.fromEntries(res.body.ratios.map((r) => [r.label, r]));
+
+        expect(byLabel["2:1"].date).toBe("2020-06-21");
+        expect(byLabel["2:1"].reached).toBe(true);
+        expect(byLabel["2:1"].ages).toEqual({ older: 40, younger: 20 });
+        expect(byLabel["1.5:1"].date).toBe("2040-07-07");
+        expect(byLabel["1.5:1"].reached).toBe(false);
+    });
+
+    it("400 when a birthday is missing", async () => {
+        const res = await request(app).get("/api/compare?birthdayA=1990-01-01");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/birthdayB parameter/);
+    });
+
+    it("400 when a birthday is in the future", async () => {
+        const future = new Date();
+        future.setFullYear(future.getFullYear() + 1);
+        const res = await request(app).get(`/api/compare?birthdayA=1990-01-01&birthdayB=${fmtDate(future)}`);
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/future/i);
+    });
+
+    it("400 for an overly long name", async () => {
+        const res = await request(app).get(
+            `/api/compare?birthdayA=1990-01-01&birthdayB=1991-01-01&nameA=${"x".repeat(101)}`
+        );
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/nameA/);
+    });
+});
+
+// ===========================================================================
+// GET /api/eligibility
+// ===========================================================================
+
+describe("GET /api/eligibility", () => {
+    it("is not yet eligible the day before the 18th birthday", async () => {
+        const res = await request(app).get("/api/eligibility?birthday=2008-09-01&minAge=18&asOf=2026-08-31&tz=UTC");
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({
+            birthday: "2008-09-01",
+            asOf: "2026-08-31",
+            timeZone: "UTC",
+            leapPolicy: "mar1",
+            minAge: 18,
+            maxAge: null,
+            age: 17,
+            eligible: false,
+            reason: "tooYoung",
+            qualifiesOn: "2026-09-01",
+            daysRemaining: 1,
+            eligibleUntil: null,
+        });
+    });
+
+    it("checks an age range", async () => {
+        const res = await request(app).get(
+            "/api/eligibility?birthday=1990-05-14&minAge=18&maxAge=35&asOf=2026-05-13&tz=UTC"
+        );
+        expect(res.body).toMatchObject({ age: 35, eligible: true, eligibleUntil: "2026-05-13" });
+    });
+
+    it("reports tooOld from the day maxAge + 1 is reached", async () => {
+        const res = await request(app).get(
+            "/api/eligibility?birthday=1990-05-14&maxAge=35&asOf=2026-05-14&tz=UTC"
+        );
+        expect(res.body).toMatchObject({ age: 36, eligible: false, reason: "tooOld", qualifiesOn: null });
+    });
+
+    it("defaults asOf to today", async () => {
+        const res = await request(app).get("/api/eligibility?birthday=1990-05-14&minAge=13&tz=UTC");
+        expect(res.status).toBe(200);
+        expect(res.body.asOf).toBe(new Date().toISOString().slice(0, 10));
+        expect(res.body.eligible).toBe(true);
+    });
+
+    it("uses the leap-day policy of the request", async () => {
+        const url = "/api/eligibility?birthday=2008-02-29&minAge=18&asOf=2026-02-28&tz=UTC";
+        expect((await request(app).get(`${url}&leapPolicy=feb28`)).body.eligible).toBe(true);
+        expect((await request(app).get(`${url}&leapPolicy=mar1`)).body.eligible).toBe(false);
+    });
+
+    it.each(["feb28", "mar1"])("reports the age /api/calculate does (%s)", async (policy) => {
+        for (const asOf of ["2025-02-27", "2025-02-28", "2025-03-01"]) {
+            const query = `birthday=2008-02-29&asOf=${asOf}&tz=UTC&leapPolicy=${policy}`;
+            const eligibility = await request(app).get(`/api/eligibility?${query}&minAge=18`);
+            const calculation = await request(app).get(`/api/calculate?${query}`);
+            expect(eligibility.body.age).toBe(calculation.body.sinceBirth.components.years);
+        }
+    });
+
+    it("400 for leapPolicy=leap-only", async () => {
+        const res = await request(app).get("/api/eligibility?birthday=2008-02-29&minAge=18&leapPolicy=leap-only");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe("leapPolicy must be one of feb28, mar1.");
+    });
+
+    it("400 without minAge or maxAge", async () => {
+        const res = await request(app).get("/api/eligibility?birthday=1990-05-14");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe("Give minAge, maxAge or both.");
+    });
+
+    it.each(["-1", "18.5", "abc", "151"])("400 for minAge=%s", async (minAge) => {
+        const res = await request(app).get(`/api/eligibility?birthday=1990-05-14&minAge=${minAge}`);
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe("minAge must be an integer from 0 to 150.");
+    });
+
+    it("400 when minAge is greater than maxAge", async () => {
+        const res = await request(app).get("/api/eligibility?birthday=1990-05-14&minAge=65&maxAge=18");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe("minAge cannot be greater than maxAge.");
+    });
+
+    it("400 when the birthday is after asOf", async () => {
+        const res = await request(app).get("/api/eligibility?birthday=2020-01-01&minAge=18&asOf=2019-12-31");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe("Birthday must be on or before asOf.");
+    });
+
+    it("400 for a missing birthday", async () => {
+        const res = await request(app).get("/api/eligibility?minAge=18");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/birthday parameter/);
+    });
+});
+
+// ===========================================================================
+// POST /api/calculate/batch
+// ===========================================================================
+
+describe("POST /api/calculate/batch", () => {
+    it("calculates each row of a JSON array", async () => {
+        const res = await request(app)
+            .post("/api/calculate/batch?tz=UTC")
+            .send([
+                { name: "Ann", birthday: "1990-06-15" },
+                { name: "Bob", birthday: "2000-01-01", time: "08:30" },
+            ]);
+        expect(res.status).toBe(200);
+        expect(res.body.count).toBe(2);
+        expect(res.body.succeeded).toBe(2);
+        expect(res.body.failed).toBe(0);
+        expect(res.body.timeZone).toBe("UTC");
+        expect(res.body.results[0].row).toBe(1);
+        expect(res.body.results[0].name).toBe("Ann");
+        expect(res.body.results[0].result.birthday).toBe("1990-06-15");
+        expect(res.body.results[1].result.birthTime).toBe("08:30:00");
+        expect(res.body.files).toBeUndefined();
+    });
+
+    it("reports per-row errors without failing the batch", async () => {
+        const future = new Date();
+        future.setFullYear(future.getFullYear() + 1);
+        const res = await request(app)
+            .post("/api/calculate/batch")
+            .send([
+                { name: "Ok", birthday: "1990-06-15" },
+                { name: "Bad", birthday: "1990-02-30" },
+                { name: "Later", birthday: fmtDate(future) },
+                "not an object",
+            ]);
+        expect(res.status).toBe(200);
+        expect(res.body.succeeded).toBe(1);
+        expect(res.body.failed).toBe(3);
+        expect(res.body.results[1]).toEqual({
+            row: 2, name: "Bad", code: "IMPOSSIBLE_DATE", error: "Invalid calendar date.",
+        });
+        expect(res.body.results[2].error).toMatch(/future/i);
+        expect(res.body.results[3].error).toMatch(/object/);
+    });
+
+    it("accepts a CSV body with or without a header row", async () => {
+        const withHeader = await request(app)
+            .post("/api/calculate/batch?tz=UTC")
+            .set("Content-Type", "text/csv")
+            .send('birthday,name\r\n1990-06-15,"Smith, Ann"\r\n\r\n2000-01-01,Bob\r\n');
+        expect(withHeader.status).toBe(200);
+        expect(withHeader.body.count).toBe(2);
+        expect(withHeader.body.results[0].name).toBe("Smith, Ann");
+        expect(withHeader.body.results[1].result.birthday).toBe("2000-01-01");
+
+        const plain = await request(app)
+            .post("/api/calculate/batch?tz=UTC")
+            .set("Content-Type", "text/csv")
+            .send("Ann,1990-06-15,07:45\nBob,15/06/1990");
+        expect(plain.status).toBe(200);
+        expect(plain.body.results[0].result.birthTime).toBe("07:45:00");
+        expect(plain.body.results[1].error).toMatch(/YYYY-MM-DD/);
+    });
+
+    it("writes combined CSV and text files when output is given", async () => {
+        const res = await request(app)
+            .post("/api/calculate/batch?tz=UTC&output=csv,txt")
+            .send([{ name: "Ann", birthday: "1990-06-15" }, { name: "Bad", birthday: "x" }]);
+        expect(res.status).toBe(200);
+        expect(res.body.files).toHaveLength(2);
+
+        const [csvFile, txtFile] = res.body.files.map((f) => path.join(OUTPUT_DIR, f));
+        expect(csvFile).toMatch(/batches\/batch-.*\.csv$/);
+        const csv = fs.readFileSync(csvFile, "utf8").split("\r\n");
+        expect(csv[0]).toMatch(/^row,name,birthday,/);
+        expect(csv[1]).toMatch(/^1,Ann,1990-06-15,/);
+        expect(csv[2]).toMatch(/^2,Bad,.*YYYY-MM-DD/);
+
+        const txt = fs.readFileSync(txtFile, "utf8");
+        expect(txt).toContain("AGEDIFF BATCH SUMMARY");
+        expect(txt).toContain("1 ok, 1 failed");
+    });
+
+    it("writes the text file in the requested language", async () => {
+        const res = await request(app)
+            .post("/api/calculate/batch?tz=UTC&output=txt&lang=fr")
+            .send([{ name: "Ann", birthday: "1990-06-15" }, { name: "Bad", birthday: "x" }]);
+        expect(res.status).toBe(200);
+        expect(res.body.locale).toBe("fr");
+
+        const txt = fs.readFileSync(path.join(OUTPUT_DIR, res.body.files[0]), "utf8");
+        expect(txt).toContain("AGEDIFF - RAPPORT DE LOT");
+        expect(txt).toContain("2 (1 réussies, 1 en échec)");
+        expect(txt).toMatch(/Naissance\s+Âge\s+Prochain anniversaire/);
+        expect(txt).toMatch(/^1\s+Ann\s+15 juin 1990\s+\d+\s+\d+ juin \d{4} \(dans [\d\s ]+jours?\)$/m);
+        expect(txt).toMatch(/^2\s+Bad\s+ERREUR : /m);
+    });
+
+    it("400 for an unsupported lang", async () => {
+        const res = await request(app)
+            .post("/api/calculate/batch?lang=xx")
+            .send([{ birthday: "1990-06-15" }]);
+        expect(res.status).toBe(400);
+        expect(res.body.param).toBe("lang");
+    });
+
+    it("writes names that look like formulas as text in the CSV", async () => {
+        const res = await request(app)
+            .post("/api/calculate/batch?tz=UTC&output=csv")
+            .send(["=1+1", "+1", "-1", "@SUM(A1)", '=HYPERLINK("http://x.test","a,b")'].map((name) =>
+                ({ name, birthday: "1990-06-15" })));
+        expect(res.status).toBe(200);
+
+        const csv = fs.readFileSync(path.join(OUTPUT_DIR, res.body.files[0]), "utf8").split("\r\n");
+        expect(csv.slice(1, 6).map((line) => line.split(",1990-06-15,")[0])).toEqual([
+            "1,'=1+1", "2,'+1", "3,'-1", "4,'@SUM(A1)", '5,"\'=HYPERLINK(""http://x.test"",""a,b"")"',
+        ]);
+    });
+
+    it("treats a null or empty time like a missing one", async () => {
+        const res = await request(app)
+            .post("/api/calculate/batch?tz=UTC")
+            .send([{ birthday: "1990-06-15", time: null }, { birthday: "1990-06-15", time: "" }]);
+        expect(res.body.succeeded).toBe(2);
+        expect(res.body.results.map((r) => r.result.birthTime)).toEqual([null, null]);
+    });
+
+    it("applies the summary retention to batch files", async () => {
+        const batchDir = path.join(OUTPUT_DIR, "batches");
+        const old = path.join(batchDir, "batch-20000101T000000Z-0badc0de.csv");
+        fs.mkdirSync(batchDir, { recursive: true });
+        fs.writeFileSync(old, "x");
+
+        const res = await request(app)
+            .post("/api/calculate/batch?tz=UTC&output=csv")
+            .send([{ birthday: "1990-06-15" }]);
+        expect(fs.existsSync(path.join(OUTPUT_DIR, res.body.files[0]))).toBe(true);
+        expect(fs.existsSync(old)).toBe(false);
+    });
+
+    it("400 for an empty batch", async () => {
+        const res = await request(app).post("/api/calculate/batch").send([]);
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/at least one row/);
+    });
+
+    it("400 for a body that is neither an array nor CSV", async () => {
+        const res = await request(app).post("/api/calculate/batch").send({ birthday: "1990-06-15" });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/JSON array or text\/csv/);
+    });
+
+    it("400 for an unknown output format", async () => {
+        const res = await request(app)
+            .post("/api/calculate/batch?output=pdf")
+            .send([{ birthday: "1990-06-15" }]);
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/output must be/);
+    });
+});
+
+// ===========================================================================
+// /api/people
+// ===========================================================================
+
+describe("/api/people", () => {
+    it("creates a person and returns the stored entry with its calculation", async () => {
+        const res = await request(app)
+            .post("/api/people?tz=UTC")
+            .send({ name: "  Ann ", birthday: "1990-06-15", time: "07:45" });
+        expect(res.status).toBe(201);
+        expect(res.body.id).toMatch(/^[0-9a-f-]{36}$/);
+        expect(res.body.name).toBe("Ann");
+        expect(res.body.birthday).toBe("1990-06-15");
+        expect(res.body.time).toBe("07:45:00");
+        expect(res.body.calculation.birthday).toBe("1990-06-15");
+        expect(res.body.calculation.birthTime).toBe("07:45:00");
+        expect(typeof res.body.calculation.isBirthday).toBe("boolean");
+
+        const stored = JSON.parse(fs.readFileSync(path.join(OUTPUT_DIR, "people.json"), "utf8"));
+        expect(stored.find((p) => p.id === res.body.id)).toEqual({
+            id: res.body.id,
+            name: "Ann",
+            birthday: "1990-06-15",
+            time: "07:45:00",
+            createdAt: res.body.createdAt,
+            updatedAt: res.body.updatedAt,
+        });
+    });
+
+    it("lists, reads, updates and deletes a person", async () => {
+        const created = await request(app)
+            .post("/api/people")
+            .send({ name: "Bob", birthday: "2000-01-01" });
+        const { id } = created.body;
+
+        const list = await request(app).get("/api/people?tz=UTC");
+        expect(list.status).toBe(200);
+        const listed = list.body.people.find((p) => p.id === id);
+        expect(listed.time).toBeNull();
+        expect(listed.calculation.sinceBirth.components.years).toBeGreaterThanOrEqual(25);
+
+        const updated = await request(app)
+            .put(`/api/people/${id}`)
+            .send({ name: "Robert", birthday: "2000-01-02" });
+        expect(updated.status).toBe(200);
+        expect(updated.body.name).toBe("Robert");
+        expect(updated.body.calculation.birthday).toBe("2000-01-02");
+        expect(updated.body.createdAt).toBe(created.body.createdAt);
+
+        const read = await request(app).get(`/api/people/${id}`);
+        expect(read.status).toBe(200);
+        expect(read.body.name).toBe("Robert");
+
+        const removed = await request(app).delete(`/api/people/${id}`);
+        expect(removed.status).toBe(204);
+        expect((await request(app).get(`/api/people/${id}`)).status).toBe(404);
+    });
+
+    it("concurrent creates are all stored", async () => {
+        const names = ["C1", "C2", "C3", "C4", "C5"];
+        await Promise.all(names.map((name) =>
+            request(app).post("/api/people").send({ name, birthday: "1985-03-03" })
+        ));
+        const res = await request(app).get("/api/people");
+        const stored = res.body.people.map((p) => p.name);
+        for (const name of names) expect(stored).toContain(name);
+    });
+
+    it("400 for invalid input, reusing the calculate checks", async () => {
+        const future = new Date();
+        future.setFullYear(future.getFullYear() + 1);
+        const cases = [
+            [{ birthday: "1990-06-15" }, /name is required/],
+            [{ name: "x".repeat(101), birthday: "1990-06-15" }, /name is required/],
+            [{ name: "Ann", birthday: "1990-02-30" }, /Invalid calendar date/],
+            [{ name: "Ann", birthday: "15/06/1990" }, /YYYY-MM-DD/],
+            [{ name: "Ann", birthday: fmtDate(future) }, /future/i],
+            [["Ann", "1990-06-15"], /JSON object/],
+        ];
+        for (const [body, error] of cases) {
+            const res = await request(app).post("/api/people").send(body);
+            expect(res.status).toBe(400);
+            expect(res.body.error).toMatch(error);
+        }
+    });
+
+    it("404 when updating or deleting an unknown person", async () => {
+        const put = await request(app)
+            .put("/api/people/unknown")
+            .send({ name: "Ann", birthday: "1990-06-15" });
+        expect(put.status).toBe(404);
+        expect((await request(app).delete("/api/people/unknown")).status).toBe(404);
+    });
+
+    it("400 for an invalid time zone", async () => {
+        const res = await request(app).get("/api/people?tz=Not/AZone");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/time zone/i);
+    });
+});
+
+// ===========================================================================
+// /api/upcoming
+// ===========================================================================
+
+describe("/api/upcoming", () => {
+    // Birthday (in UTC) whose anniversary is `offset` days from today, `age` years ago
+    const bornDaysAhead = (offset, age = 28) => {
+        const d = new Date();
+        d.setUTCDate(d.getUTCDate() + offset);
+        d.setUTCFullYear(d.getUTCFullYear() - age);
+        return d.toISOString().slice(0, 10);
+    };
+
+    it("groups today's birthdays and sorts the upcoming ones by date", async () => {
+        const res = await request(app)
+            .post("/api/upcoming?tz=UTC&days=30")
+            .send([
+                { name: "Later", birthday: bornDaysAhead(5) },
+                { name: "Soon", birthday: bornDaysAhead(2, 40) },
+                { name: "Today", birthday: bornDaysAhead(0) },
+                { name: "Far", birthday: bornDaysAhead(45) },
+            ]);
+        expect(res.status).toBe(200);
+        expect(res.body.days).toBe(30);
+        expect(res.body.today).toEqual([
+            { name: "Today", birthday: bornDaysAhead(0), turningAge: 28 },
+        ]);
+        expect(res.body.upcoming.map((p) => p.name)).toEqual(["Soon", "Later"]);
+
+        const [soon, later] = res.body.upcoming;
+        expect(soon.inDays).toBe(2);
+        expect(soon.turningAge).toBe(40);
+        expect(later.inDays).toBe(5);
+        expect(later.turningAge).toBe(28);
+        expect(later.nextBirthdayDate).toBe(bornDaysAhead(5, 0));
+        expect(later.untilNextBirthday.totals.days).toBe(4);
+        expect(res.body.errors).toEqual([]);
+    });
+
+    it("widens the window with days and reports invalid rows", async () => {
+        const res = await request(app)
+            .post("/api/upcoming?tz=UTC&days=60")
+            .send([{ name: "Far", birthday: bornDaysAhead(45) }, { name: "Bad", birthday: "1990-13-01" }]);
+        expect(res.status).toBe(200);
+        expect(res.body.upcoming.map((p) => p.name)).toEqual(["Far"]);
+        expect(res.body.errors).toEqual([
+            { row: 2, name: "Bad", code: "IMPOSSIBLE_DATE", error: "Invalid calendar date." },
+        ]);
+    });
+
+    it("GET lists stored people, with their id", async () => {
+        const created = await request(app)
+            .post("/api/people?tz=UTC")
+            .send({ name: "Stored", birthday: bornDaysAhead(3) });
+
+        const res = await request(app).get("/api/upcoming?tz=UTC&days=7");
+        expect(res.status).toBe(200);
+        const entry = res.body.upcoming.find((p) => p.id === created.body.id);
+        expect(entry).toMatchObject({ name: "Stored", inDays: 3, turningAge: 28 });
+
+        await request(app).delete(`/api/people/${created.body.id}`);
+    });
+
+    it("400 for an out-of-range days value", async () => {
+        for (const days of ["0", "367", "abc"]) {
+            const res = await request(app).get(`/api/upcoming?days=${days}`);
+            expect(res.status).toBe(400);
+            expect(res.body.error).toMatch(/days must be/);
+        }
+    });
+});
+
+// ===========================================================================
+// /api/reminders (webhook delivered to a local stub server)
+// ===========================================================================
+
+describe("/api/reminders", () => {
+    let stub;
+    let received = [];
+    let failuresLeft = 0;
+    // Set to a promise to hold the stub's responses until it settles
+    let holdResponses = null;
+
+    // Birthday (local zone) whose anniversary is `offset` days from today
+    const bornDaysAhead = (offset, age = 30) => {
+        const d = new Date();
+        d.setDate(d.getDate() + offset);
+        d.setFullYear(d.getFullYear() - age);
+        return fmtDate(d);
+    };
+
+    beforeAll((done) => {
+        stub = http.createServer((req, res) => {
+            let body = "";
+            req.on("data", (chunk) => { body += chunk; });
+            req.on("end", async () => {
+                received.push(JSON.parse(body));
+                await holdResponses;
+                if (failuresLeft > 0) {
+                    failuresLeft--;
+                    res.writeHead(500).end();
+                } else {
+                    res.writeHead(204).end();
+                }
+            });
+        });
+        stub.listen(REMINDER_STUB_PORT, "127.0.0.1", done);
+    });
+
+    afterAll((done) => {
+        stub.close(done);
+    });
+
+    beforeEach(() => {
+        received = [];
+        failuresLeft = 0;
+    });
+
+    it("POST /test delivers a test payload to the webhook", async () => {
+        const res = await request(app).post("/api/reminders/test");
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ ok: true, attempts: 1, status: 204 });
+        expect(received).toHaveLength(1);
+        expect(received[0].type).toBe("birthday.reminder.test");
+    });
+
+    it("retries failed deliveries with backoff", async () => {
+        failuresLeft = 2;
+        const res = await request(app).post("/api/reminders/test");
+        expect(res.status).toBe(200);
+        expect(res.body.attempts).toBe(3);
+        expect(received).toHaveLength(3);
+    });
+
+    it("502 when every attempt fails", async () => {
+        failuresLeft = 10;
+        const res = await request(app).post("/api/reminders/test");
+        expect(res.status).toBe(502);
+        expect(res.body).toEqual({ ok: false, attempts: 3, status: 500, error: "HTTP 500" });
+    });
+
+    it("sends a due reminder once and records it", async () => {
+        const person = await request(app)
+            .post("/api/people")
+            .send({ name: "Remind Me", birthday: bornDaysAhead(1) });
+        const { id } = person.body;
+
+        const before = await request(app).get("/api/reminders");
+        expect(before.status).toBe(200);
+        expect(before.body.enabled).toBe(true);
+        expect(before.body.days).toEqual([7, 1, 0]);
+        const pending = before.body.pending.find((r) => r.person.id === id);
+        expect(pending).toMatchObject({ daysBefore: 1, inDays: 1, turningAge: 30 });
+        expect(pending.message).toBe(`Remind Me turns 30 in 1 day (${bornDaysAhead(1, 0)}).`);
+
+        const run = await request(app).post("/api/reminders/run");
+        expect(run.status).toBe(200);
+        expect(run.body.sent.find((e) => e.personId === id)).toMatchObject({
+            status: "sent", attempts: 1, daysBefore: 1,
+        });
+        const payload = received.find((p) => p.person && p.person.id === id);
+        expect(payload.type).toBe("birthday.reminder");
+        expect(payload.birthdayDate).toBe(bornDaysAhead(1, 0));
+
+        // A second run (or a restart) must not send it again
+        received = [];
+        const again = await request(app).post("/api/reminders/run");
+        expect(again.body.sent.find((e) => e.personId === id)).toBeUndefined();
+        expect(received.find((p) => p.person && p.person.id === id)).toBeUndefined();
+
+        const after = await request(app).get("/api/reminders");
+        expect(after.body.pending.find((r) => r.person.id === id)).toBeUndefined();
+        expect(after.body.log.find((e) => e.personId === id).status).toBe("sent");
+
+        await request(app).delete(`/api/people/${id}`);
+    });
+
+    it("a failed reminder is logged and retried on the next run", async () => {
+        const person = await request(app)
+            .post("/api/people")
+            .send({ name: "Flaky", birthday: bornDaysAhead(0) });
+        const { id } = person.body;
+
+        failuresLeft = 1000;
+        const first = await runReminders();
+        expect(first.find((e) => e.personId === id)).toMatchObject({
+            status: "failed", attempts: 3, daysBefore: 0, error: "HTTP 500",
+        });
+
+        failuresLeft = 0;
+        const second = await runReminders();
+        expect(second.find((e) => e.personId === id).status).toBe("sent");
+
+        await request(app).delete(`/api/people/${id}`);
+    });
+
+    it("delivers outside the log queue, still sending a reminder once", async () => {
+        const person = await request(app)
+            .post("/api/people")
+            .send({ name: "Overlap", birthday: bornDaysAhead(0) });
+        const { id } = person.body;
+        const sentTo = () => received.filter((p) => p.person && p.person.id === id);
+
+        let release;
+        holdResponses = new Promise((resolve) => { release = resolve; });
+        const first = runReminders();
+        while (sentTo().length === 0) await new Promise((resolve) => setTimeout(resolve, 5));
+
+        // The first run is mid-delivery; an overlapping run neither waits for it nor sends again
+        const second = await runReminders();
+        expect(second.find((e) => e.personId === id)).toBeUndefined();
+
+        holdResponses = null;
+        release();
+        expect((await first).find((e) => e.personId === id).status).toBe("sent");
+        expect(sentTo()).toHaveLength(1);
+
+        await request(app).delete(`/api/people/${id}`);
+    });
+
+    it("forgets reminders for birthdays of past years", async () => {
+        const file = path.join(OUTPUT_DIR, "reminders.json");
+        const year = new Date().getFullYear();
+        const entry = (birthdayDate) => ({
+            key: `old-friend:${birthdayDate}:0`, personId: "old-friend", name: "Old friend",
+            birthdayDate, daysBefore: 0, status: "sent", attempts: 1, at: `${birthdayDate}T00:00:00.000Z`,
+        });
+        const log = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : [];
+        fs.writeFileSync(file, JSON.stringify([entry(`${year - 1}-06-01`), ...log, entry(`${year + 1}-06-01`)]));
+
+        await runReminders();
+
+        const keys = JSON.parse(fs.readFileSync(file, "utf8")).map((e) => e.key);
+        expect(keys).not.toContain(`old-friend:${year - 1}-06-01:0`);
+        expect(keys).toContain(`old-friend:${year + 1}-06-01:0`);
+    });
+});
+
+// ===========================================================================
+// calculateAll() – unit tests (pure logic, no HTTP, fixed timestamps)
+// ===========================================================================
+
+describe("calculateAll() – component arithmetic", () => {
+    it("simple case: no borrowing needed", () => {
+        const birthDate = new Date(2000, 0, 1, 0, 0, 0); // Jan 1, 2000 00:00:00
+        const now = new Date(2026, 5, 15, 10, 30, 45);   // June 15, 2026 10:30:45
+
+        const r = calculateAll(birthDate, now);
+
+        expect(r.sinceBirth.components.years).toBe(26);
+        expect(r.sinceBirth.components.months).toBe(5);
+        expect(r.sinceBirth.components.days).toBe(14);
+        expect(r.sinceBirth.components.hours).toBe(10);
+        expect(r.sinceBirth.components.minutes).toBe(30);
+        expect(r.sinceBirth.components.seconds).toBe(45);
+    });
+
+    it("borrows days from previous month when days go negative", () => {
+        // May 20 → June 10: days = 10 - 20 = -10 → borrow May (31 days) → 21, months = 0
+        const birthDate = new Date(2000, 4, 20); // May 20, 2000
+        const now = new Date(2026, 5, 10);       // June 10, 2026
+
+        const r = calculateAll(birthDate, now);
+
+        expect(r.sinceBirth.components.months).toBe(0);
+        expect(r.sinceBirth.components.days).toBe(21);
+    });
+
+    it("borrows months from years when months go negative", () => {
+        // Sep 15 → Feb 24: months = 1 - 8 = -7 → months = 5, years--
+        const birthDate = new Date(2000, 8, 15); // Sep 15, 2000
+        const now = new Date(2026, 1, 24);       // Feb 24, 2026
+
+        const r = calculateAll(birthDate, now);
+
+        expect(r.sinceBirth.components.years).toBe(25);
+        expect(r.sinceBirth.components.months).toBe(5);
+        expect(r.sinceBirth.components.days).toBe(9);
+    });
+
+    it("borrows seconds from minutes when seconds go negative", () => {
+        // 10:30:45 → 10:31:30: seconds = -15 → 45, minutes--  → 0
+        const birthDate = new Date(2000, 0, 1, 10, 30, 45);
+        const now = new Date(2026, 0, 1, 10, 31, 30);
+
+        const r = calculateAll(birthDate, now);
+
+        expect(r.sinceBirth.components.minutes).toBe(0);
+        expect(r.sinceBirth.components.seconds).toBe(45);
+    });
+
+    it("borrows minutes from hours when minutes go negative", () => {
+        // 10:05:00 → 11:03:00: minutes = 3 - 5 = -2 → 58, hours = 0
+        const birthDate = new Date(2000, 0, 1, 10, 5, 0);
+        const now = new Date(2026, 0, 1, 11, 3, 0);
 
         const r = calculateAll(birthDate, now);
 
-        expect(r.isBirthday).toBe(true);
-        expect(r.turningAge).toBe(36);
-        expect(r.untilNextBirthday).toBeNull();
+        expect(r.sinceBirth.components.hours).toBe(0);
+        expect(r.sinceBirth.components.minutes).toBe(58);
+    });
+
+    it("borrows hours from days when hours go negative", () => {
+        // Day 10, 8:00 → Day 11, 6:00: hours = 6 - 8 = -2 → 22, days = 0
+        const birthDate = new Date(2000, 0, 10, 8, 0, 0);
+        const now = new Date(2026, 0, 11, 6, 0, 0);
+
+        const r = calculateAll(birthDate, now);
+
+        expect(r.sinceBirth.components.days).toBe(0);
+        expect(r.sinceBirth.components.hours).toBe(22);
+    });
+});
+
+describe("calculateAll() – totals", () => {
+    it("exactly one day difference gives correct totals", () => {
+        const birthDate = new Date(2025, 0, 1); // Jan 1, 2025 00:00:00
+        const now = new Date(2025, 0, 2);       // Jan 2, 2025 00:00:00
+
+        const r = calculateAll(birthDate, now);
+
+        expect(r.sinceBirth.totals.days).toBe(1);
+        expect(r.sinceBirth.totals.hours).toBe(24);
+        expect(r.sinceBirth.totals.minutes).toBe(1440);
+        expect(r.sinceBirth.totals.seconds).toBe(86400);
+    });
+
+    it("exactly one hour gives correct totals", () => {
+        const birthDate = new Date(2025, 0, 1, 10, 0, 0);
+        const now = new Date(2025, 0, 1, 11, 0, 0);
+
+        const r = calculateAll(birthDate, now);
+
+        expect(r.sinceBirth.totals.hours).toBe(1);
+        expect(r.sinceBirth.totals.minutes).toBe(60);
+        expect(r.sinceBirth.totals.seconds).toBe(3600);
+    });
+
+    it("totalMonths accounts for partial month (day not yet reached)", () => {
+        // Feb 28, 2000 → Feb 27, 2026: birthday not yet reached this month
+        const birthDate = new Date(2000, 1, 28); // Feb 28, 2000
+        const now = new Date(2026, 1, 27);       // Feb 27, 2026
+
+        const r = calculateAll(birthDate, now);
+
+        // 25 full years × 12 = 300, plus 11 full months = 311
+        expect(r.sinceBirth.totals.months).toBe(311);
+    });
+
+    it("totalMonths includes the current month when day is reached", () => {
+        // Feb 28, 2000 → Feb 28, 2026: birthday exactly reached today
+        const birthDate = new Date(2000, 1, 28); // Feb 28, 2000
+        const now = new Date(2026, 1, 28);       // Feb 28, 2026
+
+        const r = calculateAll(birthDate, now);
+
+        // Exactly 26 years = 312 months
+        expect(r.sinceBirth.totals.months).toBe(312);
+    });
+
+    it("totals are in correct ascending order (seconds > minutes > hours > days)", () => {
+        const birthDate = new Date(1990, 0, 1);
+        const now = new Date(2026, 1, 24, 12, 0, 0);
+
+        const r = calculateAll(birthDate, now);
+        const t = r.sinceBirth.totals;
+
+        expect(t.seconds).toBeGreaterThan(t.minutes);
+        expect(t.minutes).toBeGreaterThan(t.hours);
+        expect(t.hours).toBeGreaterThan(t.days);
+        expect(t.days).toBeGreaterThan(t.months);
+        expect(t.months).toBeGreaterThan(t.years);
+    });
+});
+
+describe("calculateAll() – isBirthday and turningAge", () => {
+    it("isBirthday=true when month and day match", () => {
+        const birthDate = new Date(1990, 1, 24); // Feb 24, 1990
+        const now = new Date(2026, 1, 24);       // Feb 24, 2026
+
+        const r = calculateAll(birthDate, now);
+
+        expect(r.isBirthday).toBe(true);
+        expect(r.turningAge).toBe(36);
+        expect(r.untilNextBirthday).toBeNull();
+    });
+
+    it("isBirthday=false and turningAge=null on a non-birthday", () => {
+        const birthDate = new Date(1990, 2, 15); // Mar 15, 1990
+        const now = new Date(2026, 1, 24);       // Feb 24, 2026
+
+        const r = calculateAll(birthDate, now);
+
+        expect(r.isBirthday).toBe(false);
+        expect(r.turningAge).toBeNull();
+        expect(r.untilNextBirthday).not.toBeNull();
+    });
+
+    it("turningAge is correct at age 1 (exact)", () => {
+        const birthDate = new Date(2025, 1, 24); // Feb 24, 2025
+        const now = new Date(2026, 1, 24);       // Feb 24, 2026
+
+        const r = calculateAll(birthDate, now);
+
+        expect(r.isBirthday).toBe(true);
+        expect(r.turningAge).toBe(1);
+    });
+});
+
+describe("calculateAll() – untilNextBirthday", () => {
+    it("nextBirthdayDate stays this year when birthday hasn't passed yet", () => {
+        const birthDate = new Date(1990, 2, 15); // Mar 15, 1990
+        const now = new Date(2026, 1, 24);       // Feb 24, 2026 – before Mar 15
+
+        const r = calculateAll(birthDate, now);
+
+        expect(r.nextBirthdayDate).toBe("2026-03-15");
+    });
+
+    it("nextBirthdayDate rolls to next year when birthday already passed this year", () => {
+        const birthDate = new Date(1990, 0, 10); // Jan 10, 1990
+        const now = new Date(2026, 1, 24);       // Feb 24, 2026 – Jan 10 already passed
+
+        const r = calculateAll(birthDate, now);
+
+        expect(r.nextBirthdayDate).toBe("2027-01-10");
+    });
+
+    it("untilNextBirthday components are all non-negative", () => {
+        const birthDate = new Date(1990, 5, 20); // June 20, 1990
+        const now = new Date(2026, 1, 24);       // Feb 24, 2026
+
+        const r = calculateAll(birthDate, now);
+
+        const c = r.untilNextBirthday.components;
+        expect(c.months).toBeGreaterThanOrEqual(0);
+        expect(c.days).toBeGreaterThanOrEqual(0);
+        expect(c.hours).toBeGreaterThanOrEqual(0);
+        expect(c.minutes).toBeGreaterThanOrEqual(0);
+        expect(c.seconds).toBeGreaterThanOrEqual(0);
+    });
+
+    it("untilNextBirthday totals are in correct ascending order", () => {
+        const birthDate = new Date(1990, 5, 20);        // June 20
+        const now = new Date(2026, 1, 24, 10, 30, 0);  // Feb 24, 2026 10:30
+
+        const r = calculateAll(birthDate, now);
+        const t = r.untilNextBirthday.totals;
+
+        expect(t.days).toBeGreaterThan(0);
+        expect(t.hours).toBeGreaterThan(t.days);
+        expect(t.minutes).toBeGreaterThan(t.hours);
+        expect(t.seconds).toBeGreaterThan(t.minutes);
+    });
+
+    it("untilNextBirthday.totals.days matches Math.floor(diffMs/86400000)", () => {
+        const birthDate = new Date(1990, 5, 20);       // June 20
+        const now = new Date(2026, 1, 24, 0, 0, 0);   // Feb 24, 2026 midnight
+
+        const r = calculateAll(birthDate, now);
+
+        // nextBd = June 20, 2026
+        const nextBd = new Date(2026, 5, 20);
+        const expectedDays = Math.floor((nextBd - now) / 86_400_000);
+        expect(r.untilNextBirthday.totals.days).toBe(expectedDays);
+    });
+});
+
+describe("calculateAll() – birth time", () => {
+    it("sub-day components count from the time of birth", () => {
+        const birthDate = new Date(1990, 4, 14, 8, 32, 0); // May 14, 1990 08:32
+        const now = new Date(2026, 1, 24, 10, 0, 0);       // Feb 24, 2026 10:00
+
+        const r = calculateAll(birthDate, now, { hasBirthTime: true });
+
+        expect(r.sinceBirth.components.hours).toBe(1);
+        expect(r.sinceBirth.components.minutes).toBe(28);
+        expect(r.birthTime).toBe("08:32:00");
+    });
+
+    it("turningAge is reported on the birthday before the hour of birth", () => {
+        const birthDate = new Date(1990, 1, 24, 18, 0, 0); // Feb 24, 1990 18:00
+        const now = new Date(2026, 1, 24, 9, 0, 0);        // Feb 24, 2026 09:00
+
+        const r = calculateAll(birthDate, now, { hasBirthTime: true });
+
+        expect(r.isBirthday).toBe(true);
+        expect(r.turningAge).toBe(36);
+        expect(r.sinceBirth.components.years).toBe(35);
+    });
+
+    it("next-birthday countdown still runs to midnight of the birthday", () => {
+        const birthDate = new Date(1990, 2, 15, 14, 45, 0); // Mar 15, 1990 14:45
+        const now = new Date(2026, 2, 14, 12, 0, 0);        // Mar 14, 2026 12:00
+
+        const r = calculateAll(birthDate, now, { hasBirthTime: true });
+
+        expect(r.nextBirthdayDate).toBe("2026-03-15");
+        expect(r.untilNextBirthday.totals.hours).toBe(12);
+    });
+
+    it("birthTime is null unless hasBirthTime is set", () => {
+        const r = calculateAll(new Date(1990, 2, 15, 14, 45, 0), new Date(2026, 1, 24));
+        expect(r.birthTime).toBeNull();
+    });
+});
+
+describe("calculateAll() – leap-day birthdays", () => {
+    const birthDate = new Date(2000, 1, 29); // Feb 29, 2000
+
+    it("mar1: celebrates on 1 March in a common year", () => {
+        const r = calculateAll(birthDate, new Date(2027, 2, 1, 9, 0, 0), { leapPolicy: "mar1" });
+
+        expect(r.isBirthday).toBe(true);
+        expect(r.turningAge).toBe(27);
+        expect(r.leapPolicy).toBe("mar1");
+    });
+
+    it("mar1: 28 February is not the birthday, next one is 1 March", () => {
+        const r = calculateAll(birthDate, new Date(2027, 1, 28, 12, 0, 0), { leapPolicy: "mar1" });
+
+        expect(r.isBirthday).toBe(false);
+        expect(r.turningAge).toBeNull();
+        expect(r.nextBirthdayDate).toBe("2027-03-01");
+        expect(r.untilNextBirthday.totals.hours).toBe(12);
+    });
+
+    it("feb28: celebrates on 28 February in a common year", () => {
+        const r = calculateAll(birthDate, new Date(2027, 1, 28, 9, 0, 0), { leapPolicy: "feb28" });
+
+        expect(r.isBirthday).toBe(true);
+        expect(r.turningAge).toBe(27);
+        expect(r.untilNextBirthday).toBeNull();
+    });
+
+    it("feb28: counts down to 28 February in a common year", () => {
+        const r = calculateAll(birthDate, new Date(2027, 1, 20), { leapPolicy: "feb28" });
+
+        expect(r.nextBirthdayDate).toBe("2027-02-28");
+        expect(r.untilNextBirthday.components.days).toBe(8);
+        expect(r.untilNextBirthday.totals.days).toBe(8);
+    });
+
+    it("feb28: 1 March is past the birthday, next one is a year out", () => {
+        const r = calculateAll(birthDate, new Date(2027, 2, 1), { leapPolicy: "feb28" });
+
+        expect(r.isBirthday).toBe(false);
+        expect(r.nextBirthdayDate).toBe("2028-02-29");
+    });
+
+    it("leap-only: no birthday in a common year", () => {
+        const feb28 = calculateAll(birthDate, new Date(2027, 1, 28), { leapPolicy: "leap-only" });
+        const mar1 = calculateAll(birthDate, new Date(2027, 2, 1), { leapPolicy: "leap-only" });
+
+        expect(feb28.isBirthday).toBe(false);
+        expect(mar1.isBirthday).toBe(false);
+        expect(feb28.nextBirthdayDate).toBe("2028-02-29");
+    });
+
+    it("leap-only: countdown skips ahead to the next leap year", () => {
+        const r = calculateAll(birthDate, new Date(2025, 2, 1), { leapPolicy: "leap-only" });
+
+        expect(r.nextBirthdayDate).toBe("2028-02-29");
+        const expectedDays = Math.floor((new Date(2028, 1, 29) - new Date(2025, 2, 1)) / 86_400_000);
+        expect(r.untilNextBirthday.totals.days).toBe(expectedDays);
+    });
+
+    it("leap-only: skips the non-leap century year 2100", () => {
+        const r = calculateAll(birthDate, new Date(2096, 2, 1), { leapPolicy: "leap-only" });
+        expect(r.nextBirthdayDate).toBe("2104-02-29");
+    });
+
+    it("every policy celebrates on 29 February in a leap year", () => {
+        for (const leapPolicy of ["feb28", "mar1", "leap-only"]) {
+            const r = calculateAll(birthDate, new Date(2028, 1, 29, 8, 0, 0), { leapPolicy });
+            expect(r.isBirthday).toBe(true);
+            expect(r.turningAge).toBe(28);
+        }
+    });
+
+    it("every policy agrees on 28 February in a leap year being the day before", () => {
+        for (const leapPolicy of ["feb28", "mar1", "leap-only"]) {
+            const r = calculateAll(birthDate, new Date(2028, 1, 28), { leapPolicy });
+            expect(r.isBirthday).toBe(false);
+            expect(r.nextBirthdayDate).toBe("2028-02-29");
+        }
+    });
+
+    it("does not affect birthdays on other days", () => {
+        const r = calculateAll(new Date(2000, 1, 28), new Date(2027, 1, 28), { leapPolicy: "mar1" });
+        expect(r.isBirthday).toBe(true);
+    });
+});
+
+describe("calculateAll() – time zones", () => {
+    // 2026-02-24 20:00 UTC = Feb 25 07:00 in Sydney, Feb 24 12:00 in Los Angeles
+    const now = new Date("2026-02-24T20:00:00Z");
+
+    it("zonedTime() resolves wall-clock midnight in the given zone", () => {
+        expect(zonedTime({ year: 1990, month: 1, day: 25 }, "Australia/Sydney").toISOString())
+            .toBe("1990-02-24T13:00:00.000Z");
+        expect(zonedTime({ year: 1990, month: 1, day: 25 }, "America/Los_Angeles").toISOString())
+            .toBe("1990-02-25T08:00:00.000Z");
+    });
+
+    it("zonedTime() moves wall-clock times skipped by DST past the gap", () => {
+        // Brussels jumps 02:00 → 03:00 on 2026-03-29
+        const d = zonedTime({ year: 2026, month: 2, day: 29, hour: 2, minute: 30 }, "Europe/Brussels");
+        expect(d.toISOString()).toBe("2026-03-29T01:30:00.000Z");
+    });
+
+    it("is the birthday in Sydney while it is still the day before in Los Angeles", () => {
+        const syd = calculateAll(
+            zonedTime({ year: 1990, month: 1, day: 25 }, "Australia/Sydney"), now,
+            { timeZone: "Australia/Sydney" }
+        );
+        expect(syd.isBirthday).toBe(true);
+        expect(syd.turningAge).toBe(36);
+        expect(syd.sinceBirth.components.hours).toBe(7);
+
+        const la = calculateAll(
+            zonedTime({ year: 1990, month: 1, day: 25 }, "America/Los_Angeles"), now,
+            { timeZone: "America/Los_Angeles" }
+        );
+        expect(la.isBirthday).toBe(false);
+        expect(la.nextBirthdayDate).toBe("2026-02-25");
+        expect(la.untilNextBirthday.components).toEqual({
+            months: 0, days: 0, hours: 12, minutes: 0, seconds: 0,
+        });
+        expect(la.untilNextBirthday.totals.hours).toBe(12);
+    });
+
+    it("birthday is formatted in the calculation zone", () => {
+        const birthDate = zonedTime({ year: 1990, month: 1, day: 25 }, "Australia/Sydney");
+        const r = calculateAll(birthDate, now, { timeZone: "Australia/Sydney" });
+        expect(r.birthday).toBe("1990-02-25");
+        expect(r.timeZone).toBe("Australia/Sydney");
+    });
+
+    it("countdown totals span a DST change using real elapsed time", () => {
+        // Brussels loses an hour on 2026-03-29: Mar 28 00:00 → Mar 30 00:00 is 47 h
+        const tz = "Europe/Brussels";
+        const birthDate = zonedTime({ year: 1990, month: 2, day: 30 }, tz);
+        const r = calculateAll(birthDate, zonedTime({ year: 2026, month: 2, day: 28 }, tz), { timeZone: tz });
+
+        expect(r.nextBirthdayDate).toBe("2026-03-30");
+        expect(r.untilNextBirthday.components.days).toBe(2);
+        expect(r.untilNextBirthday.totals.hours).toBe(47);
+    });
+
+    it("defaults to the local zone when no timeZone option is given", () => {
+        const r = calculateAll(new Date(2000, 0, 1), new Date(2026, 1, 24));
+        expect(r.timeZone).toBe(Intl.DateTimeFormat().resolvedOptions().timeZone);
+    });
+});
+
+describe("calculateAll() – calendars", () => {
+    const now = new Date("2026-10-19T10:00:00Z");
+    const calc = (birthday, calendar, at = now) =>
+        calculateAll(new Date(`${birthday}T00:00:00Z`), at, { timeZone: "UTC", calendar }).calendar;
+
+    it("maps the next birthday in each calendar back to a Gregorian date", () => {
+        expect(calc("1990-06-15", "hebrew").nextBirthday).toEqual({
+            date: "2027-06-27", formatted: "22 Sivan 5787", turningAge: 37,
+        });
+        expect(calc("1990-06-15", "islamic").nextBirthday).toMatchObject({
+            date: "2027-04-28", turningAge: 38,
+        });
+        expect(calc("1990-11-22", "persian").nextBirthday).toMatchObject({
+            date: "2026-11-22", formatted: "Azar 1, 1405 AP", turningAge: 36,
+        });
+        expect(calc("1990-11-22", "chinese").nextBirthday).toMatchObject({
+            date: "2026-11-14", turningAge: 36,
+        });
+    });
+
+    it("counts down to midnight of the next calendar birthday", () => {
+        const c = calc("1990-11-22", "persian");
+        expect(c.isBirthday).toBe(false);
+        expect(c.untilNextBirthday.components).toEqual({
+            years: 0, months: 1, days: 2, hours: 14, minutes: 0, seconds: 0,
+        });
+        expect(c.untilNextBirthday.totals.days).toBe(33);
+    });
+
+    it("observes Adar birthdays in Adar II of a Hebrew leap year", () => {
+        const c = calc("2023-03-10", "hebrew");
+        expect(c.birthDate.month).toBe("Adar");
+        expect(c.nextBirthday.formatted).toBe("17 Adar II 5787");
+    });
+
+    it("observes a Chinese leap-month birthday in the regular month", () => {
+        const c = calc("2020-05-25", "chinese");
+        expect(c.birthDate.month).toBe("4bis");
+        expect(c.nextBirthday).toMatchObject({ date: "2027-05-08", turningAge: 7 });
     });
 
-    it("isBirthday=false and turningAge=null on a non-birthday", () => {
-        const birthDate = new Date(1990, 2, 15); // Mar 15, 1990
-        const now = new Date(2026, 1, 24);       // Feb 24, 2026
+    it("isBirthday on the calendar birthday, with the countdown to the next one", () => {
+        const c = calc("1990-06-15", "hebrew", new Date("2027-06-27T10:00:00Z"));
+        expect(c.isBirthday).toBe(true);
+        expect(c.nextBirthday.formatted).toBe("22 Sivan 5788");
+    });
+});
 
-        const r = calculateAll(birthDate, now);
+describe("calculateAll() – units", () => {
+    const birth = new Date(Date.UTC(1990, 4, 14));
+    const units = (now, ids, options = {}) => Object.fromEntries(
+        calculateAll(birth, now, { timeZone: "UTC", units: ids, ...options }).units.map((u) => [u.id, u])
+    );
+
+    it("weeks and fortnights tick over on the weekday of birth", () => {
+        // 1990-05-14 was a Monday; 2026-10-19 is one too, 1901 weeks later
+        const u = units(new Date("2026-10-19T00:00:00Z"), ["weeks", "fortnights"]);
+        expect(u.weeks).toMatchObject({ value: 1901, completed: 1901, next: { count: 1902, date: "2026-10-26" } });
+        expect(u.fortnights.completed).toBe(950);
+        expect(u.fortnights.next.date).toBe("2026-10-26");
+    });
 
-        expect(r.isBirthday).toBe(false);
-        expect(r.turningAge).toBeNull();
-        expect(r.untilNextBirthday).not.toBeNull();
+    it("lunar months use the mean synodic month", () => {
+        const u = units(new Date("1990-06-12T12:44:02Z"), ["lunar-months"]);
+        expect(u["lunar-months"].completed).toBe(0);
+        expect(u["lunar-months"].next.at).toBe("1990-06-12T12:44:02.889Z");
     });
 
-    it("turningAge is correct at age 1 (exact)", () => {
-        const birthDate = new Date(2025, 1, 24); // Feb 24, 2025
-        const now = new Date(2026, 1, 24);       // Feb 24, 2026
+    it("decades complete on round birthdays", () => {
+        expect(units(new Date("2030-05-13T00:00:00Z"), ["decades"]).decades)
+            .toMatchObject({ completed: 3, next: { count: 4, date: "2030-05-14" } });
+        const u = units(new Date("2035-05-14T00:00:00Z"), ["decades"]).decades;
+        expect(u.completed).toBe(4);
+        expect(u.value).toBeCloseTo(4.5, 1);
+    });
 
-        const r = calculateAll(birthDate, now);
+    it("a 29 February birthday's decade follows the leap-day policy", () => {
+        const leap = new Date(Date.UTC(2000, 1, 29));
+        const next = (leapPolicy) => calculateAll(leap, new Date("2009-06-01T00:00:00Z"), {
+            timeZone: "UTC", units: ["decades"], leapPolicy,
+        }).units[0].next.date;
+        expect(next("feb28")).toBe("2010-02-28");
+        expect(next("mar1")).toBe("2010-03-01");
+        expect(next("leap-only")).toBe("2010-03-01");
+    });
 
-        expect(r.isBirthday).toBe(true);
-        expect(r.turningAge).toBe(1);
+    it("planetary ages divide by the orbital period", () => {
+        const u = units(new Date("2026-10-19T12:00:00Z"), ["mercury", "mars", "neptune"]);
+        expect(u.mercury).toMatchObject({ completed: 151, next: { count: 152, date: "2026-12-22" } });
+        expect(u.mars).toMatchObject({ value: 19.37, next: { count: 20, date: "2027-12-25" } });
+        expect(u.neptune).toMatchObject({ completed: 0, next: { count: 1, date: "2155-02-20" } });
+    });
+
+    it("the next planetary birthday is a whole number of orbits after birth", () => {
+        const u = units(new Date("2026-10-19T12:00:00Z"), ["mars"]).mars;
+        const orbits = (Date.parse(u.next.at) - birth.getTime()) / (686.98 * 86_400_000);
+        expect(orbits).toBeCloseTo(20, 9);
     });
 });
 
-describe("calculateAll() – untilNextBirthday", () => {
-    it("nextBirthdayDate stays this year when birthday hasn't passed yet", () => {
-        const birthDate = new Date(1990, 2, 15); // Mar 15, 1990
-        const now = new Date(2026, 1, 24);       // Feb 24, 2026 – before Mar 15
+describe("birthFacts()", () => {
+    const facts = (ymd, options = {}) => {
+        const [year, month, day] = ymd.split("-").map(Number);
+        return birthFacts(zonedTime({ year, month: month - 1, day }, "UTC"), { timeZone: "UTC", ...options });
+    };
+
+    it.each([
+        ["2021-01-01", 2020, 53],
+        ["2018-12-31", 2019, 1],
+        ["2016-01-03", 2015, 53],
+        ["2020-12-31", 2020, 53],
+        ["1990-01-01", 1990, 1],
+    ])("%s is in ISO week %i-W%i", (ymd, year, week) => {
+        expect(facts(ymd).isoWeek).toEqual({ year, week });
+    });
 
-        const r = calculateAll(birthDate, now);
+    it("counts the day of the year, with leap years", () => {
+        expect(facts("2024-12-31").dayOfYear).toBe(366);
+        expect(facts("2023-12-31").dayOfYear).toBe(365);
+        expect(facts("2000-03-01").dayOfYear).toBe(61);
+    });
 
-        expect(r.nextBirthdayDate).toBe("2026-03-15");
+    it.each([
+        ["2000-01-19", "capricorn"],
+        ["2000-01-20", "aquarius"],
+        ["2000-03-20", "pisces"],
+        ["2000-03-21", "aries"],
+        ["2000-02-29", "pisces"],
+        ["2000-12-21", "sagittarius"],
+        ["2000-12-22", "capricorn"],
+    ])("%s is %s", (ymd, sign) => {
+        expect(facts(ymd).westernZodiac.id).toBe(sign);
     });
 
-    it("nextBirthdayDate rolls to next year when birthday already passed this year", () => {
-        const birthDate = new Date(1990, 0, 10); // Jan 10, 1990
-        const now = new Date(2026, 1, 24);       // Feb 24, 2026 – Jan 10 already passed
+    it("the Chinese year changes at the lunar new year, not on 1 January", () => {
+        // Lunar new year 1990 fell on 27 January
+        expect(facts("1990-01-26").chineseZodiac).toMatchObject({ id: "snake", element: { id: "earth" } });
+        expect(facts("1990-01-27").chineseZodiac).toMatchObject({ id: "horse", element: { id: "metal" } });
+        expect(facts("1984-02-02").chineseZodiac).toMatchObject({ id: "rat", element: { id: "wood" } });
+    });
 
-        const r = calculateAll(birthDate, now);
+    it("birthstone and flower follow the month", () => {
+        expect(facts("1985-07-04")).toMatchObject({ birthstone: { id: "ruby" }, birthFlower: { id: "larkspur" } });
+    });
 
-        expect(r.nextBirthdayDate).toBe("2027-01-10");
+    it("generation boundaries are inclusive, and null outside the table", () => {
+        expect(facts("1980-12-31").generation.id).toBe("gen-x");
+        expect(facts("1981-01-01").generation.id).toBe("millennials");
+        expect(facts("1850-06-01").generation).toBeNull();
     });
 
-    it("untilNextBirthday components are all non-negative", () => {
-        const birthDate = new Date(1990, 5, 20); // June 20, 1990
-        const now = new Date(2026, 1, 24);       // Feb 24, 2026
+    it("reads the day of birth in the time zone", () => {
+        // 23:30 UTC on a Sunday is already Monday in Tokyo
+        const birth = new Date("1990-05-13T23:30:00Z");
+        expect(birthFacts(birth, { timeZone: "UTC" }).weekday.id).toBe("sunday");
+        expect(birthFacts(birth, { timeZone: "Asia/Tokyo" }).weekday.id).toBe("monday");
+    });
 
-        const r = calculateAll(birthDate, now);
+    it("falls back to English names for a language without them", () => {
+        expect(facts("1990-05-14", { locale: "de" }).westernZodiac.name).toBe("Taurus");
+    });
+});
 
-        const c = r.untilNextBirthday.components;
-        expect(c.months).toBeGreaterThanOrEqual(0);
-        expect(c.days).toBeGreaterThanOrEqual(0);
-        expect(c.hours).toBeGreaterThanOrEqual(0);
-        expect(c.minutes).toBeGreaterThanOrEqual(0);
-        expect(c.seconds).toBeGreaterThanOrEqual(0);
+describe("calculateComparison()", () => {
+    const opts = { timeZone: "UTC", leapPolicy: "mar1" };
+    const person = (name, y, m, d) => ({
+        name, birthDate: zonedTime({ year: y, month: m, day: d }, "UTC"),
     });
 
-    it("untilNextBirthday totals are in correct ascending order", () => {
-        const birthDate = new Date(1990, 5, 20);        // June 20
-        const now = new Date(2026, 1, 24, 10, 30, 0);  // Feb 24, 2026 10:30
+    it("2:1 falls when the younger one is as old as the gap", () => {
+        const r = calculateComparison(
+            person("A", 1990, 0, 1), person("B", 2000, 0, 1), new Date("2026-02-24T00:00:00Z"), opts
+        );
+        const two = r.ratios.find((x) => x.ratio === 2);
+        // gap = 3652 days (1990-01-01 → 2000-01-01); B is 3652 days old on 2009-12-31
+        expect(two.date).toBe("2009-12-31");
+        expect(two.reached).toBe(true);
+    });
 
-        const r = calculateAll(birthDate, now);
-        const t = r.untilNextBirthday.totals;
+    it("has no ratios and no older person for identical birthdays", () => {
+        const r = calculateComparison(
+            person("A", 1990, 4, 1), person("B", 1990, 4, 1), new Date("2026-02-24T00:00:00Z"), opts
+        );
+        expect(r.older).toBeNull();
+        expect(r.ratios).toEqual([]);
+        expect(r.gap.totals.seconds).toBe(0);
+        expect(r.sharedBirthdayWindow).toEqual({ from: "2026-05-01", to: "2026-05-01", days: 0 });
+    });
 
-        expect(t.days).toBeGreaterThan(0);
-        expect(t.hours).toBeGreaterThan(t.days);
-        expect(t.minutes).toBeGreaterThan(t.hours);
-        expect(t.seconds).toBeGreaterThan(t.minutes);
+    it("sharedBirthdayWindow spans a year boundary", () => {
+        const r = calculateComparison(
+            person("A", 1990, 11, 20), person("B", 1985, 0, 10), new Date("2026-02-24T00:00:00Z"), opts
+        );
+        expect(r.sharedBirthdayWindow).toEqual({ from: "2026-12-20", to: "2027-01-10", days: 21 });
     });
 
-    it("untilNextBirthday.totals.days matches Math.floor(diffMs/86400000)", () => {
-        const birthDate = new Date(1990, 5, 20);       // June 20
-        const now = new Date(2026, 1, 24, 0, 0, 0);   // Feb 24, 2026 midnight
+    it("sharedBirthdayWindow includes a birthday that is today", () => {
+        const r = calculateComparison(
+            person("A", 1990, 1, 24), person("B", 1985, 2, 10), new Date("2026-02-24T15:00:00Z"), opts
+        );
+        expect(r.sharedBirthdayWindow.from).toBe("2026-02-24");
+        expect(r.sharedBirthdayWindow.to).toBe("2026-03-10");
+    });
 
-        const r = calculateAll(birthDate, now);
+    it("sharedBirthdayWindow is null when birthdays are more than a month apart", () => {
+        const r = calculateComparison(
+            person("A", 1990, 0, 1), person("B", 1985, 6, 1), new Date("2026-02-24T00:00:00Z"), opts
+        );
+        expect(r.sharedBirthdayWindow).toBeNull();
+    });
 
-        // nextBd = June 20, 2026
-        const nextBd = new Date(2026, 5, 20);
-        const expectedDays = Math.floor((nextBd - now) / 86_400_000);
-        expect(r.untilNextBirthday.totals.days).toBe(expectedDays);
+    it("sharedBirthdayWindow follows the leap-day policy", () => {
+        const a = person("A", 2000, 1, 29);
+        const b = person("B", 1990, 2, 28);
+        const now = new Date("2026-03-02T00:00:00Z");
+
+        // mar1: A's next birthday is 2027-03-01, four weeks before B's
+        expect(calculateComparison(a, b, now, { ...opts, leapPolicy: "mar1" }).sharedBirthdayWindow)
+            .toEqual({ from: "2027-03-01", to: "2027-03-28", days: 27 });
+        // leap-only: A waits until 2028-02-29, and 2028-03-28 is within a month of it
+        expect(calculateComparison(a, b, now, { ...opts, leapPolicy: "leap-only" }).sharedBirthdayWindow)
+            .toEqual({ from: "2028-02-29", to: "2028-03-28", days: 28 });
+    });
+});
+
+describe("checkEligibility()", () => {
+    const day = (ymd, timeZone = "UTC") => {
+        const [year, month, d] = ymd.split("-").map(Number);
+        return zonedTime({ year, month: month - 1, day: d }, timeZone);
+    };
+    const check = (birthday, asOf, options) =>
+        checkEligibility(day(birthday), day(asOf), { timeZone: "UTC", leapPolicy: "mar1", ...options });
+
+    it.each([
+        // birthday, asOf, age, eligible, qualifiesOn, daysRemaining
+        ["2008-06-15", "2026-06-14", 17, false, "2026-06-15", 1],
+        ["2008-06-15", "2026-06-15", 18, true, "2026-06-15", 0],
+        ["2008-06-15", "2026-06-16", 18, true, "2026-06-15", 0],
+        ["2008-01-01", "2025-12-31", 17, false, "2026-01-01", 1],
+        ["2007-12-31", "2025-12-31", 18, true, "2025-12-31", 0],
+        ["2008-01-31", "2026-01-30", 17, false, "2026-01-31", 1],
+        ["2008-03-31", "2026-02-28", 17, false, "2026-03-31", 31],
+        ["2008-04-30", "2026-04-30", 18, true, "2026-04-30", 0],
+        ["2008-08-31", "2026-08-30", 17, false, "2026-08-31", 1],
+        ["2008-06-15", "2008-06-15", 0, false, "2026-06-15", 6574],
+    ])("born %s, on %s: age %i, eligible %s", (birthday, asOf, age, eligible, qualifiesOn, daysRemaining) => {
+        const r = check(birthday, asOf, { minAge: 18 });
+        expect(r).toMatchObject({ age, eligible, qualifiesOn, daysRemaining });
+        expect(r.reason).toBe(eligible ? null : "tooYoung");
+    });
+
+    it.each([
+        // leapPolicy, asOf, age, qualifiesOn
+        ["feb28", "2026-02-27", 17, "2026-02-28"],
+        ["feb28", "2026-02-28", 18, "2026-02-28"],
+        ["mar1", "2026-02-28", 17, "2026-03-01"],
+        ["mar1", "2026-03-01", 18, "2026-03-01"],
+    ])("29 February birthday under %s, on %s: age %i", (leapPolicy, asOf, age, qualifiesOn) => {
+        const r = check("2008-02-29", asOf, { minAge: 18, leapPolicy });
+        expect(r.age).toBe(age);
+        expect(r.qualifiesOn).toBe(qualifiesOn);
+        expect(r.eligible).toBe(age >= 18);
+    });
+
+    it("a 29 February birthday qualifies on 29 February only in leap years", () => {
+        for (const leapPolicy of ["feb28", "mar1"]) {
+            const r = check("2012-02-29", "2030-02-28", { minAge: 18, leapPolicy });
+            expect(r.qualifiesOn).toBe(leapPolicy === "feb28" ? "2030-02-28" : "2030-03-01");
+            expect(check("2012-02-29", "2032-02-28", { minAge: 20, leapPolicy }).qualifiesOn)
+                .toBe("2032-02-29");
+        }
+    });
+
+    it("eligibleUntil is the last day before turning maxAge + 1", () => {
+        expect(check("1960-03-01", "2025-02-28", { maxAge: 65 }))
+            .toMatchObject({ age: 64, eligible: true, eligibleUntil: "2026-02-28" });
+        expect(check("1960-03-01", "2026-02-28", { maxAge: 65 }))
+            .toMatchObject({ age: 65, eligible: true });
+        expect(check("1960-03-01", "2026-03-01", { maxAge: 65 }))
+            .toMatchObject({ age: 66, eligible: false, reason: "tooOld" });
+        // Across the end of a leap February
+        expect(check("1963-03-01", "2028-01-01", { maxAge: 65 }).eligibleUntil).toBe("2029-02-28");
+        expect(check("1962-03-01", "2028-01-01", { maxAge: 65 }).eligibleUntil).toBe("2028-02-29");
+    });
+
+    it("a range of a single age", () => {
+        expect(check("2008-06-15", "2026-06-15", { minAge: 18, maxAge: 18 }))
+            .toMatchObject({ eligible: true, qualifiesOn: "2026-06-15", eligibleUntil: "2027-06-14" });
+    });
+
+    it("minAge 0 is met on the day of birth", () => {
+        expect(check("2026-01-10", "2026-01-10", { minAge: 0 }))
+            .toMatchObject({ age: 0, eligible: true, daysRemaining: 0 });
+    });
+
+    it("reads asOf as a calendar day in the time zone", () => {
+        // 2026-06-14T23:30Z is already 15 June in Tokyo, still 14 June in New York
+        const asOf = new Date("2026-06-14T23:30:00Z");
+        for (const [timeZone, eligible] of [["Asia/Tokyo", true], ["America/New_York", false]]) {
+            const r = checkEligibility(day("2008-06-15", timeZone), asOf, { timeZone, minAge: 18 });
+            expect(r.eligible).toBe(eligible);
+        }
+    });
+
+    it("daysRemaining counts calendar days across a DST change", () => {
+        const timeZone = "Europe/Brussels";
+        const r = checkEligibility(day("2008-04-01", timeZone), day("2026-03-01", timeZone), {
+            timeZone, minAge: 18,
+        });
+        expect(r.daysRemaining).toBe(31);
+    });
+});
+
+describe("buildBirthdayCalendar()", () => {
+    const now = new Date("2026-02-24T12:00:00Z");
+    const opts = { timeZone: "UTC", leapPolicy: "mar1" };
+    const lines = (ics) => ics.split("\r\n");
+    const events = (ics) => ics.split("BEGIN:VEVENT").slice(1);
+
+    it("emits a yearly recurring all-day master event", () => {
+        const ics = buildBirthdayCalendar(new Date(Date.UTC(1990, 4, 14)), now, { ...opts, name: "Ann" });
+        const master = events(ics)[0];
+
+        expect(lines(ics)).toEqual(expect.arrayContaining([
+            "VERSION:2.0", "PRODID:-//AgeDiff//Birthday Calendar//EN", "CALSCALE:GREGORIAN",
+        ]));
+        expect(master).toContain("RRULE:FREQ=YEARLY\r\n");
+        expect(master).toContain("DTSTART;VALUE=DATE:19900514");
+        expect(master).toContain("DTEND;VALUE=DATE:19900515");
+        expect(master).toContain("SUMMARY:Ann's birthday");
+        expect(master).toMatch(/DTSTAMP:20260224T120000Z/);
+    });
+
+    it("overrides the next occurrences with a turning-N summary", () => {
+        const ics = buildBirthdayCalendar(new Date(Date.UTC(1990, 4, 14)), now, { ...opts, name: "Ann", years: 3 });
+        const overrides = events(ics).slice(1);
+
+        expect(overrides).toHaveLength(3);
+        expect(overrides[0]).toContain("RECURRENCE-ID;VALUE=DATE:20260514");
+        expect(overrides[0]).toContain("SUMMARY:Ann turns 36");
+        expect(overrides[2]).toContain("SUMMARY:Ann turns 38");
+        // Overrides belong to the same series
+        const uids = events(ics).map((e) => /UID:(.*)/.exec(e)[1]);
+        expect(new Set(uids).size).toBe(1);
+    });
+
+    it("today's birthday is the first override", () => {
+        const ics = buildBirthdayCalendar(new Date(Date.UTC(1990, 1, 24)), now, { ...opts, years: 1 });
+        expect(events(ics)[1]).toContain("RECURRENCE-ID;VALUE=DATE:20260224");
+        expect(events(ics)[1]).toContain("SUMMARY:Turning 36");
+    });
+
+    it.each([
+        ["feb28", "RRULE:FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1", "20260228"],
+        ["mar1", "RRULE:FREQ=YEARLY;BYYEARDAY=60", "20260301"],
+        ["leap-only", "RRULE:FREQ=YEARLY\r\n", "20280229"],
+    ])("29 February birthdays recur per the %s policy", (leapPolicy, rrule, firstOverride) => {
+        const ics = buildBirthdayCalendar(new Date(Date.UTC(2000, 1, 29)), now, {
+            ...opts, leapPolicy, years: 1,
+        });
+        expect(events(ics)[0]).toContain(rrule);
+        expect(events(ics)[1]).toContain(`RECURRENCE-ID;VALUE=DATE:${firstOverride}`);
+    });
+
+    it("adds a VALARM per reminder to every event", () => {
+        const ics = buildBirthdayCalendar(new Date(Date.UTC(1990, 4, 14)), now, {
+            ...opts, reminders: [7, 1, 0], years: 2,
+        });
+        for (const e of events(ics)) {
+            expect(e.match(/BEGIN:VALARM/g)).toHaveLength(3);
+            expect(e).toContain("TRIGGER:-P7D");
+            expect(e).toContain("TRIGGER:-P1D");
+            expect(e).toContain("TRIGGER:PT0S");
+            expect(e).toContain("DESCRIPTION:Birthday in 1 day\r\n");
+        }
+    });
+
+    it("escapes text values and folds long lines at 75 octets", () => {
+        const name = "Zoë; the, very long-named person with a name that does not fit on one line";
+        const ics = buildBirthdayCalendar(new Date(Date.UTC(1990, 4, 14)), now, { ...opts, name });
+
+        for (const line of lines(ics)) {
+            expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+        }
+        const unfolded = ics.replace(/\r\n /g, "");
+        expect(unfolded).toContain("SUMMARY:Zoë\\; the\\, very long-named person");
+    });
+});
+
+describe("dueReminders()", () => {
+    const now = new Date("2026-03-10T12:00:00Z");
+    const options = { timeZone: "UTC", leapPolicy: "mar1", days: [7, 1, 0] };
+    const person = (id, birthday) => ({
+        id,
+        name: id,
+        birthday,
+        calculation: calculateAll(new Date(`${birthday}T00:00:00Z`), now, options),
+    });
+
+    it("is due exactly the configured number of days before each birthday", () => {
+        const due = dueReminders([
+            person("week", "1990-03-17"),
+            person("between", "1990-03-15"),
+            person("tomorrow", "1990-03-11"),
+            person("today", "1990-03-10"),
+            person("far", "1990-03-30"),
+        ], now, options);
+
+        expect(due.map((r) => [r.person.id, r.daysBefore, r.inDays])).toEqual([
+            ["today", 0, 0],
+            ["tomorrow", 1, 1],
+            ["week", 7, 7],
+        ]);
+        expect(due[0].key).toBe("today:2026-03-10:0");
+        expect(due[0].message).toBe("today turns 36 today!");
+        expect(due[1].message).toBe("tomorrow turns 36 in 1 day (2026-03-11).");
+    });
+
+    it("sends nothing on the birthday itself unless 0 is configured", () => {
+        const people = [person("today", "1990-03-10"), person("tomorrow", "1990-03-11")];
+        const due = dueReminders(people, now, { ...options, days: [7, 1] });
+        expect(due.map((r) => [r.person.id, r.daysBefore, r.inDays])).toEqual([["tomorrow", 1, 1]]);
+    });
+
+    it("is empty when no reminder days are configured", () => {
+        expect(dueReminders([person("today", "1990-03-10")], now, { ...options, days: [] })).toEqual([]);
+    });
+});
+
+describe("calculateMilestones()", () => {
+    const opts = { timeZone: "UTC" };
+    const birthDate = new Date(Date.UTC(2000, 0, 31)); // Jan 31, 2000
+
+    it("month milestones stop at the end of a shorter month", () => {
+        const r = calculateMilestones(birthDate, new Date(Date.UTC(2000, 0, 31)), {
+            ...opts, definitions: [{ unit: "months", value: 1 }],
+        });
+        expect(r.upcoming[0].date).toBe("2000-02-29");
+    });
+
+    it("week and day milestones count calendar days", () => {
+        const r = calculateMilestones(birthDate, new Date(Date.UTC(2000, 0, 31)), {
+            ...opts,
+            definitions: [{ unit: "weeks", value: 2 }, { unit: "days", value: 10 }],
+        });
+        expect(r.upcoming.map((m) => m.date)).toEqual(["2000-02-10", "2000-02-14"]);
+    });
+
+    it("day milestones keep the wall-clock date across DST changes", () => {
+        const tz = "Europe/Brussels";
+        const bd = zonedTime({ year: 2026, month: 2, day: 1 }, tz);
+        const r = calculateMilestones(bd, bd, {
+            timeZone: tz, definitions: [{ unit: "days", value: 100 }],
+        });
+        expect(r.upcoming[0].date).toBe("2026-06-09");
+        expect(r.upcoming[0].at).toBe(zonedTime({ year: 2026, month: 5, day: 9 }, tz).toISOString());
+    });
+
+    it("upcoming milestones carry a countdown", () => {
+        const now = new Date(Date.UTC(2000, 1, 15, 12, 0, 0));
+        const r = calculateMilestones(birthDate, now, {
+            ...opts, definitions: [{ unit: "days", value: 10 }, { unit: "years", value: 1 }],
+        });
+        expect(r.past.map((m) => m.id)).toEqual(["10-days"]);
+        expect(r.upcoming[0].id).toBe("1-years");
+        expect(r.upcoming[0].date).toBe("2001-01-31");
+        expect(r.upcoming[0].countdown.totals.days).toBe(350);
+    });
+
+    it("a milestone reached at exactly now counts as past", () => {
+        const r = calculateMilestones(birthDate, new Date(Date.UTC(2000, 1, 10)), {
+            ...opts, definitions: [{ unit: "days", value: 10 }],
+        });
+        expect(r.past).toHaveLength(1);
+        expect(r.upcoming).toHaveLength(0);
+    });
+});
+
+describe("loadMilestoneDefinitions()", () => {
+    const file = path.join(OUTPUT_DIR, "milestones.json");
+
+    it("loads a valid definition list", () => {
+        fs.writeFileSync(file, JSON.stringify([{ unit: "days", value: 12345, label: "Lucky" }]));
+        expect(loadMilestoneDefinitions(file)).toEqual([{ unit: "days", value: 12345, label: "Lucky" }]);
+    });
+
+    it("rejects an unknown unit", () => {
+        fs.writeFileSync(file, JSON.stringify([{ unit: "fortnights", value: 100 }]));
+        expect(() => loadMilestoneDefinitions(file)).toThrow(/index 0/);
+    });
+
+    it("rejects a non-array document", () => {
+        fs.writeFileSync(file, JSON.stringify({ unit: "days", value: 100 }));
+        expect(() => loadMilestoneDefinitions(file)).toThrow(/JSON array/);
     });
 });
 
@@ -497,17 +2860,17 @@ describe("writeSummaryFile() – file output (via /api/calculate)", () => {
 
         await request(app).get("/api/calculate?birthday=1990-01-15");
         // Give the async write a moment to complete
-        await new Promise((resolve) => setTimeout(resolve, 300));
+        await summaryWritesSettled();
 
         expect(fs.existsSync(filePath)).toBe(true);
     });
 
     it("summary file contains the birthday that was requested", async () => {
         await request(app).get("/api/calculate?birthday=1985-07-04");
-        await new Promise((resolve) => setTimeout(resolve, 300));
+        await summaryWritesSettled();
 
         const content = fs.readFileSync(filePath, "utf8");
-        expect(content).toContain("1985-07-04");
+        expect(content).toContain("July 4, 1985");
     });
 
     it("summary file contains 'Time Since Birth' section header", async () => {
@@ -518,7 +2881,7 @@ describe("writeSummaryFile() – file output (via /api/calculate)", () => {
         const bd = `1988-${String(safeMonth + 1).padStart(2, "0")}-${String(safeDay).padStart(2, "0")}`;
 
         await request(app).get(`/api/calculate?birthday=${bd}`);
-        await new Promise((resolve) => setTimeout(resolve, 300));
+        await summaryWritesSettled();
 
         const content = fs.readFileSync(filePath, "utf8");
         expect(content).toContain("Time Since Birth");
@@ -531,25 +2894,341 @@ describe("writeSummaryFile() – file output (via /api/calculate)", () => {
         const bd = `1988-${String(safeMonth + 1).padStart(2, "0")}-${String(safeDay).padStart(2, "0")}`;
 
         await request(app).get(`/api/calculate?birthday=${bd}`);
-        await new Promise((resolve) => setTimeout(resolve, 300));
+        await summaryWritesSettled();
 
         const content = fs.readFileSync(filePath, "utf8");
         expect(content).toContain("Time Until Next Birthday");
     });
 
+    it("summary file records the time zone of the calculation", async () => {
+        await request(app).get("/api/calculate?birthday=1985-07-04&tz=Asia/Tokyo");
+        await summaryWritesSettled();
+
+        const content = fs.readFileSync(filePath, "utf8");
+        expect(content).toMatch(/Time zone:\s+Asia\/Tokyo/);
+    });
+
+    it("summary file shows the time of birth when one is given", async () => {
+        await request(app).get("/api/calculate?birthday=1985-07-04T06:15&tz=UTC");
+        await summaryWritesSettled();
+
+        const content = fs.readFileSync(filePath, "utf8");
+        expect(content).toContain("July 4, 1985 6:15:00 AM");
+    });
+
+    it("summary file names the leap-day policy for 29 February birthdays", async () => {
+        await request(app).get("/api/calculate?birthday=1996-02-29&leapPolicy=feb28");
+        await summaryWritesSettled();
+
+        const content = fs.readFileSync(filePath, "utf8");
+        expect(content).toContain("celebrated on 28 February in common years");
+    });
+
+    it("summary file contains a Milestones section", async () => {
+        await request(app).get("/api/calculate?birthday=1985-07-04");
+        await summaryWritesSettled();
+
+        const content = fs.readFileSync(filePath, "utf8");
+        expect(content).toContain("-- Milestones");
+        expect(content).toContain("Coming Up:");
+    });
+
     it("summary file says HAPPY BIRTHDAY on birthday", async () => {
         const today = new Date();
         const birthdayYear = today.getFullYear() - 25;
         const bd = `${birthdayYear}-${String(today.getMonth() + 1).padStart(2, "0")}-${String(today.getDate()).padStart(2, "0")}`;
 
         await request(app).get(`/api/calculate?birthday=${bd}`);
-        await new Promise((resolve) => setTimeout(resolve, 300));
+        await summaryWritesSettled();
 
         const content = fs.readFileSync(filePath, "utf8");
         expect(content).toContain("HAPPY BIRTHDAY");
     });
 });
 
+// ===========================================================================
+// writeSummaryFile() – additional output formats (via /api/calculate)
+// ===========================================================================
+
+describe("writeSummaryFile() – output formats", () => {
+    const summaryPath = (ext) => path.join(OUTPUT_DIR, `age_summary.${ext}`);
+
+    beforeAll(async () => {
+        for (const ext of ["txt", "json", "md", "csv", "html"]) {
+            try { fs.unlinkSync(summaryPath(ext)); } catch { /* file may not exist */ }
+        }
+        await request(app).get("/api/calculate?birthday=1985-07-04&tz=UTC&format=md,json,csv,html");
+        await summaryWritesSettled();
+    });
+
+    it("writes every requested format next to the text file", () => {
+        for (const ext of ["txt", "json", "md", "csv", "html"]) {
+            expect(fs.existsSync(summaryPath(ext))).toBe(true);
+        }
+    });
+
+    it("JSON summary holds the full result, including milestones", () => {
+        const json = JSON.parse(fs.readFileSync(summaryPath("json"), "utf8"));
+        expect(json.birthday).toBe("1985-07-04");
+        expect(json.sinceBirth.totals.days).toBeGreaterThan(0);
+        expect(json.milestones.past.length).toBeGreaterThan(0);
+    });
+
+    it("Markdown summary has the report sections", () => {
+        const md = fs.readFileSync(summaryPath("md"), "utf8");
+        expect(md).toMatch(/^# /);
+        expect(md).toContain("- **Birthday:** July 4, 1985");
+        expect(md).toContain("## Time Since Birth");
+        expect(md).toContain("| Years |");
+        expect(md).toContain("## Milestones");
+    });
+
+    it("CSV summary is section,key,value rows", () => {
+        const rows = fs.readFileSync(summaryPath("csv"), "utf8").trim().split("\r\n");
+        expect(rows[0]).toBe("section,key,value");
+        expect(rows).toContain("info,Birthday,1985-07-04");
+        expect(rows.some((r) => r.startsWith("sinceBirth.totals,days,"))).toBe(true);
+        // Labels with thousands separators are quoted
+        expect(rows).toContain('milestones.past,"10,000 days",2012-11-19');
+    });
+
+    it("HTML summary is a standalone page", () => {
+        const html = fs.readFileSync(summaryPath("html"), "utf8");
+        expect(html).toMatch(/^<!DOCTYPE html>/);
+        expect(html).toContain("<h2>Time Since Birth</h2>");
+        expect(html).not.toMatch(/<link|<script/);
+    });
+
+    it("400 for an unknown format", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1985-07-04&format=md,pdf");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/txt, json, md, csv, html/);
+    });
+
+    it("birthday banner appears in every format on the birthday", async () => {
+        const today = new Date();
+        const bd = `${today.getFullYear() - 40}-${String(today.getMonth() + 1).padStart(2, "0")}-${String(today.getDate()).padStart(2, "0")}`;
+
+        await request(app).get(`/api/calculate?birthday=${bd}&format=md,csv,html`);
+        await summaryWritesSettled();
+
+        expect(fs.readFileSync(summaryPath("md"), "utf8")).toContain("You are turning **40** today!");
+        expect(fs.readFileSync(summaryPath("html"), "utf8")).toContain("You are turning 40 today!");
+        expect(fs.readFileSync(summaryPath("csv"), "utf8")).toContain("birthday,turningAge,40");
+    });
+});
+
+// ===========================================================================
+// Localisation – lang and Accept-Language
+// ===========================================================================
+
+describe("Localisation", () => {
+    const summaryPath = (ext) => path.join(OUTPUT_DIR, `age_summary.${ext}`);
+    const writeSummary = async (query, headers = {}) => {
+        const res = await request(app).get(`/api/calculate?${query}`).set(headers);
+        await summaryWritesSettled();
+        return res;
+    };
+
+    it("defaults to English", async () => {
+        // Wait for its summary write so it can't overwrite the next test's
+        const res = await writeSummary("birthday=1985-07-04");
+        expect(res.body.locale).toBe("en");
+    });
+
+    it("writes a Dutch report for lang=nl", async () => {
+        const res = await writeSummary("birthday=1985-07-04&tz=UTC&lang=nl&format=txt,md");
+        expect(res.body.locale).toBe("nl");
+
+        const txt = fs.readFileSync(summaryPath("txt"), "utf8");
+        expect(txt).toContain("Verjaardag:");
+        expect(txt).toContain("4 juli 1985");
+        expect(txt).toContain("-- Tijd sinds je geboorte");
+        expect(fs.readFileSync(summaryPath("md"), "utf8")).toContain("| Eenheid | Deel | Totaal |");
+    });
+
+    it("picks French from Accept-Language", async () => {
+        const res = await writeSummary("birthday=1985-07-04&tz=UTC&format=html",
+            { "Accept-Language": "fr-BE,fr;q=0.9,en;q=0.5" });
+        expect(res.body.locale).toBe("fr");
+
+        const html = fs.readFileSync(summaryPath("html"), "utf8");
+        expect(html).toContain('<html lang="fr">');
+        expect(html).toContain("<h2>Temps depuis la naissance</h2>");
+        expect(html).toContain("4 juillet 1985");
+    });
+
+    it("lang takes precedence over Accept-Language and accepts region tags", async () => {
+        const res = await request(app)
+            .get("/api/calculate?birthday=1985-07-04&lang=nl-BE")
+            .set("Accept-Language", "fr");
+        expect(res.body.locale).toBe("nl");
+    });
+
+    it("CSV keeps English keys and raw values whatever the language", async () => {
+        await writeSummary("birthday=1985-07-04&tz=UTC&lang=fr&format=csv");
+        const rows = fs.readFileSync(summaryPath("csv"), "utf8").trim().split("\r\n");
+        expect(rows).toContain("info,Birthday,1985-07-04");
+    });
+
+    it("uses singular and plural unit names", async () => {
+        const today = new Date();
+        const lastYear = fmtDate(new Date(today.getFullYear() - 1, today.getMonth(), 1));
+        await writeSummary(`birthday=${lastYear}&format=txt`);
+        const txt = fs.readFileSync(summaryPath("txt"), "utf8");
+        expect(txt).toMatch(/\b1 year,/);
+        expect(txt).not.toContain("1 years");
+    });
+
+    it("localises milestone labels", async () => {
+        const res = await request(app).get("/api/milestones?birthday=1990-05-14&tz=UTC&lang=nl");
+        const byId = Object.fromEntries(
+            [...res.body.past, ...res.body.upcoming].map((m) => [m.id, m])
+        );
+        expect(byId["10000-days"].label).toBe("10.000 dagen");
+        expect(byId["1000000000-seconds"].label).toBe("1 miljard seconden");
+    });
+
+    it("400 for an unsupported language", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1985-07-04&lang=de");
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe("lang must be one of en, nl, fr.");
+    });
+});
+
+// ===========================================================================
+// Summary history – /api/summaries
+// ===========================================================================
+
+describe("Summary history", () => {
+    const historyDir = path.join(OUTPUT_DIR, "summaries");
+
+    it("/api/calculate returns a summaryId made of a timestamp and a random suffix", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1990-06-15");
+        expect(res.status).toBe(200);
+        expect(res.body.summaryId).toMatch(/^\d{8}T\d{6}Z-[0-9a-f]{8}$/);
+    });
+
+    it("writes each calculation to its own file and lists it", async () => {
+        const a = await request(app).get("/api/calculate?birthday=1970-01-02&format=md");
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        const b = await request(app).get("/api/calculate?birthday=1970-01-03");
+        await summaryWritesSettled();
+
+        expect(a.body.summaryId).not.toBe(b.body.summaryId);
+        expect(fs.existsSync(path.join(historyDir, `${a.body.summaryId}.txt`))).toBe(true);
+        expect(fs.existsSync(path.join(historyDir, `${a.body.summaryId}.md`))).toBe(true);
+        expect(fs.existsSync(path.join(historyDir, `${b.body.summaryId}.txt`))).toBe(true);
+
+        const res = await request(app).get("/api/summaries");
+        expect(res.status).toBe(200);
+        const ids = res.body.summaries.map((e) => e.id);
+        // Newest first
+        expect(ids.indexOf(b.body.summaryId)).toBeLessThan(ids.indexOf(a.body.summaryId));
+
+        const entry = res.body.summaries.find((e) => e.id === a.body.summaryId);
+        expect(entry.birthday).toBe("1970-01-02");
+        expect(entry.formats).toEqual(["txt", "md"]);
+    });
+
+    it("concurrent calculations all make it into the index", async () => {
+        const results = await Promise.all(
+            ["1971-01-01", "1971-01-02", "1971-01-03", "1971-01-04"].map((bd) =>
+                request(app).get(`/api/calculate?birthday=${bd}`))
+        );
+        await summaryWritesSettled();
+
+        const ids = (await request(app).get("/api/summaries")).body.summaries.map((e) => e.id);
+        for (const r of results) expect(ids).toContain(r.body.summaryId);
+    });
+
+    it("downloads a summary by id, as text by default", async () => {
+        const calc = await request(app).get("/api/calculate?birthday=1972-03-04&format=json");
+        await summaryWritesSettled();
+
+        const txt = await request(app).get(`/api/summaries/${calc.body.summaryId}`);
+        expect(txt.status).toBe(200);
+        expect(txt.headers["content-disposition"]).toMatch(/attachment/);
+        expect(txt.text).toContain("March 4, 1972");
+
+        const json = await request(app).get(`/api/summaries/${calc.body.summaryId}?format=json`);
+        expect(json.status).toBe(200);
+        expect(json.body.birthday).toBe("1972-03-04");
+    });
+
+    it("404 for a format the summary wasn't written in", async () => {
+        const calc = await request(app).get("/api/calculate?birthday=1972-03-05");
+        await summaryWritesSettled();
+
+        const res = await request(app).get(`/api/summaries/${calc.body.summaryId}?format=html`);
+        expect(res.status).toBe(404);
+        expect(res.body.error).toMatch(/txt/);
+    });
+
+    it("summary=false calculates without writing a summary", async () => {
+        const before = fs.readdirSync(historyDir);
+        const res = await request(app).get("/api/calculate?birthday=1972-03-06&lang=fr&summary=false");
+        await summaryWritesSettled();
+
+        expect(res.status).toBe(200);
+        expect(res.body.summaryId).toBeNull();
+        expect(res.body.facts.weekday.name).toBe("lundi");
+        expect(fs.readdirSync(historyDir)).toEqual(before);
+        expect(responseErrors("GET", "/api/calculate", 200, res.body)).toBeNull();
+    });
+
+    it("400 for a summary flag other than true or false", async () => {
+        const res = await request(app).get("/api/calculate?birthday=1972-03-06&summary=no");
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe("INVALID_VALUE");
+        expect(res.body.error).toBe("summary must be one of true, false.");
+    });
+
+    it("404 for an unknown or malformed id", async () => {
+        expect((await request(app).get("/api/summaries/20200101T000000Z-deadbeef")).status).toBe(404);
+        expect((await request(app).get("/api/summaries/..%2Findex")).status).toBe(404);
+    });
+});
+
+describe("pruneSummaries()", () => {
+    const historyDir = path.join(OUTPUT_DIR, "summaries");
+    const now = new Date("2026-02-24T12:00:00Z");
+
+    const entry = (id, daysAgo) => {
+        fs.mkdirSync(historyDir, { recursive: true });
+        fs.writeFileSync(path.join(historyDir, `${id}.txt`), "x");
+        return {
+            id,
+            createdAt: new Date(now.getTime() - daysAgo * 86_400_000).toISOString(),
+            birthday: "1990-01-01",
+            formats: ["txt"],
+        };
+    };
+
+    it("keeps only the newest maxCount entries and deletes the rest", async () => {
+        const index = [entry("prune-a", 3), entry("prune-b", 2), entry("prune-c", 1)];
+        const kept = await pruneSummaries(index, { maxCount: 2, maxAgeDays: 0, now });
+
+        expect(kept.map((e) => e.id)).toEqual(["prune-b", "prune-c"]);
+        expect(fs.existsSync(path.join(historyDir, "prune-a.txt"))).toBe(false);
+        expect(fs.existsSync(path.join(historyDir, "prune-c.txt"))).toBe(true);
+    });
+
+    it("drops entries older than maxAgeDays", async () => {
+        const index = [entry("prune-d", 40), entry("prune-e", 10)];
+        const kept = await pruneSummaries(index, { maxCount: 0, maxAgeDays: 30, now });
+
+        expect(kept.map((e) => e.id)).toEqual(["prune-e"]);
+        expect(fs.existsSync(path.join(historyDir, "prune-d.txt"))).toBe(false);
+    });
+
+    it("keeps everything when both limits are disabled", async () => {
+        const index = [entry("prune-f", 4000), entry("prune-g", 1)];
+        const kept = await pruneSummaries(index, { maxCount: 0, maxAgeDays: 0, now });
+        expect(kept).toHaveLength(2);
+    });
+});
+
 // ===========================================================================
 // Unknown routes
 // ===========================================================================
@@ -0,0 +1,35 @@
+"use strict";
+
+/** Modern birthstones, January to December. */
+const BIRTHSTONES = [
+    { id: "garnet", names: { en: "Garnet", nl: "Granaat", fr: "Grenat" } },
+    { id: "amethyst", names: { en: "Amethyst", nl: "Amethist", fr: "Améthyste" } },
+    { id: "aquamarine", names: { en: "Aquamarine", nl: "Aquamarijn", fr: "Aigue-marine" } },
+    { id: "diamond", names: { en: "Diamond", nl: "Diamant", fr: "Diamant" } },
+    { id: "emerald", names: { en: "Emerald", nl: "Smaragd", fr: "Émeraude" } },
+    { id: "pearl", names: { en: "Pearl", nl: "Parel", fr: "Perle" } },
+    { id: "ruby", names: { en: "Ruby", nl: "Robijn", fr: "Rubis" } },
+    { id: "peridot", names: { en: "Peridot", nl: "Peridoot", fr: "Péridot" } },
+    { id: "sapphire", names: { en: "Sapphire", nl: "Saffier", fr: "Saphir" } },
+    { id: "opal", names: { en: "Opal", nl: "Opaal", fr: "Opale" } },
+    { id: "topaz", names: { en: "Topaz", nl: "Topaas", fr: "Topaze" } },
+    { id: "turquoise", names: { en: "Turquoise", nl: "Turkoois", fr: "Turquoise" } },
+];
+
+/** Traditional birth flowers, January to December. */
+const BIRTH_FLOWERS = [
+    { id: "carnation", names: { en: "Carnation", nl: "Anjer", fr: "Œillet" } },
+    { id: "violet", names: { en: "Violet", nl: "Viooltje", fr: "Violette" } },
+    { id: "daffodil", names: { en: "Daffodil", nl: "Narcis", fr: "Jonquille" } },
+    { id: "daisy", names: { en: "Daisy", nl: "Madeliefje", fr: "Marguerite" } },
+    { id: "lily-of-the-valley", names: { en: "Lily of the valley", nl: "Lelietje-van-dalen", fr: "Muguet" } },
+    { id: "rose", names: { en: "Rose", nl: "Roos", fr: "Rose" } },
+    { id: "larkspur", names: { en: "Larkspur", nl: "Ridderspoor", fr: "Pied-d'alouette" } },
+    { id: "gladiolus", names: { en: "Gladiolus", nl: "Gladiool", fr: "Glaïeul" } },
+    { id: "aster", names: { en: "Aster", nl: "Aster", fr: "Aster" } },
+    { id: "marigold", names: { en: "Marigold", nl: "Goudsbloem", fr: "Souci" } },
+    { id: "chrysanthemum", names: { en: "Chrysanthemum", nl: "Chrysant", fr: "Chrysanthème" } },
+    { id: "holly", names: { en: "Holly", nl: "Hulst", fr: "Houx" } },
+];
+
+module.exports = { BIRTHSTONES, BIRTH_FLOWERS };
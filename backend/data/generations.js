@@ -0,0 +1,19 @@
+"use strict";
+
+/**
+ * Generational cohorts by birth year (inclusive), as commonly used by
+ * Pew Research and the press. Boundaries are conventions, not facts.
+ */
+const GENERATIONS = [
+    { id: "lost", from: 1883, to: 1900, names: { en: "Lost Generation", nl: "Verloren generatie", fr: "Génération perdue" } },
+    { id: "greatest", from: 1901, to: 1927, names: { en: "Greatest Generation", nl: "Greatest Generation", fr: "Plus grande génération" } },
+    { id: "silent", from: 1928, to: 1945, names: { en: "Silent Generation", nl: "Stille generatie", fr: "Génération silencieuse" } },
+    { id: "boomers", from: 1946, to: 1964, names: { en: "Baby Boomers", nl: "Babyboomers", fr: "Baby-boomers" } },
+    { id: "gen-x", from: 1965, to: 1980, names: { en: "Generation X", nl: "Generatie X", fr: "Génération X" } },
+    { id: "millennials", from: 1981, to: 1996, names: { en: "Millennials", nl: "Millennials", fr: "Milléniaux" } },
+    { id: "gen-z", from: 1997, to: 2012, names: { en: "Generation Z", nl: "Generatie Z", fr: "Génération Z" } },
+    { id: "gen-alpha", from: 2013, to: 2024, names: { en: "Generation Alpha", nl: "Generatie Alpha", fr: "Génération Alpha" } },
+    { id: "gen-beta", from: 2025, to: 2039, names: { en: "Generation Beta", nl: "Generatie Beta", fr: "Génération Bêta" } },
+];
+
+module.exports = { GENERATIONS };
@@ -0,0 +1,49 @@
+"use strict";
+
+/**
+ * Western zodiac signs by the month and day they start (tropical dates as
+ * commonly printed), in calendar order from Capricorn's second half.
+ * Names are per language; English is the fallback.
+ */
+const WESTERN_ZODIAC = [
+    { id: "capricorn", symbol: "♑", from: [1, 1], names: { en: "Capricorn", nl: "Steenbok", fr: "Capricorne" } },
+    { id: "aquarius", symbol: "♒", from: [1, 20], names: { en: "Aquarius", nl: "Waterman", fr: "Verseau" } },
+    { id: "pisces", symbol: "♓", from: [2, 19], names: { en: "Pisces", nl: "Vissen", fr: "Poissons" } },
+    { id: "aries", symbol: "♈", from: [3, 21], names: { en: "Aries", nl: "Ram", fr: "Bélier" } },
+    { id: "taurus", symbol: "♉", from: [4, 20], names: { en: "Taurus", nl: "Stier", fr: "Taureau" } },
+    { id: "gemini", symbol: "♊", from: [5, 21], names: { en: "Gemini", nl: "Tweelingen", fr: "Gémeaux" } },
+    { id: "cancer", symbol: "♋", from: [6, 21], names: { en: "Cancer", nl: "Kreeft", fr: "Cancer" } },
+    { id: "leo", symbol: "♌", from: [7, 23], names: { en: "Leo", nl: "Leeuw", fr: "Lion" } },
+    { id: "virgo", symbol: "♍", from: [8, 23], names: { en: "Virgo", nl: "Maagd", fr: "Vierge" } },
+    { id: "libra", symbol: "♎", from: [9, 23], names: { en: "Libra", nl: "Weegschaal", fr: "Balance" } },
+    { id: "scorpio", symbol: "♏", from: [10, 23], names: { en: "Scorpio", nl: "Schorpioen", fr: "Scorpion" } },
+    { id: "sagittarius", symbol: "♐", from: [11, 22], names: { en: "Sagittarius", nl: "Boogschutter", fr: "Sagittaire" } },
+    { id: "capricorn", symbol: "♑", from: [12, 22], names: { en: "Capricorn", nl: "Steenbok", fr: "Capricorne" } },
+];
+
+/** The twelve animals, starting with the Rat (years 1900, 1912, ...). */
+const CHINESE_ANIMALS = [
+    { id: "rat", names: { en: "Rat", nl: "Rat", fr: "Rat" } },
+    { id: "ox", names: { en: "Ox", nl: "Os", fr: "Buffle" } },
+    { id: "tiger", names: { en: "Tiger", nl: "Tijger", fr: "Tigre" } },
+    { id: "rabbit", names: { en: "Rabbit", nl: "Konijn", fr: "Lapin" } },
+    { id: "dragon", names: { en: "Dragon", nl: "Draak", fr: "Dragon" } },
+    { id: "snake", names: { en: "Snake", nl: "Slang", fr: "Serpent" } },
+    { id: "horse", names: { en: "Horse", nl: "Paard", fr: "Cheval" } },
+    { id: "goat", names: { en: "Goat", nl: "Geit", fr: "Chèvre" } },
+    { id: "monkey", names: { en: "Monkey", nl: "Aap", fr: "Singe" } },
+    { id: "rooster", names: { en: "Rooster", nl: "Haan", fr: "Coq" } },
+    { id: "dog", names: { en: "Dog", nl: "Hond", fr: "Chien" } },
+    { id: "pig", names: { en: "Pig", nl: "Varken", fr: "Cochon" } },
+];
+
+/** The five elements, each held for two consecutive years (1904–1905 is Wood). */
+const CHINESE_ELEMENTS = [
+    { id: "wood", names: { en: "Wood", nl: "Hout", fr: "Bois" } },
+    { id: "fire", names: { en: "Fire", nl: "Vuur", fr: "Feu" } },
+    { id: "earth", names: { en: "Earth", nl: "Aarde", fr: "Terre" } },
+    { id: "metal", names: { en: "Metal", nl: "Metaal", fr: "Métal" } },
+    { id: "water", names: { en: "Water", nl: "Water", fr: "Eau" } },
+];
+
+module.exports = { WESTERN_ZODIAC, CHINESE_ANIMALS, CHINESE_ELEMENTS };
@@ -0,0 +1,45 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Age-difference calculation logic
+// ---------------------------------------------------------------------------
+
+const { DEFAULT_LEAP_POLICY } = require("./config");
+const { calculateCalendarBirthday } = require("./calendars");
+const { calculateAge, calculateUnits, fmtYmd, localTimeZone } = require("../../shared/age-core");
+
+/**
+ * Calculate the full age breakdown and time-to-next-birthday: calculateAge()
+ * from shared/age-core.js (also run by the browser), plus the backend-only
+ * calendar and unit extras.
+ * @param {Date} birthDate
+ * @param {Date} now
+ * @param {object} [options]
+ * @param {string} [options.timeZone] IANA zone, defaults to the local zone
+ * @param {boolean} [options.hasBirthTime] report the time of birth as well
+ * @param {string} [options.leapPolicy] one of LEAP_POLICIES
+ * @param {string} [options.calendar] also observe the birthday in one of CALENDARS
+ * @param {string[]} [options.units] also report the age in these UNIT_PROVIDERS
+ * @returns {object}
+ */
+function calculateAll(birthDate, now, options = {}) {
+    const timeZone = options.timeZone || localTimeZone();
+    const leapPolicy = options.leapPolicy || DEFAULT_LEAP_POLICY;
+
+    return {
+        ...calculateAge(birthDate, now, { timeZone, leapPolicy, hasBirthTime: options.hasBirthTime }),
+        calendar: options.calendar
+            ? calculateCalendarBirthday(birthDate, now, { calendar: options.calendar, timeZone })
+            : null,
+        units: options.units
+            ? calculateUnits(birthDate, now, { units: options.units, timeZone, leapPolicy })
+            : null,
+    };
+}
+
+/** Format a Date as YYYY-MM-DD. */
+function fmtDate(d) {
+    return fmtYmd(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+module.exports = { calculateAll, fmtDate };
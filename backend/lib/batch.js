@@ -0,0 +1,264 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Batch calculation (POST /api/calculate/batch)
+// ---------------------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+
+const { OUTPUT_DIR } = require("./config");
+const { parseDateParam } = require("./input");
+const { translator } = require("./i18n");
+const { calculateAll } = require("./age");
+const { csvCell } = require("./summary-render");
+const { SUMMARY_ID_RE, summaryIdTime, retention } = require("./summaries");
+
+// One renderer per combined batch file; the key doubles as the file extension
+const BATCH_RENDERERS = {
+    csv: renderBatchCsv,
+    txt: renderBatchText,
+};
+
+const BATCH_DIR = path.join(OUTPUT_DIR, "batches");
+
+/** Parse a comma-separated output list ("csv,txt"); null if any entry is unknown. */
+function parseBatchOutputs(value) {
+    if (typeof value !== "string") return null;
+    const outputs = value.split(",").map((f) => f.trim().toLowerCase()).filter(Boolean);
+    if (!outputs.every((f) => Object.hasOwn(BATCH_RENDERERS, f))) return null;
+    return [...new Set(outputs)];
+}
+
+/**
+ * Normalise a request body into {name, birthday, time} rows: a JSON array
+ * is taken as is, a CSV string is split into records. A CSV header row is
+ * used when it names a birthday column; otherwise the columns are read as
+ * name,birthday[,time]. Returns null for any other body.
+ * @param {*} body
+ * @returns {object[] | null}
+ */
+function batchRows(body) {
+    if (Array.isArray(body)) return body;
+    if (typeof body !== "string") return null;
+
+    const records = parseCsv(body);
+    let columns = ["name", "birthday", "time"];
+    if (records.length > 0 && records[0].some((c) => c.toLowerCase() === "birthday")) {
+        columns = records.shift().map((c) => c.toLowerCase());
+    }
+    return records.map((record) =>
+        Object.fromEntries(
+            columns.map((col, i) => [col, record[i] === "" ? undefined : record[i]])
+        )
+    );
+}
+
+/**
+ * Minimal RFC 4180 reader: quoted fields, doubled quotes and CRLF or LF
+ * line endings. Cells are trimmed and blank lines dropped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let cell = "";
+    let quoted = false;
+
+    const endCell = () => { record.push(cell.trim()); cell = ""; };
+    const endRecord = () => {
+        endCell();
+        if (record.some((c) => c !== "")) records.push(record);
+        record = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch !== '"') cell += ch;
+            else if (text[i + 1] === '"') { cell += '"'; i++; }
+            else quoted = false;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ",") {
+            endCell();
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && text[i + 1] === "\n") i++;
+            endRecord();
+        } else {
+            cell += ch;
+        }
+    }
+    endRecord();
+    return records;
+}
+
+/**
+ * Validate and calculate one batch row with the same rules as
+ * GET /api/calculate. Invalid rows carry an error instead of a result.
+ * @param {object} row       {name, birthday, time}
+ * @param {number} rowNumber 1-based position in the batch
+ * @param {Date} now
+ * @param {object} options   {timeZone, leapPolicy}
+ * @returns {{row: number, name: string|null, result?: object, error?: string}}
+ */
+function calculateBatchRow(row, rowNumber, now, options) {
+    if (row === null || typeof row !== "object" || Array.isArray(row)) {
+        return {
+            row: rowNumber, name: null,
+            code: "INVALID_FORMAT", error: "Row must be an object with name and birthday.",
+        };
+    }
+
+    const { name = null, birthday, time } = row;
+    if (name !== null && (typeof name !== "string" || name.length > 100)) {
+        return {
+            row: rowNumber, name: null,
+            code: "INVALID_VALUE", error: "name must be a string of at most 100 characters.",
+        };
+    }
+
+    const parsed = parseDateParam("birthday", birthday, time, options.timeZone);
+    if (parsed.error) {
+        return { row: rowNumber, name, code: parsed.code, error: parsed.error };
+    }
+    if (parsed.date > now) {
+        return { row: rowNumber, name, code: "FUTURE_DATE", error: "Birthday cannot be in the future." };
+    }
+
+    return {
+        row: rowNumber,
+        name,
+        result: calculateAll(parsed.date, now, {
+            timeZone: options.timeZone,
+            hasBirthTime: parsed.hasTime,
+            leapPolicy: options.leapPolicy,
+        }),
+    };
+}
+
+/**
+ * Write the combined batch files to OUTPUT_DIR/batches/batch-<id>.<ext>.
+ * @param {object} batch     the /api/calculate/batch response body
+ * @param {string[]} outputs keys of BATCH_RENDERERS
+ * @param {string} id        from newSummaryId()
+ * @returns {Promise<string[]>} file paths relative to OUTPUT_DIR
+ */
+async function writeBatchFiles(batch, outputs, id) {
+    await fs.promises.mkdir(BATCH_DIR, { recursive: true });
+
+    const files = [];
+    for (const output of outputs) {
+        const filePath = path.join(BATCH_DIR, `batch-${id}.${output}`);
+        await fs.promises.writeFile(filePath, BATCH_RENDERERS[output](batch), "utf8");
+        console.log(`Batch summary written to ${filePath}`);
+        files.push(path.relative(OUTPUT_DIR, filePath));
+    }
+    await pruneBatchFiles();
+    return files;
+}
+
+/**
+ * Apply the summary retention policy (see retention()) to the batch files.
+ * A batch's files go together, dated by the id in their name.
+ * @param {object} [options] as for retention()
+ */
+async function pruneBatchFiles(options = {}) {
+    const batches = new Map();
+    for (const file of await fs.promises.readdir(BATCH_DIR)) {
+        const id = /^batch-(.+)\.\w+$/.exec(file)?.[1];
+        if (!id || !SUMMARY_ID_RE.test(id)) continue;
+        if (!batches.has(id)) batches.set(id, { id, createdAt: summaryIdTime(id), files: [] });
+        batches.get(id).files.push(file);
+    }
+
+    // Ids sort by creation time
+    const oldestFirst = [...batches.values()].sort((x, y) => (x.id < y.id ? -1 : 1));
+    for (const batch of retention(oldestFirst, options).drop) {
+        for (const file of batch.files) {
+            await fs.promises.rm(path.join(BATCH_DIR, file), { force: true });
+        }
+    }
+}
+
+/** One row per person with the headline numbers, for spreadsheets. */
+function renderBatchCsv(batch) {
+    const rows = [[
+        "row", "name", "birthday", "birthTime", "years", "months", "days",
+        "totalDays", "nextBirthdayDate", "daysUntilNextBirthday", "isBirthday", "error",
+    ]];
+    for (const r of batch.results) {
+        const d = r.result;
+        rows.push(d ? [
+            r.row, r.name ?? "", d.birthday, d.birthTime ?? "",
+            d.sinceBirth.components.years, d.sinceBirth.components.months,
+            d.sinceBirth.components.days, d.sinceBirth.totals.days,
+            d.nextBirthdayDate ?? "", d.untilNextBirthday ? d.untilNextBirthday.totals.days : 0,
+            d.isBirthday, "",
+        ] : [r.row, r.name ?? "", "", "", "", "", "", "", "", "", "", r.error]);
+    }
+    return rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/** Fixed-width text table of the batch, in the language of `batch.locale`. */
+function renderBatchText(batch) {
+    const tr = translator(batch.locale);
+    const rows = batch.results.map((r) => {
+        const d = r.result;
+        if (!d) return { r, error: tr.t("batch.error", { error: r.error }) };
+        return {
+            r,
+            birthday: tr.date(d.birthday, "medium"),
+            age: tr.number(d.sinceBirth.components.years),
+            next: d.isBirthday
+                ? tr.t("batch.today")
+                : `${tr.date(d.nextBirthdayDate, "medium")} ` +
+                  `(${tr.t("report.in", { time: tr.count("days", d.untilNextBirthday.totals.days) })})`,
+        };
+    });
+
+    // Columns as wide as their longest value or heading, plus two spaces
+    const width = (heading, values) => Math.max(heading.length, ...values.map((v) => v.length)) + 2;
+    const ok = rows.filter((row) => !row.error);
+    const cols = {
+        row: width("#", rows.map((row) => String(row.r.row))),
+        name: 20,
+        birthday: width(tr.t("report.birthday"), ok.map((row) => row.birthday)),
+        age: width(tr.t("batch.age"), ok.map((row) => row.age)),
+    };
+    const W = 58;
+
+    const info = [
+        [tr.t("report.calculated"), tr.dateTime(batch.calculatedAt, batch.timeZone)],
+        [tr.t("report.timeZone"), batch.timeZone],
+        [tr.t("batch.rows"), tr.t("batch.rowsValue", {
+            count: batch.count, succeeded: batch.succeeded, failed: batch.failed,
+        })],
+    ];
+    const infoWidth = Math.max(13, ...info.map(([label]) => label.length + 2));
+
+    const lines = [
+        tr.t("batch.title"),
+        "=".repeat(W),
+        ...info.map(([label, value]) => `${`${label}:`.padEnd(infoWidth)}${value}`),
+        "",
+        `${"#".padEnd(cols.row)}${tr.t("batch.name").padEnd(cols.name)}` +
+            `${tr.t("report.birthday").padEnd(cols.birthday)}${tr.t("batch.age").padEnd(cols.age)}` +
+            tr.t("report.nextBirthday"),
+        "-".repeat(W),
+    ];
+    for (const row of rows) {
+        const name = (row.r.name ?? "").slice(0, cols.name - 1);
+        const start = `${String(row.r.row).padEnd(cols.row)}${name.padEnd(cols.name)}`;
+        lines.push(row.error
+            ? `${start}${row.error}`
+            : `${start}${row.birthday.padEnd(cols.birthday)}${row.age.padEnd(cols.age)}${row.next}`);
+    }
+    lines.push("");
+    return lines.join("\n");
+}
+
+module.exports = {
+    BATCH_RENDERERS, parseBatchOutputs, batchRows, calculateBatchRow, writeBatchFiles,
+};
@@ -0,0 +1,141 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Non-Gregorian calendars (Intl.DateTimeFormat calendar support)
+// ---------------------------------------------------------------------------
+
+const { fmtDateParam } = require("./input");
+const { diffBreakdown, localTimeZone, zonedParts, zonedTime } = require("../../shared/age-core");
+
+// Calendars a birthday can be observed in, keyed by the ?calendar= value
+const CALENDARS = {
+    hebrew: { intl: "hebrew", name: "Hebrew" },
+    islamic: { intl: "islamic-umalqura", name: "Islamic (Hijri)" },
+    persian: { intl: "persian", name: "Persian" },
+    chinese: { intl: "chinese", name: "Chinese lunar" },
+};
+
+// Leap months missing from common years, and the month observed instead.
+// Adar birthdays move to Adar II in Hebrew leap years; a Chinese leap month
+// ("4bis") falls back to the regular month of the same number.
+const CALENDAR_MONTH_FALLBACKS = { "Adar I": "Adar", "Adar II": "Adar", Adar: "Adar II" };
+
+// Date formatters by calendar, built on first use (see calendarFormatter())
+const calendarFormatters = new Map();
+
+function calendarFormatter(calendar) {
+    let f = calendarFormatters.get(calendar);
+    if (!f) {
+        const locale = `en-u-ca-${CALENDARS[calendar].intl}`;
+        f = {
+            parts: new Intl.DateTimeFormat(locale, {
+                timeZone: "UTC", year: "numeric", month: "numeric", day: "numeric",
+            }),
+            long: new Intl.DateTimeFormat(locale, {
+                timeZone: "UTC", year: "numeric", month: "long", day: "numeric",
+            }),
+        };
+        calendarFormatters.set(calendar, f);
+    }
+    return f;
+}
+
+/**
+ * Calendar date of a civil day, given as a day number (days since
+ * 1970-01-01). The month is a key: a number ("11"), a leap month ("4bis")
+ * or, for the Hebrew calendar, a name ("Adar II").
+ * @returns {{year: number, month: string, day: number}}
+ */
+function calendarDate(calendar, dayNumber) {
+    const noon = new Date(dayNumber * 86_400_000 + 43_200_000);
+    const p = {};
+    for (const { type, value } of calendarFormatter(calendar).parts.formatToParts(noon)) {
+        p[type] = value;
+    }
+    return { year: Number(p.year ?? p.relatedYear), month: p.month, day: Number(p.day) };
+}
+
+/** Human-readable calendar date of a civil day number, e.g. "22 Sivan 5750". */
+function fmtCalendarDate(calendar, dayNumber) {
+    return calendarFormatter(calendar).long.format(new Date(dayNumber * 86_400_000 + 43_200_000));
+}
+
+/**
+ * Calendar months overlapping the civil days [fromDay, toDay], grouped by
+ * calendar year: year → month key → {start day number, length in days}.
+ * Steps a month at a time (no month is shorter than 29 days).
+ */
+function calendarMonths(calendar, fromDay, toDay) {
+    const years = new Map();
+    let start = fromDay - calendarDate(calendar, fromDay).day + 1;
+    while (start <= toDay) {
+        const first = calendarDate(calendar, start);
+        let length = 29;
+        while (calendarDate(calendar, start + length).day !== 1) length++;
+
+        if (!years.has(first.year)) years.set(first.year, new Map());
+        years.get(first.year).set(first.month, { start, length });
+        start += length;
+    }
+    return years;
+}
+
+/**
+ * The birthday as observed in a non-Gregorian calendar: the birth date in
+ * that calendar, the next birthday mapped back to a Gregorian date and the
+ * countdown to its midnight. Days run midnight to midnight (civil days), a
+ * day missing from a short month is observed on its last day, and leap
+ * months follow CALENDAR_MONTH_FALLBACKS.
+ * @param {Date} birthDate
+ * @param {Date} now
+ * @param {object} options
+ * @param {string} options.calendar one of the CALENDARS keys
+ * @param {string} [options.timeZone] IANA zone, defaults to the local zone
+ * @returns {object}
+ */
+function calculateCalendarBirthday(birthDate, now, options) {
+    const { calendar } = options;
+    const timeZone = options.timeZone || localTimeZone();
+    const b = zonedParts(birthDate, timeZone);
+    const n = zonedParts(now, timeZone);
+    const birthDay = Date.UTC(b.year, b.month, b.day) / 86_400_000;
+    const today = Date.UTC(n.year, n.month, n.day) / 86_400_000;
+
+    const born = calendarDate(calendar, birthDay);
+
+    // Covers the whole current calendar year and the next one
+    const observed = [];
+    for (const [year, months] of calendarMonths(calendar, today - 400, today + 800)) {
+        const month = months.get(born.month) ||
+            months.get(CALENDAR_MONTH_FALLBACKS[born.month] ?? born.month.replace(/bis$/, ""));
+        if (month) observed.push({ year, day: month.start + Math.min(born.day, month.length) - 1 });
+    }
+
+    const next = observed.find((o) => o.day > today);
+    const nextParts = new Date(next.day * 86_400_000);
+    const nextDate = zonedTime({
+        year: nextParts.getUTCFullYear(),
+        month: nextParts.getUTCMonth(),
+        day: nextParts.getUTCDate(),
+    }, timeZone);
+
+    return {
+        id: calendar,
+        name: CALENDARS[calendar].name,
+        birthDate: {
+            year: born.year,
+            month: born.month,
+            day: born.day,
+            formatted: fmtCalendarDate(calendar, birthDay),
+        },
+        isBirthday: observed.some((o) => o.day === today),
+        nextBirthday: {
+            date: fmtDateParam(nextDate, timeZone, false),
+            formatted: fmtCalendarDate(calendar, next.day),
+            turningAge: next.year - born.year,
+        },
+        untilNextBirthday: diffBreakdown(now, nextDate, timeZone),
+    };
+}
+
+module.exports = { CALENDARS, calendarDate, calculateCalendarBirthday };
@@ -0,0 +1,114 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Age comparison
+// ---------------------------------------------------------------------------
+
+const { DEFAULT_LEAP_POLICY } = require("./config");
+const { fmtDateParam } = require("./input");
+const {
+    diffBreakdown, birthdayInYear, daysInMonth, localTimeZone, zonedParts, zonedTime,
+} = require("../../shared/age-core");
+
+// Age ratios (older : younger) reported by calculateComparison()
+const COMPARE_RATIOS = [3, 2, 1.5];
+
+/**
+ * Compare two people's ages: who is older, by how much, when the older one
+ * was (or will be) N times as old, and the next month-long window that holds
+ * both birthdays.
+ * @param {{name: string, birthDate: Date, hasBirthTime?: boolean}} a
+ * @param {{name: string, birthDate: Date, hasBirthTime?: boolean}} b
+ * @param {Date} now
+ * @param {object} [options]
+ * @param {string} [options.timeZone] IANA zone, defaults to the local zone
+ * @param {string} [options.leapPolicy] one of LEAP_POLICIES
+ * @returns {object}
+ */
+function calculateComparison(a, b, now, options = {}) {
+    const timeZone = options.timeZone || localTimeZone();
+    const leapPolicy = options.leapPolicy || DEFAULT_LEAP_POLICY;
+
+    const cmp = Math.sign(b.birthDate - a.birthDate);
+    const [older, younger] = cmp < 0 ? [b, a] : [a, b];
+    const gapMs = younger.birthDate - older.birthDate;
+
+    // older's age = r × younger's age  ⇔  t = younger's birth + gap / (r - 1)
+    const ratios = gapMs === 0 ? [] : COMPARE_RATIOS.map((ratio) => {
+        const at = new Date(younger.birthDate.getTime() + gapMs / (ratio - 1));
+        return {
+            ratio,
+            label: `${ratio}:1`,
+            date: fmtDateParam(at, timeZone, false),
+            reached: at <= now,
+            ages: {
+                older: diffBreakdown(older.birthDate, at, timeZone, leapPolicy).components.years,
+                younger: diffBreakdown(younger.birthDate, at, timeZone, leapPolicy).components.years,
+            },
+        };
+    });
+
+    const describe = (p) => ({
+        name: p.name,
+        birthday: fmtDateParam(p.birthDate, timeZone, p.hasBirthTime),
+    });
+
+    return {
+        a: describe(a),
+        b: describe(b),
+        calculatedAt: now.toISOString(),
+        timeZone,
+        leapPolicy,
+        older: cmp === 0 ? null : cmp > 0 ? "a" : "b",
+        gap: diffBreakdown(older.birthDate, younger.birthDate, timeZone),
+        ratios,
+        sharedBirthdayWindow: sharedBirthdayWindow(a, b, now, timeZone, leapPolicy),
+    };
+}
+
+/**
+ * Earliest upcoming pair of birthdays (today counts) that fall at most one
+ * calendar month apart, e.g. for a joint party; null when the two birthdays
+ * are always further apart than that.
+ * @returns {{from: string, to: string, days: number} | null}
+ */
+function sharedBirthdayWindow(a, b, now, timeZone, leapPolicy) {
+    const n = zonedParts(now, timeZone);
+    const today = zonedTime({ year: n.year, month: n.month, day: n.day }, timeZone);
+
+    // Nine years covers the longest leap-only gap plus a neighbouring birthday
+    const upcoming = (p) => {
+        const bp = zonedParts(p.birthDate, timeZone);
+        const dates = [];
+        for (let year = n.year; year <= n.year + 9; year++) {
+            const bd = birthdayInYear(bp, year, leapPolicy);
+            if (!bd) continue;
+            const d = zonedTime({ year, ...bd }, timeZone);
+            if (d >= today) dates.push({ year, ...bd, date: d });
+        }
+        return dates;
+    };
+
+    let best = null;
+    for (const x of upcoming(a)) {
+        for (const y of upcoming(b)) {
+            const [first, last] = x.date <= y.date ? [x, y] : [y, x];
+            const day = Math.min(first.day, daysInMonth(first.year, first.month + 1));
+            const monthLater = zonedTime(
+                { year: first.year, month: first.month + 1, day }, timeZone
+            );
+            if (last.date <= monthLater && (!best || first.date < best.first.date)) {
+                best = { first, last };
+            }
+        }
+    }
+    if (!best) return null;
+
+    return {
+        from: fmtDateParam(best.first.date, timeZone, false),
+        to: fmtDateParam(best.last.date, timeZone, false),
+        days: diffBreakdown(best.first.date, best.last.date, timeZone).totals.days,
+    };
+}
+
+module.exports = { calculateComparison };
@@ -0,0 +1,52 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Configuration
+// ---------------------------------------------------------------------------
+
+const fs = require("fs");
+
+const { LEAP_POLICIES, isValidTimeZone } = require("../../shared/age-core");
+
+const PORT = process.env.PORT || 4000;
+const OUTPUT_DIR = process.env.OUTPUT_DIR || "/app/output";
+// IANA zone used when a request names none (falls back to the container clock)
+const DEFAULT_TZ =
+    process.env.DEFAULT_TZ || Intl.DateTimeFormat().resolvedOptions().timeZone;
+if (!isValidTimeZone(DEFAULT_TZ)) {
+    throw new Error(`DEFAULT_TZ: unknown IANA time zone "${DEFAULT_TZ}"`);
+}
+// How 29 February birthdays are observed in common years (see LEAP_POLICIES)
+const DEFAULT_LEAP_POLICY = process.env.LEAP_DAY_POLICY || "mar1";
+if (!LEAP_POLICIES.includes(DEFAULT_LEAP_POLICY)) {
+    throw new Error(`LEAP_DAY_POLICY: expected one of ${LEAP_POLICIES.join(", ")}, got "${DEFAULT_LEAP_POLICY}"`);
+}
+// Optional JSON file replacing the built-in milestone list (DEFAULT_MILESTONES)
+const MILESTONES_FILE = process.env.MILESTONES_FILE || null;
+// Summary formats written on every calculation, e.g. "txt,md,json"
+const SUMMARY_FORMATS = process.env.SUMMARY_FORMATS || "txt";
+// Summary history retention: newest N kept, older than N days pruned (0 = no limit)
+const SUMMARY_MAX_COUNT = Number(process.env.SUMMARY_MAX_COUNT ?? 100);
+const SUMMARY_MAX_AGE_DAYS = Number(process.env.SUMMARY_MAX_AGE_DAYS ?? 30);
+// Largest number of rows accepted by POST /api/calculate/batch
+const BATCH_MAX_ROWS = Number(process.env.BATCH_MAX_ROWS ?? 1000);
+// Birthday reminders: webhook they are POSTed to (unset = scheduler off), days
+// before the birthday to send them, and how often to check
+const REMINDER_WEBHOOK_URL = process.env.REMINDER_WEBHOOK_URL || null;
+const REMINDER_DAYS = process.env.REMINDER_DAYS ?? "7,1,0";
+const REMINDER_CHECK_MINUTES = Number(process.env.REMINDER_CHECK_MINUTES ?? 15);
+// Webhook delivery attempts, and the first retry delay (doubled after each failure)
+const REMINDER_MAX_ATTEMPTS = Number(process.env.REMINDER_MAX_ATTEMPTS ?? 5);
+const REMINDER_RETRY_MS = Number(process.env.REMINDER_RETRY_MS ?? 2000);
+// How often GET /api/stream sends a heartbeat comment
+const STREAM_HEARTBEAT_MS = Number(process.env.STREAM_HEARTBEAT_MS ?? 15_000);
+
+// Ensure the output directory exists at startup
+fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+module.exports = {
+    PORT, OUTPUT_DIR, DEFAULT_TZ, DEFAULT_LEAP_POLICY, MILESTONES_FILE, SUMMARY_FORMATS,
+    SUMMARY_MAX_COUNT, SUMMARY_MAX_AGE_DAYS, BATCH_MAX_ROWS, REMINDER_WEBHOOK_URL,
+    REMINDER_DAYS, REMINDER_CHECK_MINUTES, REMINDER_MAX_ATTEMPTS, REMINDER_RETRY_MS,
+    STREAM_HEARTBEAT_MS,
+};
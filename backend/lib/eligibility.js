@@ -0,0 +1,73 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Age eligibility (GET /api/eligibility)
+// ---------------------------------------------------------------------------
+
+const { fmtDateParam } = require("./input");
+const {
+    completedYears, birthdayInYear, fmtYmd, localTimeZone, zonedParts, zonedTime,
+} = require("../../shared/age-core");
+
+// How a 29 February birthday reaches an age in a common year: on 28 February
+// (e.g. Taiwan, New Zealand for some statutes) or on 1 March (e.g. the UK)
+const ELIGIBILITY_LEAP_POLICIES = ["feb28", "mar1"];
+const MAX_ELIGIBILITY_AGE = 150;
+
+/**
+ * Check an age range on the calendar day of `asOf` in `options.timeZone`.
+ *
+ * Someone qualifies on the day they turn minAge and stays eligible until the
+ * day before they turn maxAge + 1. `daysRemaining` counts the days from
+ * asOf to `qualifiesOn` (0 once it has passed).
+ * @param {Date} birthDate
+ * @param {Date} asOf
+ * @param {object} options
+ * @param {string} [options.timeZone] IANA zone, defaults to the local zone
+ * @param {string} [options.leapPolicy] one of ELIGIBILITY_LEAP_POLICIES
+ * @param {number} [options.minAge]
+ * @param {number} [options.maxAge]
+ * @returns {object}
+ */
+function checkEligibility(birthDate, asOf, options = {}) {
+    const timeZone = options.timeZone || localTimeZone();
+    const leapPolicy = options.leapPolicy || "mar1";
+    const { minAge = null, maxAge = null } = options;
+    const b = zonedParts(birthDate, timeZone);
+    const a = zonedParts(asOf, timeZone);
+
+    // Midnight of the day someone born on `b` turns `age`
+    const turns = (age) => {
+        const year = b.year + age;
+        return zonedTime({ year, ...birthdayInYear(b, year, leapPolicy) }, timeZone);
+    };
+    const ymd = (d) => fmtDateParam(d, timeZone, false);
+
+    const age = completedYears(birthDate, asOf, timeZone, leapPolicy);
+    const qualifiesOn = minAge === null ? null : ymd(turns(minAge));
+    const tooOldOn = maxAge === null ? null : turns(maxAge + 1);
+    const reason = minAge !== null && age < minAge
+        ? "tooYoung"
+        : maxAge !== null && age > maxAge ? "tooOld" : null;
+
+    return {
+        birthday: ymd(birthDate),
+        asOf: fmtYmd(a.year, a.month, a.day),
+        timeZone,
+        leapPolicy,
+        minAge,
+        maxAge,
+        age,
+        eligible: reason === null,
+        reason,
+        qualifiesOn,
+        // Calendar days, so a DST change in between doesn't shorten the count
+        daysRemaining: qualifiesOn && Math.max(0, Math.round(
+            (Date.parse(qualifiesOn) - Date.UTC(a.year, a.month, a.day)) / 86_400_000
+        )),
+        // The last day before turning maxAge + 1
+        eligibleUntil: tooOldOn && ymd(new Date(tooOldOn.getTime() - 1)),
+    };
+}
+
+module.exports = { ELIGIBILITY_LEAP_POLICIES, MAX_ELIGIBILITY_AGE, checkEligibility };
@@ -0,0 +1,64 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Birth facts (lookup tables in data/)
+// ---------------------------------------------------------------------------
+
+const { WESTERN_ZODIAC, CHINESE_ANIMALS, CHINESE_ELEMENTS } = require("../data/zodiac");
+const { BIRTHSTONES, BIRTH_FLOWERS } = require("../data/birth-months");
+const { GENERATIONS } = require("../data/generations");
+const { calendarDate } = require("./calendars");
+const { localTimeZone, zonedParts } = require("../../shared/age-core");
+
+/**
+ * Facts about the calendar day of birth in `options.timeZone`: weekday, day
+ * of the year, ISO week, Western and Chinese zodiac, birthstone, birth
+ * flower and generational cohort. Names are in `options.locale`, falling
+ * back to English.
+ * @param {Date} birthDate
+ * @param {object} [options]
+ * @param {string} [options.timeZone] IANA zone, defaults to the local zone
+ * @param {string} [options.locale] one of LOCALES
+ * @returns {object}
+ */
+function birthFacts(birthDate, options = {}) {
+    const timeZone = options.timeZone || localTimeZone();
+    const locale = options.locale || "en";
+    const named = (entry) => ({ id: entry.id, name: entry.names[locale] ?? entry.names.en });
+
+    const b = zonedParts(birthDate, timeZone);
+    const dayNumber = Date.UTC(b.year, b.month, b.day) / 86_400_000;
+    const noon = new Date(dayNumber * 86_400_000 + 43_200_000);
+    const isoWeekday = (noon.getUTCDay() + 6) % 7; // Monday = 0
+    const weekdayName = (lang) =>
+        new Intl.DateTimeFormat(lang, { weekday: "long", timeZone: "UTC" }).format(noon);
+
+    // ISO weeks belong to the year that holds their Thursday
+    const thursday = new Date((dayNumber - isoWeekday + 3) * 86_400_000);
+    const isoYear = thursday.getUTCFullYear();
+    const week = Math.floor((thursday - Date.UTC(isoYear, 0, 1)) / (7 * 86_400_000)) + 1;
+
+    const monthDay = (b.month + 1) * 100 + b.day;
+    const sign = WESTERN_ZODIAC.findLast((s) => s.from[0] * 100 + s.from[1] <= monthDay);
+
+    // The Chinese year starts at the lunar new year; 1984 was a Wood Rat
+    const cycle = calendarDate("chinese", dayNumber).year - 1984;
+    const mod = (n, m) => ((n % m) + m) % m;
+    const generation = GENERATIONS.find((g) => g.from <= b.year && b.year <= g.to);
+
+    return {
+        weekday: { id: weekdayName("en").toLowerCase(), name: weekdayName(locale) },
+        dayOfYear: dayNumber - Date.UTC(b.year, 0, 1) / 86_400_000 + 1,
+        isoWeek: { year: isoYear, week },
+        westernZodiac: { ...named(sign), symbol: sign.symbol },
+        chineseZodiac: {
+            ...named(CHINESE_ANIMALS[mod(cycle, 12)]),
+            element: named(CHINESE_ELEMENTS[Math.floor(mod(cycle, 10) / 2)]),
+        },
+        birthstone: named(BIRTHSTONES[b.month]),
+        birthFlower: named(BIRTH_FLOWERS[b.month]),
+        generation: generation ? { ...named(generation), from: generation.from, to: generation.to } : null,
+    };
+}
+
+module.exports = { birthFacts };
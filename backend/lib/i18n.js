@@ -0,0 +1,87 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Localisation (message catalogs in locales/<lang>.json)
+// ---------------------------------------------------------------------------
+
+const LOCALES = ["en", "nl", "fr"];
+
+const catalogs = Object.fromEntries(
+    LOCALES.map((lang) => [lang, require(`../locales/${lang}.json`)])
+);
+
+// Translators by locale, built on first use (see translator())
+const translators = new Map();
+
+/**
+ * Language for a request: ?lang= (its primary subtag, so "nl-BE" is Dutch),
+ * else the best Accept-Language match, else English. null when ?lang= names
+ * an unsupported language.
+ */
+function requestLocale(req) {
+    if (req.query.lang !== undefined) {
+        const lang = typeof req.query.lang === "string" && req.query.lang.toLowerCase().split("-")[0];
+        return LOCALES.includes(lang) ? lang : null;
+    }
+    return req.acceptsLanguages(...LOCALES) || "en";
+}
+
+/**
+ * Messages and number/date formatting for one of LOCALES. Missing messages
+ * fall back to English. Plural messages are {one, other, ...} objects picked
+ * with Intl.PluralRules.
+ * @param {string} [locale]
+ */
+function translator(locale = "en") {
+    let tr = translators.get(locale);
+    if (tr) return tr;
+
+    const numbers = new Intl.NumberFormat(locale);
+    const compact = new Intl.NumberFormat(locale, { notation: "compact", compactDisplay: "long" });
+    const plurals = new Intl.PluralRules(locale);
+    const longDates = new Intl.DateTimeFormat(locale, { dateStyle: "long", timeZone: "UTC" });
+    const shortDates = new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeZone: "UTC" });
+    const times = new Intl.DateTimeFormat(locale, { timeStyle: "medium", timeZone: "UTC" });
+    const message = (key) => catalogs[locale][key] ?? catalogs.en[key] ?? key;
+
+    tr = {
+        locale,
+        number: (n) => numbers.format(n),
+
+        /** "10,000 days", "1 billion seconds": whole billions are written out. */
+        count(unit, n) {
+            const text = n >= 1e9 && n % 1e9 === 0 ? compact.format(n) : numbers.format(n);
+            const forms = message(`count.${unit}`);
+            return (forms[plurals.select(n)] ?? forms.other).replace("{count}", text);
+        },
+
+        /** Message `key` with {name} placeholders filled in; numbers are formatted. */
+        t(key, vars = {}) {
+            return message(key).replace(/\{(\w+)\}/g, (_, name) =>
+                typeof vars[name] === "number" ? numbers.format(vars[name]) : String(vars[name])
+            );
+        },
+
+        /** YYYY-MM-DD as a long ("July 4, 1985") or medium ("Jul 4, 1985") date. */
+        date(ymd, style = "long") {
+            const d = new Date(`${ymd}T00:00:00Z`);
+            return (style === "long" ? longDates : shortDates).format(d);
+        },
+
+        /** HH:MM:SS in the locale's clock ("6:15:00 AM", "06:15:00"). */
+        time(hms) {
+            return times.format(new Date(`1970-01-01T${hms}Z`));
+        },
+
+        /** An instant as date and time in `timeZone`. */
+        dateTime(iso, timeZone) {
+            return new Intl.DateTimeFormat(locale, {
+                dateStyle: "long", timeStyle: "medium", timeZone,
+            }).format(new Date(iso));
+        },
+    };
+    translators.set(locale, tr);
+    return tr;
+}
+
+module.exports = { LOCALES, requestLocale, translator };
@@ -0,0 +1,145 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// iCalendar (RFC 5545) export
+// ---------------------------------------------------------------------------
+
+const crypto = require("crypto");
+
+const { DEFAULT_LEAP_POLICY } = require("./config");
+const {
+    birthdayInYear, fmtYmd, localTimeZone, zonedParts, wallClockMs,
+} = require("../../shared/age-core");
+
+// How each leap-day policy recurs for a 29 February birthday. BYYEARDAY=60
+// is 29 February in leap years and 1 March otherwise; plain FREQ=YEARLY
+// skips the years where 29 February doesn't exist.
+const LEAP_RRULES = {
+    feb28: "FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1",
+    mar1: "FREQ=YEARLY;BYYEARDAY=60",
+    "leap-only": "FREQ=YEARLY",
+};
+
+/**
+ * Build a VCALENDAR with a yearly recurring all-day birthday event. The next
+ * `years` occurrences are overridden (RECURRENCE-ID) to say "turning N".
+ * @param {Date} birthDate
+ * @param {Date} now
+ * @param {object} [options]
+ * @param {string} [options.name]
+ * @param {string} [options.timeZone]   zone the birth date is read in
+ * @param {string} [options.leapPolicy] one of LEAP_POLICIES
+ * @param {number[]} [options.reminders] VALARMs, in days before the event
+ * @param {number} [options.years]      occurrences with a "turning N" summary
+ * @returns {string}
+ */
+function buildBirthdayCalendar(birthDate, now, options = {}) {
+    const timeZone = options.timeZone || localTimeZone();
+    const leapPolicy = options.leapPolicy || DEFAULT_LEAP_POLICY;
+    const { name, reminders = [], years = 10 } = options;
+
+    const b = zonedParts(birthDate, timeZone);
+    const n = zonedParts(now, timeZone);
+    const isLeapDay = b.month === 1 && b.day === 29;
+
+    const hash = crypto.createHash("sha1")
+        .update(`${fmtYmd(b.year, b.month, b.day)}|${name || ""}`)
+        .digest("hex").slice(0, 16);
+    const uid = `${hash}@agediff`;
+    const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+    const icsDate = (y, m, d) => fmtYmd(y, m, d).replace(/-/g, "");
+    const nextDay = (y, m, d) => {
+        const t = new Date(wallClockMs({ year: y, month: m, day: d + 1 }));
+        return icsDate(t.getUTCFullYear(), t.getUTCMonth(), t.getUTCDate());
+    };
+
+    const title = name ? `${name}'s birthday` : "Birthday";
+    const alarms = reminders.flatMap((days) => [
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        `TRIGGER:${days === 0 ? "PT0S" : `-P${days}D`}`,
+        `DESCRIPTION:${icsText(days === 0
+            ? `${title} today`
+            : `${title} in ${days} day${days === 1 ? "" : "s"}`)}`,
+        "END:VALARM",
+    ]);
+
+    const event = (y, m, d, summary, extra) => [
+        "BEGIN:VEVENT",
+        `UID:${uid}`,
+        `DTSTAMP:${stamp}`,
+        ...extra,
+        `DTSTART;VALUE=DATE:${icsDate(y, m, d)}`,
+        `DTEND;VALUE=DATE:${nextDay(y, m, d)}`,
+        `SUMMARY:${icsText(summary)}`,
+        "TRANSP:TRANSPARENT",
+        ...alarms,
+        "END:VEVENT",
+    ];
+
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//AgeDiff//Birthday Calendar//EN",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${icsText(title)}`,
+        ...event(b.year, b.month, b.day, title, [
+            `RRULE:${isLeapDay ? LEAP_RRULES[leapPolicy] : "FREQ=YEARLY"}`,
+        ]),
+    ];
+
+    // Per-occurrence overrides, starting with today's birthday if it is one
+    let added = 0;
+    for (let year = n.year; added < years; year++) {
+        const bd = birthdayInYear(b, year, leapPolicy);
+        if (!bd) continue;
+        if (year === n.year && (bd.month < n.month || (bd.month === n.month && bd.day < n.day))) {
+            continue;
+        }
+        const age = year - b.year;
+        lines.push(...event(year, bd.month, bd.day,
+            name ? `${name} turns ${age}` : `Turning ${age}`,
+            [`RECURRENCE-ID;VALUE=DATE:${icsDate(year, bd.month, bd.day)}`]));
+        added++;
+    }
+
+    lines.push("END:VCALENDAR");
+    return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+/** Escape a TEXT property value (RFC 5545 §3.3.11). */
+function icsText(text) {
+    return String(text)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+/** Fold a content line at 75 octets (RFC 5545 §3.1), keeping UTF-8 intact. */
+function foldIcsLine(line) {
+    const parts = [];
+    let current = "";
+    let bytes = 0;
+    for (const ch of line) {
+        const len = Buffer.byteLength(ch);
+        // Continuation lines start with a space, which counts towards 75
+        if (bytes + len > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = "";
+            bytes = 0;
+        }
+        current += ch;
+        bytes += len;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+}
+
+/** Lower-case ASCII file-name stem ("Zoë's" → "zo-s"). */
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "birthday";
+}
+
+module.exports = { buildBirthdayCalendar, slugify };
@@ -0,0 +1,144 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Input parsing
+// ---------------------------------------------------------------------------
+
+const { DEFAULT_TZ, DEFAULT_LEAP_POLICY } = require("./config");
+const {
+    LEAP_POLICIES, daysInMonth, fmtYmd, fmtHms, isValidTimeZone, zonedParts, zonedTime,
+} = require("../../shared/age-core");
+
+/** Zone precedence: ?tz= query param, X-Timezone header, configured default. */
+function requestTimeZone(req) {
+    return req.query.tz || req.get("X-Timezone") || DEFAULT_TZ;
+}
+
+/**
+ * Validate the ?tz= / X-Timezone zone, for endpoints without a leap policy.
+ * @returns {{code: string, param: string, error: string} | {timeZone: string}}
+ */
+function parseTimeZone(req) {
+    const timeZone = requestTimeZone(req);
+    if (!isValidTimeZone(timeZone)) {
+        return { code: "INVALID_VALUE", param: "tz", error: "Invalid time zone." };
+    }
+    return { timeZone };
+}
+
+/**
+ * Validate the ?tz= / X-Timezone zone and ?leapPolicy= shared by the
+ * calculation endpoints. An endpoint accepting fewer `policies` uses mar1
+ * when the configured default isn't one of them.
+ * @param {object} req
+ * @param {string[]} [policies] accepted leap policies
+ * @returns {{code: string, param: string, error: string} | {timeZone: string, leapPolicy: string}}
+ */
+function parseCalcOptions(req, policies = LEAP_POLICIES) {
+    const zone = parseTimeZone(req);
+    if (zone.error) return zone;
+
+    const leapPolicy = req.query.leapPolicy ||
+        (policies.includes(DEFAULT_LEAP_POLICY) ? DEFAULT_LEAP_POLICY : "mar1");
+    if (!policies.includes(leapPolicy)) {
+        return {
+            code: "INVALID_VALUE", param: "leapPolicy",
+            error: `leapPolicy must be one of ${policies.join(", ")}.`,
+        };
+    }
+
+    return { timeZone: zone.timeZone, leapPolicy };
+}
+
+const DATE_PARAM_RE = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}:\d{2}(?::\d{2})?))?$/;
+const TIME_RE = /^(\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+/**
+ * Validate a date query value and resolve it to an instant.
+ *
+ * Accepts YYYY-MM-DD with an optional THH:MM[:SS] suffix, or the time of day
+ * as a separate `time` value (not both). A `time` that is null or empty (a
+ * JSON null, a blank CSV cell) counts as none. Without a time the instant is
+ * midnight at the start of the day in `timeZone`.
+ * @param {string} name   parameter name, used in error messages
+ * @param {string} value
+ * @param {string} [time]
+ * @param {string} timeZone
+ * @returns {{code: string, param: string, error: string} | {date: Date, hasTime: boolean}}
+ */
+function parseDateParam(name, value, time, timeZone) {
+    if (time === null || time === "") time = undefined;
+
+    const m = typeof value === "string" && DATE_PARAM_RE.exec(value);
+    if (!m) {
+        return {
+            code: "INVALID_FORMAT", param: name,
+            error: `${name} parameter is required in YYYY-MM-DD format ` +
+                "(optionally followed by THH:MM or THH:MM:SS).",
+        };
+    }
+
+    const [year, month, day] = m.slice(1, 4).map(Number);
+
+    // Reject dates that don't exist on the calendar (Feb 30, month 13, ...)
+    if (
+        year < 1 ||
+        month < 1 || month > 12 ||
+        day < 1 || day > daysInMonth(year, month - 1)
+    ) {
+        return { code: "IMPOSSIBLE_DATE", param: name, error: "Invalid calendar date." };
+    }
+
+    if (m[4] && time !== undefined) {
+        return {
+            code: "INVALID_VALUE", param: "time",
+            error: `Give the time in ${name} or in time, not both.`,
+        };
+    }
+
+    const timeText = m[4] || time;
+    let hour = 0, minute = 0, second = 0;
+    if (timeText !== undefined) {
+        const t = typeof timeText === "string" && TIME_RE.exec(timeText);
+        if (!t) {
+            return {
+                code: "INVALID_FORMAT", param: "time",
+                error: "time parameter must be in HH:MM or HH:MM:SS format.",
+            };
+        }
+        [hour, minute, second] = [t[1], t[2], t[3] || "0"].map(Number);
+        if (hour > 23 || minute > 59 || second > 59) {
+            return { code: "IMPOSSIBLE_DATE", param: m[4] ? name : "time", error: "Invalid time of day." };
+        }
+    }
+
+    return {
+        date: zonedTime({ year, month: month - 1, day, hour, minute, second }, timeZone),
+        hasTime: timeText !== undefined,
+    };
+}
+
+/** Format an instant back into the YYYY-MM-DD[THH:MM:SS] input form. */
+function fmtDateParam(date, timeZone, withTime) {
+    const p = zonedParts(date, timeZone);
+    const ymd = fmtYmd(p.year, p.month, p.day);
+    return withTime ? `${ymd}T${fmtHms(p.hour, p.minute, p.second)}` : ymd;
+}
+
+/**
+ * Parse "7,1,0" (days before the birthday) into a list; [] when absent,
+ * null when malformed.
+ * @param {string} [value]
+ * @returns {number[] | null}
+ */
+function parseReminderDays(value) {
+    if (value === undefined || value === "") return [];
+    if (typeof value !== "string") return null;
+    const days = value.split(",").map((d) => d.trim());
+    if (!days.every((d) => /^\d{1,3}$/.test(d) && Number(d) <= 365)) return null;
+    return [...new Set(days.map(Number))].sort((a, b) => b - a);
+}
+
+module.exports = {
+    parseTimeZone, parseCalcOptions, parseDateParam, fmtDateParam, parseReminderDays,
+};
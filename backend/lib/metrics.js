@@ -0,0 +1,69 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Metrics (GET /api/metrics, Prometheus text format)
+// ---------------------------------------------------------------------------
+
+const promClient = require("prom-client");
+
+const { findOperation } = require("./openapi");
+
+// Own registry rather than prom-client's global one, so every app instance
+// (tests load several) starts from zero
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+
+const httpRequestsTotal = new promClient.Counter({
+    name: "agediff_http_requests_total",
+    help: "HTTP requests by method, route and status",
+    labelNames: ["method", "route", "status"],
+    registers: [metricsRegistry],
+});
+
+const httpRequestDuration = new promClient.Histogram({
+    name: "agediff_http_request_duration_seconds",
+    help: "HTTP request latency by method, route and status",
+    labelNames: ["method", "route", "status"],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [metricsRegistry],
+});
+
+const rateLimitRejections = new promClient.Counter({
+    name: "agediff_rate_limit_rejections_total",
+    help: "Requests refused by the Express rate limiter",
+    registers: [metricsRegistry],
+});
+
+const summaryWrites = new promClient.Counter({
+    name: "agediff_summary_writes_total",
+    help: "writeSummaryFile() runs by result (success or failure)",
+    labelNames: ["result"],
+    registers: [metricsRegistry],
+});
+
+/**
+ * Route label for a request: the Express route pattern ("/api/people/:id"),
+ * so ids don't each get a series. Requests answered before routing (rate
+ * limiter, parameter validation) fall back to the documented operation.
+ */
+function metricsRoute(req, res) {
+    if (req.route) return req.route.path;
+    // req.path is relative to the middleware's mount point, e.g. the limiter's
+    const operation = findOperation(req.method, req.originalUrl.split("?")[0]);
+    if (operation) return operation.route;
+    return res.statusCode === 404 ? "unmatched" : "other";
+}
+
+/** Middleware: count and time every request once its response is done. */
+function recordRequestMetrics(req, res, next) {
+    const endTimer = httpRequestDuration.startTimer();
+    // "close" rather than "finish": it also fires for streams the client left
+    res.on("close", () => {
+        const labels = { method: req.method, route: metricsRoute(req, res), status: res.statusCode };
+        endTimer(labels);
+        httpRequestsTotal.inc(labels);
+    });
+    next();
+}
+
+module.exports = { metricsRegistry, rateLimitRejections, summaryWrites, recordRequestMetrics };
@@ -0,0 +1,136 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Life milestones
+// ---------------------------------------------------------------------------
+
+const fs = require("fs");
+
+const { MILESTONES_FILE } = require("./config");
+const { fmtDateParam } = require("./input");
+const { translator } = require("./i18n");
+const {
+    diffBreakdown, daysInMonth, localTimeZone, zonedParts, zonedTime,
+} = require("../../shared/age-core");
+
+// Units a milestone can be counted in. Sub-day units count real elapsed time;
+// days and longer follow the calendar so the date doesn't drift with DST.
+const MILESTONE_UNIT_MS = { seconds: 1000, minutes: 60_000, hours: 3_600_000 };
+const MILESTONE_UNITS = ["seconds", "minutes", "hours", "days", "weeks", "months", "years"];
+
+const DEFAULT_MILESTONES = [
+    { unit: "days", value: 1_000 },
+    { unit: "days", value: 5_000 },
+    { unit: "days", value: 10_000 },
+    { unit: "days", value: 15_000 },
+    { unit: "days", value: 20_000 },
+    { unit: "days", value: 25_000 },
+    { unit: "days", value: 30_000 },
+    { unit: "weeks", value: 1_000 },
+    { unit: "weeks", value: 2_000 },
+    { unit: "weeks", value: 3_000 },
+    { unit: "weeks", value: 4_000 },
+    { unit: "months", value: 100 },
+    { unit: "months", value: 250 },
+    { unit: "months", value: 500 },
+    { unit: "months", value: 750 },
+    { unit: "months", value: 1_000 },
+    { unit: "hours", value: 100_000 },
+    { unit: "hours", value: 250_000 },
+    { unit: "hours", value: 500_000 },
+    { unit: "minutes", value: 10_000_000 },
+    { unit: "minutes", value: 25_000_000 },
+    { unit: "minutes", value: 50_000_000 },
+    { unit: "seconds", value: 1e9 },
+    { unit: "seconds", value: 2e9 },
+    { unit: "seconds", value: 3e9 },
+];
+
+/**
+ * Load and validate a milestone definition list: a JSON array of
+ * `{ "unit": "days", "value": 10000, "label": "optional" }` objects.
+ * @param {string} file
+ * @returns {Array<{unit: string, value: number, label?: string}>}
+ */
+function loadMilestoneDefinitions(file) {
+    const list = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(list)) {
+        throw new Error(`${file}: milestone definitions must be a JSON array`);
+    }
+    list.forEach((def, i) => {
+        if (
+            !def || !MILESTONE_UNITS.includes(def.unit) ||
+            !Number.isInteger(def.value) || def.value <= 0 ||
+            (def.label !== undefined && typeof def.label !== "string")
+        ) {
+            throw new Error(`${file}: invalid milestone definition at index ${i}`);
+        }
+    });
+    return list;
+}
+
+const milestoneDefinitions = MILESTONES_FILE
+    ? loadMilestoneDefinitions(MILESTONES_FILE)
+    : DEFAULT_MILESTONES;
+
+/**
+ * Instant at which `value` `unit`s have passed since `birthDate`. Months and
+ * years that overshoot the end of a month stop at its last day.
+ */
+function milestoneTime(birthDate, unit, value, timeZone) {
+    if (MILESTONE_UNIT_MS[unit]) {
+        return new Date(birthDate.getTime() + value * MILESTONE_UNIT_MS[unit]);
+    }
+
+    const b = zonedParts(birthDate, timeZone);
+    if (unit === "days" || unit === "weeks") {
+        const days = unit === "weeks" ? value * 7 : value;
+        return zonedTime({ ...b, day: b.day + days }, timeZone);
+    }
+
+    const total = b.year * 12 + b.month + (unit === "years" ? value * 12 : value);
+    const year = Math.floor(total / 12);
+    const month = total % 12;
+    const day = Math.min(b.day, daysInMonth(year, month));
+    return zonedTime({ ...b, year, month, day }, timeZone);
+}
+
+/**
+ * Past and upcoming milestones for a birth date, each sorted by date.
+ * Upcoming ones carry a countdown in the same shape as untilNextBirthday.
+ * @param {Date} birthDate
+ * @param {Date} now
+ * @param {object} [options]
+ * @param {string} [options.timeZone] IANA zone, defaults to the local zone
+ * @param {Array} [options.definitions] defaults to the configured list
+ * @param {string} [options.locale] language of the generated labels (LOCALES)
+ * @returns {{past: object[], upcoming: object[]}}
+ */
+function calculateMilestones(birthDate, now, options = {}) {
+    const timeZone = options.timeZone || localTimeZone();
+    const definitions = options.definitions || milestoneDefinitions;
+    const tr = translator(options.locale);
+
+    const all = definitions
+        .map(({ unit, value, label }) => {
+            const at = milestoneTime(birthDate, unit, value, timeZone);
+            return {
+                id: `${value}-${unit}`,
+                label: label || tr.count(unit, value),
+                unit,
+                value,
+                date: fmtDateParam(at, timeZone, false),
+                at: at.toISOString(),
+                reached: at <= now,
+                countdown: at > now ? diffBreakdown(now, at, timeZone) : null,
+            };
+        })
+        .sort((x, y) => Date.parse(x.at) - Date.parse(y.at));
+
+    return {
+        past: all.filter((m) => m.reached),
+        upcoming: all.filter((m) => !m.reached),
+    };
+}
+
+module.exports = { loadMilestoneDefinitions, calculateMilestones };
@@ -0,0 +1,173 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// OpenAPI document and validation (openapi.json)
+// ---------------------------------------------------------------------------
+
+const Ajv2020 = require("ajv/dist/2020");
+
+const OPENAPI_SPEC = require("../openapi.json");
+const { sendProblem } = require("./problems");
+
+// Responses are checked against the document everywhere but production; a
+// mismatch is logged, never sent to the client
+const VALIDATE_RESPONSES = process.env.NODE_ENV !== "production";
+
+// The whole document is added so "#/components/..." references resolve; it
+// isn't a schema itself, hence strict off. Formats are documentation only.
+const openApiAjv = new Ajv2020({ strict: false, validateFormats: false });
+openApiAjv.addSchema(OPENAPI_SPEC, "openapi");
+
+/** Compiled validator for the schema at a JSON pointer into the document. */
+function specValidator(pointer) {
+    return openApiAjv.compile({ $ref: `openapi#${pointer}` });
+}
+
+/** JSON pointer segment for a key ("/api/health" → "~1api~1health"). */
+function pointerSegment(key) {
+    return String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/** The node at a JSON pointer into the document. */
+function specNode(pointer) {
+    return pointer.split("/").slice(1)
+        .map((key) => key.replace(/~1/g, "/").replace(/~0/g, "~"))
+        .reduce((node, key) => node[key], OPENAPI_SPEC);
+}
+
+/**
+ * Every operation in the document, with its path as a regular expression
+ * ("{id}" matches one segment) and validators for each parameter and for
+ * each response status with a JSON body. Shared parameters and responses
+ * are references into #/components.
+ */
+const OPENAPI_OPERATIONS = Object.entries(OPENAPI_SPEC.paths).flatMap(([route, methods]) =>
+    Object.entries(methods).map(([method, operation]) => {
+        const base = `/paths/${pointerSegment(route)}/${method}`;
+        const responses = {};
+        for (const [status, response] of Object.entries(operation.responses || {})) {
+            const pointer = response.$ref ? response.$ref.slice(1) : `${base}/responses/${status}`;
+            // application/json, or application/problem+json for errors
+            const type = Object.keys(specNode(pointer).content || {}).find((t) => t.endsWith("json"));
+            if (type) {
+                responses[status] = specValidator(`${pointer}/content/${pointerSegment(type)}/schema`);
+            }
+        }
+        return {
+            method: method.toUpperCase(),
+            // Express style ("{id}" → ":id"), the route label in the metrics
+            route: route.replace(/\{([^}]+)\}/g, ":$1"),
+            pattern: new RegExp(
+                `^${route.replace(/[.+*?^$()|[\]\\]/g, "\\$&").replace(/\{[^}]+\}/g, "[^/]+")}$`
+            ),
+            parameters: (operation.parameters || []).map((param, i) => {
+                const pointer = param.$ref ? param.$ref.slice(1) : `${base}/parameters/${i}`;
+                return { ...specNode(pointer), validate: specValidator(`${pointer}/schema`) };
+            }),
+            responses,
+        };
+    })
+);
+
+/** The documented operation for a request, or undefined. */
+function findOperation(method, requestPath) {
+    return OPENAPI_OPERATIONS.find((op) => op.method === method && op.pattern.test(requestPath));
+}
+
+/**
+ * Problem for a parameter that is missing or failed its schema: a value
+ * outside an enum is INVALID_VALUE, anything else INVALID_FORMAT. The
+ * message is the parameter's `x-error`, else one built from the failure.
+ */
+function parameterProblem(param, missing) {
+    const [err] = missing ? [] : param.validate.errors;
+    const problem = { code: "INVALID_FORMAT", param: param.name, error: param["x-error"] };
+    if (err?.keyword === "enum") {
+        problem.code = "INVALID_VALUE";
+        problem.error ??= `${param.name} must be one of ${err.params.allowedValues.join(", ")}.`;
+    }
+    problem.error ??= missing
+        ? `${param.name} parameter is required.`
+        : `${param.name} parameter ${err.message}.`;
+    return problem;
+}
+
+/**
+ * Middleware: reject a documented request whose query or header parameters
+ * don't match the document with 400, before the route runs. Routes still
+ * check what a schema can't (real calendar dates, known time zones, ...).
+ */
+function validateRequests(req, res, next) {
+    const operation = findOperation(req.method, req.path);
+    if (!operation) return next();
+
+    for (const param of operation.parameters) {
+        // Path parameters already matched the operation's pattern
+        if (param.in === "path") continue;
+        const value = param.in === "header" ? req.get(param.name) : req.query[param.name];
+        if (value === undefined) {
+            if (param.required) return sendProblem(res, parameterProblem(param, true));
+            continue;
+        }
+        if (!param.validate(value)) {
+            return sendProblem(res, parameterProblem(param, false));
+        }
+    }
+
+    if (VALIDATE_RESPONSES) {
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            const errors = responseErrors(req.method, req.path, res.statusCode, body);
+            if (errors) {
+                console.error(`${req.method} ${req.path} ${res.statusCode} response breaks openapi.json: ${errors}`);
+            }
+            return json(body);
+        };
+    }
+    next();
+}
+
+/**
+ * Why a response body doesn't match the document, or null when it does (or
+ * the operation or status isn't documented).
+ * @param {string} method
+ * @param {string} requestPath
+ * @param {number} status
+ * @param {*} body
+ * @returns {string|null}
+ */
+function responseErrors(method, requestPath, status, body) {
+    const validate = findOperation(method, requestPath)?.responses[status];
+    if (!validate || validate(body)) return null;
+    return openApiAjv.errorsText(validate.errors);
+}
+
+// Swagger UI page for /api/docs; the script is separate because helmet's
+// Content-Security-Policy blocks inline scripts
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>AgeDiff API</title>
+    <link rel="stylesheet" href="/api/docs/swagger-ui.css" />
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="/api/docs/swagger-ui-bundle.js"></script>
+    <script src="/api/docs/init.js"></script>
+</body>
+</html>
+`;
+
+const DOCS_INIT_SCRIPT = `window.ui = SwaggerUIBundle({
+    url: "/api/openapi.json",
+    dom_id: "#swagger-ui",
+    deepLinking: true,
+});
+`;
+
+module.exports = {
+    OPENAPI_OPERATIONS, findOperation, validateRequests, responseErrors, DOCS_PAGE,
+    DOCS_INIT_SCRIPT,
+};
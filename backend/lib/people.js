@@ -0,0 +1,66 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// People roster (OUTPUT_DIR/people.json)
+// ---------------------------------------------------------------------------
+
+const path = require("path");
+
+const { OUTPUT_DIR } = require("./config");
+const { parseDateParam, fmtDateParam } = require("./input");
+const { jsonStore } = require("./store");
+const { calculateAll } = require("./age");
+
+// Stored people in insertion order
+const peopleStore = jsonStore(path.join(OUTPUT_DIR, "people.json"));
+
+/**
+ * Validate a person request body ({name, birthday, time}) with the same
+ * date rules as GET /api/calculate.
+ * @param {*} body
+ * @param {Date} now
+ * @param {string} timeZone zone the birthday is read in
+ * @returns {{error: string} | {name: string, birthday: string, time: string|null}}
+ */
+function parsePersonFields(body, now, timeZone) {
+    if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        return { code: "INVALID_FORMAT", error: "Body must be a JSON object with name and birthday." };
+    }
+
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name || name.length > 100) {
+        return { code: "INVALID_VALUE", param: "name", error: "name is required, at most 100 characters." };
+    }
+
+    const parsed = parseDateParam("birthday", body.birthday, body.time, timeZone);
+    if (parsed.error) {
+        return parsed;
+    }
+    if (parsed.date > now) {
+        return { code: "FUTURE_DATE", param: "birthday", error: "Birthday cannot be in the future." };
+    }
+
+    const [birthday, time] = fmtDateParam(parsed.date, timeZone, true).split("T");
+    return { name, birthday, time: parsed.hasTime ? time : null };
+}
+
+/**
+ * A stored person plus their calculateAll() result as of `now`.
+ * @param {object} person  roster entry
+ * @param {Date} now
+ * @param {object} options {timeZone, leapPolicy}
+ * @returns {object}
+ */
+function describePerson(person, now, options) {
+    const parsed = parseDateParam("birthday", person.birthday, person.time, options.timeZone);
+    return {
+        ...person,
+        calculation: calculateAll(parsed.date, now, {
+            timeZone: options.timeZone,
+            hasBirthTime: parsed.hasTime,
+            leapPolicy: options.leapPolicy,
+        }),
+    };
+}
+
+module.exports = { peopleStore, parsePersonFields, describePerson };
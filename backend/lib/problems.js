@@ -0,0 +1,45 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Error responses (RFC 7807 application/problem+json)
+// ---------------------------------------------------------------------------
+
+// Stable machine codes with their HTTP status and problem title. Clients
+// switch on `code`; the `detail` message may be reworded at any time.
+const PROBLEM_CODES = {
+    INVALID_FORMAT: { status: 400, title: "Malformed parameter" },
+    INVALID_VALUE: { status: 400, title: "Invalid parameter value" },
+    IMPOSSIBLE_DATE: { status: 400, title: "Date or time does not exist" },
+    FUTURE_DATE: { status: 400, title: "Date is in the future" },
+    NOT_FOUND: { status: 404, title: "Not found" },
+    PAYLOAD_TOO_LARGE: { status: 413, title: "Request body too large" },
+    RATE_LIMITED: { status: 429, title: "Too many requests" },
+    INTERNAL_ERROR: { status: 500, title: "Internal server error" },
+    NOT_CONFIGURED: { status: 503, title: "Feature not configured" },
+};
+
+/**
+ * Answer with an RFC 7807 problem for one of PROBLEM_CODES, in the shape the
+ * input parsers return their errors in. The message is sent as `detail` and
+ * again as `error`, the body's only member before problem+json.
+ * @param {object} res
+ * @param {object} problem
+ * @param {string} problem.code   key of PROBLEM_CODES
+ * @param {string} problem.error  human-readable message
+ * @param {string} [problem.param] offending query parameter or body field
+ */
+function sendProblem(res, { code, error, param = null }) {
+    const { status, title } = PROBLEM_CODES[code];
+    res.status(status).type("application/problem+json").json({
+        type: `urn:agediff:problem:${code.toLowerCase().replace(/_/g, "-")}`,
+        title,
+        status,
+        detail: error,
+        code,
+        param,
+        requestId: res.req.id,
+        error,
+    });
+}
+
+module.exports = { sendProblem };
@@ -0,0 +1,57 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Readiness (GET /api/ready)
+// ---------------------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+
+const { OUTPUT_DIR, DEFAULT_TZ } = require("./config");
+const { latestSummaryWrite } = require("./summaries");
+
+const APP_VERSION = require("../package.json").version;
+
+/**
+ * Whether OUTPUT_DIR takes writes right now: a probe file is written and
+ * removed again, which fails on a read-only or full volume. Free space is
+ * informational only.
+ * @returns {Promise<{ok: boolean, path: string, freeBytes: number|null, error: string|null}>}
+ */
+async function checkOutputDir() {
+    const probe = path.join(OUTPUT_DIR, `.ready-${process.pid}`);
+    const result = { ok: true, path: OUTPUT_DIR, freeBytes: null, error: null };
+    try {
+        await fs.promises.writeFile(probe, new Date().toISOString(), "utf8");
+        await fs.promises.rm(probe, { force: true });
+    } catch (err) {
+        Object.assign(result, { ok: false, error: err.message });
+    }
+    try {
+        const stats = await fs.promises.statfs(OUTPUT_DIR);
+        result.freeBytes = stats.bavail * stats.bsize;
+    } catch {
+        // Missing directory, or a platform without statfs: already reported above
+    }
+    return result;
+}
+
+/**
+ * Readiness report: "degraded" when the output directory can't be written
+ * or the latest writeSummaryFile() failed (until a later one succeeds).
+ */
+async function readinessReport() {
+    const outputDir = await checkOutputDir();
+    const lastSummaryWrite = latestSummaryWrite();
+    const ok = outputDir.ok && lastSummaryWrite?.ok !== false;
+    return {
+        status: ok ? "ready" : "degraded",
+        version: APP_VERSION,
+        uptimeSeconds: Math.round(process.uptime()),
+        timeZone: DEFAULT_TZ,
+        timestamp: new Date().toISOString(),
+        checks: { outputDir, lastSummaryWrite },
+    };
+}
+
+module.exports = { readinessReport };
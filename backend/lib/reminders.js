@@ -0,0 +1,198 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Birthday reminders (webhook scheduler, log in OUTPUT_DIR/reminders.json)
+// ---------------------------------------------------------------------------
+
+const path = require("path");
+
+const {
+    OUTPUT_DIR, DEFAULT_TZ, DEFAULT_LEAP_POLICY, REMINDER_WEBHOOK_URL, REMINDER_DAYS,
+    REMINDER_CHECK_MINUTES, REMINDER_MAX_ATTEMPTS, REMINDER_RETRY_MS,
+} = require("./config");
+const { fmtDateParam, parseReminderDays } = require("./input");
+const { jsonStore } = require("./store");
+const { peopleStore, describePerson } = require("./people");
+const { upcomingBirthdays } = require("./upcoming");
+const { zonedParts } = require("../../shared/age-core");
+
+// Sent and failed reminders, oldest first
+const reminderLog = jsonStore(path.join(OUTPUT_DIR, "reminders.json"));
+
+// Keys of reminders a run is delivering. They are claimed and recorded in
+// reminderLog updates, so overlapping runs never send one twice.
+const deliveringReminders = new Set();
+
+const reminderDays = parseReminderDays(REMINDER_DAYS);
+if (!reminderDays) {
+    throw new Error(`REMINDER_DAYS: expected days before the birthday, e.g. "7,1,0", got "${REMINDER_DAYS}"`);
+}
+
+/** Options the scheduler calculates birthdays with. */
+function reminderOptions() {
+    return { timeZone: DEFAULT_TZ, leapPolicy: DEFAULT_LEAP_POLICY, days: reminderDays };
+}
+
+/** The stored roster, each person described as of `now` in the scheduler's zone. */
+async function readDescribedPeople(now) {
+    const people = await peopleStore.read();
+    return people.map((p) => describePerson(p, now, reminderOptions()));
+}
+
+/**
+ * Reminders due for each person's next (or today's) birthday: one when the
+ * birthday is exactly one of `options.days` away. The scheduler checks every
+ * few minutes, so a reminder is only missed when it is down all that day.
+ * The key identifies a reminder across runs and restarts.
+ * @param {object[]} people  described people (see describePerson())
+ * @param {Date} now
+ * @param {object} options
+ * @param {string} options.timeZone
+ * @param {string} options.leapPolicy
+ * @param {number[]} options.days days before the birthday
+ * @returns {object[]}
+ */
+function dueReminders(people, now, options) {
+    if (options.days.length === 0) return [];
+
+    const { today, upcoming } = upcomingBirthdays(people, now, {
+        ...options, days: Math.max(...options.days),
+    });
+    const todayDate = fmtDateParam(now, options.timeZone, false);
+
+    return [
+        ...today.map((p) => ({ ...p, nextBirthdayDate: todayDate, inDays: 0 })),
+        ...upcoming,
+    ].filter((p) => options.days.includes(p.inDays)).map((p) => {
+        const daysBefore = p.inDays;
+        const when = p.inDays === 0
+            ? "today!"
+            : `in ${p.inDays} day${p.inDays === 1 ? "" : "s"} (${p.nextBirthdayDate}).`;
+        return {
+            key: `${p.id}:${p.nextBirthdayDate}:${daysBefore}`,
+            person: { id: p.id, name: p.name, birthday: p.birthday },
+            birthdayDate: p.nextBirthdayDate,
+            daysBefore,
+            inDays: p.inDays,
+            turningAge: p.turningAge,
+            message: `${p.name} turns ${p.turningAge} ${when}`,
+        };
+    });
+}
+
+/**
+ * POST `payload` as JSON, retrying failures (network errors, non-2xx) with
+ * exponential backoff.
+ * @param {string} url
+ * @param {object} payload
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts] defaults to REMINDER_MAX_ATTEMPTS
+ * @param {number} [options.retryMs]     first retry delay, doubled each time
+ * @returns {Promise<{ok: boolean, attempts: number, status?: number, error?: string}>}
+ */
+async function deliverWebhook(url, payload, options = {}) {
+    const { maxAttempts = REMINDER_MAX_ATTEMPTS, retryMs = REMINDER_RETRY_MS } = options;
+
+    let last = {};
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        try {
+            const resp = await fetch(url, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(payload),
+                signal: AbortSignal.timeout(10_000),
+            });
+            if (resp.ok) return { ok: true, attempts: attempt, status: resp.status };
+            last = { status: resp.status, error: `HTTP ${resp.status}` };
+        } catch (err) {
+            last = { error: err.message };
+        }
+        if (attempt < maxAttempts) {
+            await new Promise((resolve) => setTimeout(resolve, retryMs * 2 ** (attempt - 1)));
+        }
+    }
+    return { ok: false, attempts: maxAttempts, ...last };
+}
+
+/**
+ * Send every due reminder that hasn't been sent yet and record the outcome.
+ * Failed reminders are tried again on the next run. Deliveries (and their
+ * retries) happen outside reminderLog's queue; only reading and writing the
+ * log is queued.
+ * @param {object} [options]
+ * @param {string} [options.webhookUrl] defaults to REMINDER_WEBHOOK_URL
+ * @param {Date} [options.now]
+ * @returns {Promise<object[]>} log entries written by this run
+ */
+async function runReminders(options = {}) {
+    const { webhookUrl = REMINDER_WEBHOOK_URL, now = new Date() } = options;
+    const due = dueReminders(await readDescribedPeople(now), now, reminderOptions());
+
+    const claimed = await reminderLog.update(async (log, save) => {
+        // A birthday in a past year can't be due again; forget its reminders
+        const year = zonedParts(now, reminderOptions().timeZone).year;
+        const current = log.filter((e) => Number(e.birthdayDate.slice(0, 4)) >= year);
+        if (current.length < log.length) {
+            await save(current);
+        }
+
+        const sent = new Set(current.filter((e) => e.status === "sent").map((e) => e.key));
+        const unsent = due.filter((r) => !sent.has(r.key) && !deliveringReminders.has(r.key));
+        for (const reminder of unsent) deliveringReminders.add(reminder.key);
+        return unsent;
+    });
+
+    const written = [];
+    try {
+        for (const reminder of claimed) {
+            const delivery = await deliverWebhook(webhookUrl, { type: "birthday.reminder", ...reminder });
+            const entry = {
+                key: reminder.key,
+                personId: reminder.person.id,
+                name: reminder.person.name,
+                birthdayDate: reminder.birthdayDate,
+                daysBefore: reminder.daysBefore,
+                status: delivery.ok ? "sent" : "failed",
+                attempts: delivery.attempts,
+                at: new Date().toISOString(),
+                ...(delivery.error && { error: delivery.error }),
+            };
+
+            // Save after every delivery so a restart can't send it again
+            await reminderLog.update(async (log, save) => {
+                const i = log.findIndex((e) => e.key === entry.key);
+                if (i >= 0) log.splice(i, 1);
+                log.push(entry);
+                await save();
+            });
+            deliveringReminders.delete(reminder.key);
+
+            console.log(`Reminder ${entry.key} ${entry.status} after ${entry.attempts} attempt(s)`);
+            written.push(entry);
+        }
+    } finally {
+        for (const reminder of claimed) deliveringReminders.delete(reminder.key);
+    }
+    return written;
+}
+
+/** Check for due reminders now and every REMINDER_CHECK_MINUTES. */
+function startReminderScheduler() {
+    if (REMINDER_WEBHOOK_URL === null) {
+        console.log("Reminder scheduler off (REMINDER_WEBHOOK_URL not set)");
+        return;
+    }
+
+    const tick = () => runReminders().catch((err) => {
+        console.error("Reminder run failed:", err.message);
+    });
+    tick();
+    setInterval(tick, REMINDER_CHECK_MINUTES * 60_000).unref();
+    console.log(`Reminder scheduler on: ${reminderDays.join(", ")} day(s) before, ` +
+        `checking every ${REMINDER_CHECK_MINUTES} min`);
+}
+
+module.exports = {
+    reminderLog, reminderDays, reminderOptions, readDescribedPeople, dueReminders,
+    deliverWebhook, runReminders, startReminderScheduler,
+};
@@ -0,0 +1,54 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// JSON files in OUTPUT_DIR (people, summary index, reminder log)
+// ---------------------------------------------------------------------------
+
+const fs = require("fs");
+
+/** Write JSON via a temp file and rename, so readers never see half a file. */
+async function writeJsonAtomic(file, value) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(value, null, 2), "utf8");
+    await fs.promises.rename(tmp, file);
+}
+
+/**
+ * A JSON array kept in `file`, read as [] before the file exists. Updates
+ * run one at a time, so concurrent requests can't drop each other's entries.
+ * @param {string} file
+ */
+function jsonStore(file) {
+    let queue = Promise.resolve();
+
+    /** The stored array, oldest entry first. */
+    async function read() {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, "utf8"));
+        } catch (err) {
+            if (err.code === "ENOENT") return [];
+            throw err;
+        }
+    }
+
+    /**
+     * Run `change(items, save)` once earlier updates are done. It edits
+     * `items` and awaits `save()` to write them (or `save(replacement)`);
+     * the file is left alone until it does.
+     * @param {function(object[], function(object[]=): Promise<void>): *} change
+     * @returns {Promise<*>} whatever `change` returned
+     */
+    function update(change) {
+        const run = queue.then(async () => {
+            const items = await read();
+            return change(items, (value = items) => writeJsonAtomic(file, value));
+        });
+        // Keep the queue alive after a failed update
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    return { read, update };
+}
+
+module.exports = { jsonStore };
@@ -0,0 +1,189 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Summary file generation (written to the bound volume)
+// ---------------------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const {
+    OUTPUT_DIR, SUMMARY_FORMATS, SUMMARY_MAX_COUNT, SUMMARY_MAX_AGE_DAYS,
+} = require("./config");
+const { summaryWrites } = require("./metrics");
+const { jsonStore } = require("./store");
+const {
+    renderTextSummary, renderJsonSummary, renderMarkdownSummary, renderCsvSummary,
+    renderHtmlSummary,
+} = require("./summary-render");
+
+// One renderer per output format; the key doubles as the file extension
+const SUMMARY_RENDERERS = {
+    txt: renderTextSummary,
+    json: renderJsonSummary,
+    md: renderMarkdownSummary,
+    csv: renderCsvSummary,
+    html: renderHtmlSummary,
+};
+
+/**
+ * Parse a comma-separated format list ("md,json"); null if any entry is
+ * unknown. The text summary is always written, so "txt" is implied.
+ * @param {string} value
+ * @returns {string[] | null}
+ */
+function parseSummaryFormats(value) {
+    if (typeof value !== "string") return null;
+    const formats = value.split(",").map((f) => f.trim().toLowerCase()).filter(Boolean);
+    if (!formats.every((f) => Object.hasOwn(SUMMARY_RENDERERS, f))) return null;
+    return [...new Set(["txt", ...formats])];
+}
+
+const defaultSummaryFormats = parseSummaryFormats(SUMMARY_FORMATS);
+if (!defaultSummaryFormats) {
+    throw new Error(`SUMMARY_FORMATS: unknown format in "${SUMMARY_FORMATS}"`);
+}
+
+/**
+ * Write the summary in each requested format to the history directory as
+ * <id>.<ext>, record it in the index, and refresh the age_summary.<ext>
+ * "latest" copies in OUTPUT_DIR. Each run is counted, by result, in
+ * agediff_summary_writes_total and the latest kept for GET /api/ready.
+ * @param {object} data        calculateAll() result, plus optional milestones
+ * @param {string[]} [formats] keys of SUMMARY_RENDERERS
+ * @param {string} [id]        from newSummaryId(); generated when omitted
+ */
+async function writeSummaryFile(data, formats = defaultSummaryFormats, id = newSummaryId()) {
+    try {
+        await fs.promises.mkdir(SUMMARY_HISTORY_DIR, { recursive: true });
+
+        for (const format of formats) {
+            const content = SUMMARY_RENDERERS[format](data);
+            const filePath = path.join(SUMMARY_HISTORY_DIR, `${id}.${format}`);
+            await fs.promises.writeFile(filePath, content, "utf8");
+            await fs.promises.writeFile(path.join(OUTPUT_DIR, `age_summary.${format}`), content, "utf8");
+            console.log(`Summary written to ${filePath}`);
+        }
+
+        await summaryIndex.update(async (index, save) => {
+            index.push({
+                id,
+                createdAt: data.calculatedAt,
+                birthday: data.birthday,
+                formats,
+            });
+            // Writes can finish out of order; keep the index sorted by creation
+            index.sort((x, y) => Date.parse(x.createdAt) - Date.parse(y.createdAt));
+            await save(await pruneSummaries(index));
+        });
+    } catch (err) {
+        summaryWrites.inc({ result: "failure" });
+        lastSummaryWrite = { ok: false, at: new Date().toISOString(), error: err.message };
+        throw err;
+    }
+    summaryWrites.inc({ result: "success" });
+    lastSummaryWrite = { ok: true, at: new Date().toISOString(), error: null };
+}
+
+// Background writeSummaryFile() runs that haven't finished yet
+const pendingSummaryWrites = new Set();
+
+/**
+ * Run writeSummaryFile() without making the caller wait; a failure is logged
+ * (and shows in GET /api/ready).
+ */
+function writeSummaryInBackground(data, formats, id) {
+    const write = writeSummaryFile(data, formats, id)
+        .catch((err) => {
+            console.error("Failed to write summary file:", err.message);
+        })
+        .finally(() => pendingSummaryWrites.delete(write));
+    pendingSummaryWrites.add(write);
+}
+
+/** Resolves once every background summary write started so far is done. */
+function summaryWritesSettled() {
+    return Promise.all(pendingSummaryWrites);
+}
+
+// ---------------------------------------------------------------------------
+// Summary history (OUTPUT_DIR/summaries/<id>.<ext> + index.json)
+// ---------------------------------------------------------------------------
+
+const SUMMARY_HISTORY_DIR = path.join(OUTPUT_DIR, "summaries");
+const SUMMARY_ID_RE = /^\d{8}T\d{6}Z-[0-9a-f]{8}$/;
+
+// Summary index entries, oldest first
+const summaryIndex = jsonStore(path.join(SUMMARY_HISTORY_DIR, "index.json"));
+
+// Outcome of the latest writeSummaryFile() run (null until the first)
+let lastSummaryWrite = null;
+
+/** Outcome of the latest writeSummaryFile() run, for GET /api/ready. */
+function latestSummaryWrite() {
+    return lastSummaryWrite;
+}
+
+/** Unique, sortable summary id: UTC timestamp plus a random suffix. */
+function newSummaryId(now = new Date()) {
+    const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+    return `${stamp}-${crypto.randomBytes(4).toString("hex")}`;
+}
+
+/** Creation time of a newSummaryId() id, as an ISO string. */
+function summaryIdTime(id) {
+    const [, y, mo, d, h, mi, sec] = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z/.exec(id);
+    return `${y}-${mo}-${d}T${h}:${mi}:${sec}Z`;
+}
+
+/**
+ * Split `entries` ({createdAt}, oldest first) by the retention policy:
+ * entries beyond the newest `maxCount` or older than `maxAgeDays` are
+ * dropped (0 disables either limit).
+ * @param {object[]} entries
+ * @param {object} [options]
+ * @param {number} [options.maxCount]   defaults to SUMMARY_MAX_COUNT
+ * @param {number} [options.maxAgeDays] defaults to SUMMARY_MAX_AGE_DAYS
+ * @param {Date} [options.now]
+ * @returns {{keep: object[], drop: object[]}}
+ */
+function retention(entries, options = {}) {
+    const {
+        maxCount = SUMMARY_MAX_COUNT,
+        maxAgeDays = SUMMARY_MAX_AGE_DAYS,
+        now = new Date(),
+    } = options;
+    const minCreated = maxAgeDays > 0 ? now.getTime() - maxAgeDays * 86_400_000 : -Infinity;
+    const overflow = maxCount > 0 ? entries.length - maxCount : 0;
+
+    const keep = [];
+    const drop = [];
+    for (const [i, entry] of entries.entries()) {
+        (i >= overflow && Date.parse(entry.createdAt) >= minCreated ? keep : drop).push(entry);
+    }
+    return { keep, drop };
+}
+
+/**
+ * Apply the retention policy (see retention()) to the summary index and
+ * delete the files of the entries it drops.
+ * @param {object[]} index oldest first
+ * @param {object} [options] as for retention()
+ * @returns {Promise<object[]>} the entries that are kept
+ */
+async function pruneSummaries(index, options = {}) {
+    const { keep, drop } = retention(index, options);
+    for (const entry of drop) {
+        for (const format of entry.formats) {
+            await fs.promises.rm(path.join(SUMMARY_HISTORY_DIR, `${entry.id}.${format}`), { force: true });
+        }
+    }
+    return keep;
+}
+
+module.exports = {
+    SUMMARY_RENDERERS, parseSummaryFormats, defaultSummaryFormats, writeSummaryInBackground,
+    summaryWritesSettled, SUMMARY_HISTORY_DIR, SUMMARY_ID_RE, summaryIndex, latestSummaryWrite,
+    newSummaryId, summaryIdTime, retention, pruneSummaries,
+};
@@ -0,0 +1,476 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Summary rendering (txt, json, md, csv and html)
+// ---------------------------------------------------------------------------
+
+const { translator } = require("./i18n");
+
+/** Fixed-width ASCII report with bar charts, in the language of `data.locale`. */
+function renderTextSummary(data) {
+    const tr = translator(data.locale);
+    const lines = [];
+    const W = 58;
+    const bar = "=".repeat(W);
+    const thin = "-".repeat(W);
+    const section = (title) => `-- ${title} ${thin.slice(title.length + 4)}`;
+
+    // Unit labels, padded to line up with the longest one
+    const unitLabel = (unit) => tr.t(`unit.${unit}`);
+    const unitWidth = Math.max(...SINCE_UNITS.map((u) => unitLabel(u).length));
+    const totals = (breakdown, units) => {
+        for (const unit of units) {
+            lines.push(`    ${`${unitLabel(unit)}:`.padEnd(unitWidth + 2)}${tr.number(breakdown.totals[unit])}`);
+        }
+    };
+    const chart = (breakdown, units) => asciiBar(lines, units.map((unit) => ({
+        label: unitLabel(unit).padEnd(unitWidth),
+        value: breakdown.components[unit],
+    })));
+    const counts = (breakdown, units) =>
+        units.map((unit) => tr.count(unit, breakdown.components[unit])).join(", ");
+
+    // ── Header ──
+    if (data.isBirthday) {
+        lines.push(`+${bar}+`);
+        lines.push(`|${center(tr.t("report.happyBirthday"), W)}|`);
+        lines.push(`|${center(tr.t("report.turningToday", { age: data.turningAge }), W)}|`);
+        lines.push(`+${bar}+`);
+        lines.push("");
+        lines.push(getBirthdayAsciiArt());
+        lines.push("");
+    } else {
+        lines.push(`+${bar}+`);
+        lines.push(`|${center(tr.t("report.title"), W)}|`);
+        lines.push(`+${bar}+`);
+    }
+
+    lines.push("");
+    const info = summaryInfo(data, tr);
+    const infoWidth = Math.max(13, ...info.map(([label]) => label.length + 2));
+    for (const [label, value] of info) {
+        lines.push(`  ${`${label}:`.padEnd(infoWidth)}${value}`);
+    }
+    lines.push("");
+
+    // ── About the birthday ──
+    if (data.facts) {
+        const facts = factRows(data.facts, tr);
+        const factWidth = Math.max(13, ...facts.map(([label]) => label.length + 2));
+        lines.push(section(tr.t("report.aboutBirthday")));
+        lines.push("");
+        for (const [label, value] of facts) {
+            lines.push(`  ${`${label}:`.padEnd(factWidth)}${value}`);
+        }
+        lines.push("");
+    }
+
+    // ── Since birth ──
+    lines.push(section(tr.t("report.sinceBirth")));
+    lines.push("");
+
+    lines.push(`  ${tr.t("report.componentBreakdown")}:`);
+    lines.push(`    ${counts(data.sinceBirth, SINCE_UNITS.slice(0, 3))},`);
+    lines.push(`    ${counts(data.sinceBirth, SINCE_UNITS.slice(3))}`);
+    lines.push("");
+
+    lines.push(`  ${tr.t("report.totals")}:`);
+    totals(data.sinceBirth, SINCE_UNITS);
+    lines.push("");
+
+    // ASCII bar chart
+    lines.push(`  ${tr.t("report.visualBreakdown")}:`);
+    chart(data.sinceBirth, SINCE_UNITS);
+    lines.push("");
+
+    // ── Until next birthday ──
+    if (data.untilNextBirthday) {
+        lines.push(section(tr.t("report.untilNextBirthday")));
+        lines.push("");
+
+        lines.push(`  ${tr.t("report.componentBreakdown")}:`);
+        lines.push(`    ${counts(data.untilNextBirthday, UNTIL_UNITS.slice(0, 2))},`);
+        lines.push(`    ${counts(data.untilNextBirthday, UNTIL_UNITS.slice(2))}`);
+        lines.push("");
+
+        lines.push(`  ${tr.t("report.totals")}:`);
+        totals(data.untilNextBirthday, UNTIL_UNITS);
+        lines.push("");
+
+        lines.push(`  ${tr.t("report.visualCountdown")}:`);
+        chart(data.untilNextBirthday, UNTIL_UNITS);
+        lines.push("");
+        lines.push(`  ${tr.t("report.nextBirthday")}: ${tr.date(data.nextBirthdayDate)}`);
+    } else {
+        lines.push(section(tr.t("report.birthdayToday")));
+    }
+
+    // ── Milestones ──
+    if (data.milestones) {
+        lines.push("");
+        lines.push(section(tr.t("report.milestones")));
+        lines.push("");
+
+        const recent = data.milestones.past.slice(-3);
+        const next = data.milestones.upcoming.slice(0, 5);
+        const dateWidth = Math.max(...[...recent, ...next].map((m) => tr.date(m.date, "medium").length));
+        const row = (m) => `    ${tr.date(m.date, "medium").padEnd(dateWidth)}  ${m.label}`;
+        if (recent.length) {
+            lines.push(`  ${tr.t("report.recentlyReached")}:`);
+            for (const m of recent) {
+                lines.push(row(m));
+            }
+            lines.push("");
+        }
+        if (next.length) {
+            lines.push(`  ${tr.t("report.comingUp")}:`);
+            for (const m of next) {
+                const when = tr.t("report.in", { time: tr.count("days", m.countdown.totals.days) });
+                lines.push(`${row(m)} (${when})`);
+            }
+        }
+    }
+
+    lines.push("");
+    lines.push(bar);
+    lines.push("");
+
+    return lines.join("\n");
+}
+
+/** The full result as pretty-printed JSON. */
+function renderJsonSummary(data) {
+    return JSON.stringify(data, null, 2) + "\n";
+}
+
+/** Markdown report with the same sections as the text file. */
+function renderMarkdownSummary(data) {
+    const tr = translator(data.locale);
+    const lines = [];
+
+    if (data.isBirthday) {
+        lines.push(`# ${tr.t("report.happyBirthdayHeading")}`);
+        lines.push("");
+        lines.push(`> ${tr.t("report.turningToday", { age: `**${data.turningAge}**` })}`);
+    } else {
+        lines.push(`# ${tr.t("report.heading")}`);
+    }
+    lines.push("");
+    for (const [label, value] of summaryInfo(data, tr)) {
+        lines.push(`- **${label}:** ${value}`);
+    }
+    lines.push("");
+
+    const table = (rows) => {
+        lines.push(`| ${tr.t("report.unit")} | ${tr.t("report.component")} | ${tr.t("report.total")} |`);
+        lines.push("| --- | ---: | ---: |");
+        for (const r of rows) lines.push(`| ${r.label} | ${r.component} | ${r.total} |`);
+        lines.push("");
+    };
+
+    if (data.facts) {
+        lines.push(`## ${tr.t("report.aboutBirthday")}`);
+        lines.push("");
+        for (const [label, value] of factRows(data.facts, tr)) {
+            lines.push(`- **${label}:** ${value}`);
+        }
+        lines.push("");
+    }
+
+    lines.push(`## ${tr.t("report.sinceBirth")}`);
+    lines.push("");
+    table(summaryRows(data.sinceBirth, SINCE_UNITS, tr));
+
+    if (data.untilNextBirthday) {
+        lines.push(`## ${tr.t("report.untilNextBirthday")}`);
+        lines.push("");
+        table(summaryRows(data.untilNextBirthday, UNTIL_UNITS, tr));
+        lines.push(`${tr.t("report.nextBirthday")}: **${tr.date(data.nextBirthdayDate)}**`);
+    } else {
+        lines.push(`## ${tr.t("report.birthdayToday")}`);
+    }
+    lines.push("");
+
+    if (data.milestones) {
+        lines.push(`## ${tr.t("report.milestones")}`);
+        lines.push("");
+        lines.push(`| ${tr.t("report.date")} | ${tr.t("report.milestone")} | ${tr.t("report.status")} |`);
+        lines.push("| --- | --- | --- |");
+        for (const m of [...data.milestones.past, ...data.milestones.upcoming]) {
+            lines.push(`| ${tr.date(m.date, "medium")} | ${m.label} | ${milestoneStatus(m, tr)} |`);
+        }
+        lines.push("");
+    }
+
+    return lines.join("\n");
+}
+
+/** Flat section,key,value rows for spreadsheets. */
+function renderCsvSummary(data) {
+    const rows = [["section", "key", "value"]];
+
+    for (const [label, value] of summaryInfo(data)) rows.push(["info", label, value]);
+    rows.push(["birthday", "isBirthday", data.isBirthday]);
+    rows.push(["birthday", "turningAge", data.turningAge ?? ""]);
+    rows.push(["birthday", "nextBirthdayDate", data.nextBirthdayDate ?? ""]);
+
+    const addBreakdown = (section, breakdown, units) => {
+        if (!breakdown) return;
+        for (const unit of units) {
+            rows.push([`${section}.components`, unit, breakdown.components[unit]]);
+        }
+        for (const unit of units) {
+            rows.push([`${section}.totals`, unit, breakdown.totals[unit]]);
+        }
+    };
+    addBreakdown("sinceBirth", data.sinceBirth, SINCE_UNITS);
+    addBreakdown("untilNextBirthday", data.untilNextBirthday, UNTIL_UNITS);
+
+    if (data.facts) {
+        const f = data.facts;
+        rows.push(["facts", "weekday", f.weekday.id]);
+        rows.push(["facts", "dayOfYear", f.dayOfYear]);
+        rows.push(["facts", "isoWeek", isoWeekLabel(f.isoWeek)]);
+        rows.push(["facts", "westernZodiac", f.westernZodiac.id]);
+        rows.push(["facts", "chineseZodiac", f.chineseZodiac.id]);
+        rows.push(["facts", "chineseElement", f.chineseZodiac.element.id]);
+        rows.push(["facts", "birthstone", f.birthstone.id]);
+        rows.push(["facts", "birthFlower", f.birthFlower.id]);
+        rows.push(["facts", "generation", f.generation?.id ?? ""]);
+    }
+
+    if (data.milestones) {
+        for (const m of [...data.milestones.past, ...data.milestones.upcoming]) {
+            rows.push([m.reached ? "milestones.past" : "milestones.upcoming", m.label, m.date]);
+        }
+    }
+
+    return rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/** Self-contained HTML page (inline styles, no external assets). */
+function renderHtmlSummary(data) {
+    const tr = translator(data.locale);
+    const table = (breakdown, units) => [
+        "<table>",
+        `<tr><th>${tr.t("report.unit")}</th><th>${tr.t("report.component")}</th>` +
+            `<th>${tr.t("report.total")}</th></tr>`,
+        ...summaryRows(breakdown, units, tr).map((r) =>
+            `<tr><td>${r.label}</td><td>${r.component}</td><td>${r.total}</td></tr>`),
+        "</table>",
+    ].join("\n");
+
+    const body = [];
+    if (data.isBirthday) {
+        body.push(`<h1>${escapeHtml(tr.t("report.happyBirthdayHeading"))}</h1>`);
+        body.push(`<p class="banner">${escapeHtml(tr.t("report.turningToday", { age: data.turningAge }))}</p>`);
+    } else {
+        body.push(`<h1>${escapeHtml(tr.t("report.heading"))}</h1>`);
+    }
+    body.push("<ul>");
+    for (const [label, value] of summaryInfo(data, tr)) {
+        body.push(`<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`);
+    }
+    body.push("</ul>");
+
+    if (data.facts) {
+        body.push(`<h2>${escapeHtml(tr.t("report.aboutBirthday"))}</h2>`);
+        body.push("<ul>");
+        for (const [label, value] of factRows(data.facts, tr)) {
+            body.push(`<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`);
+        }
+        body.push("</ul>");
+    }
+
+    body.push(`<h2>${escapeHtml(tr.t("report.sinceBirth"))}</h2>`);
+    body.push(table(data.sinceBirth, SINCE_UNITS));
+
+    if (data.untilNextBirthday) {
+        body.push(`<h2>${escapeHtml(tr.t("report.untilNextBirthday"))}</h2>`);
+        body.push(table(data.untilNextBirthday, UNTIL_UNITS));
+        body.push(`<p>${escapeHtml(tr.t("report.nextBirthday"))}: ` +
+            `<strong>${escapeHtml(tr.date(data.nextBirthdayDate))}</strong></p>`);
+    } else {
+        body.push(`<h2>${escapeHtml(tr.t("report.birthdayToday"))}</h2>`);
+    }
+
+    if (data.milestones) {
+        body.push(`<h2>${escapeHtml(tr.t("report.milestones"))}</h2>`);
+        body.push("<table>");
+        body.push(`<tr><th>${tr.t("report.date")}</th><th>${tr.t("report.milestone")}</th>` +
+            `<th>${tr.t("report.status")}</th></tr>`);
+        for (const m of [...data.milestones.past, ...data.milestones.upcoming]) {
+            body.push(`<tr><td>${escapeHtml(tr.date(m.date, "medium"))}</td><td>${escapeHtml(m.label)}</td>` +
+                `<td>${escapeHtml(milestoneStatus(m, tr))}</td></tr>`);
+        }
+        body.push("</table>");
+    }
+
+    return `<!DOCTYPE html>
+<html lang="${tr.locale}">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(tr.t("report.pageTitle", { birthday: data.birthday }))}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 720px;
+       margin: 2rem auto; padding: 0 1rem; color: #1a1a2e; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 1rem; }
+th, td { border-bottom: 1px solid #ddd; padding: 0.4rem 0.6rem; text-align: left; }
+td:nth-child(n+2) { font-variant-numeric: tabular-nums; }
+.banner { font-size: 1.4rem; font-weight: 700; color: #7c5cff; }
+</style>
+</head>
+<body>
+${body.join("\n")}
+</body>
+</html>
+`;
+}
+
+// Units shown for each breakdown, in display order
+const SINCE_UNITS = ["years", "months", "days", "hours", "minutes", "seconds"];
+const UNTIL_UNITS = ["months", "days", "hours", "minutes", "seconds"];
+
+/**
+ * Label/value pairs for the report header, shared by every format. Without
+ * a translator (CSV) the labels are English and the values stay raw.
+ */
+function summaryInfo(data, tr = null) {
+    const en = translator("en");
+    const label = (key) => (tr || en).t(key);
+    const info = [
+        [
+            label("report.birthday"),
+            tr
+                ? [tr.date(data.birthday), data.birthTime && tr.time(data.birthTime)].filter(Boolean).join(" ")
+                : [data.birthday, data.birthTime].filter(Boolean).join(" "),
+        ],
+        [label("report.calculated"), tr ? tr.dateTime(data.calculatedAt, data.timeZone) : data.calculatedAt],
+        [label("report.timeZone"), data.timeZone],
+    ];
+    if (data.asOf) {
+        const [ymd, hms] = data.asOf.split("T");
+        info.splice(1, 0, [
+            label("report.asOf"),
+            tr ? [tr.date(ymd), hms && tr.time(hms)].filter(Boolean).join(" ") : data.asOf,
+        ]);
+    }
+    if (data.birthday.endsWith("-02-29")) {
+        info.push([label("report.leapDay"), (tr || en).t(`leapPolicy.${data.leapPolicy}`)]);
+    }
+    if (data.calendar) {
+        const c = data.calendar;
+        info.push([label("report.calendar"), (tr || en).t("report.calendarValue", {
+            name: (tr || en).t(`calendar.${c.id}`),
+            date: c.birthDate.formatted,
+            next: tr ? tr.date(c.nextBirthday.date) : c.nextBirthday.date,
+        })]);
+    }
+    return info;
+}
+
+/** Table rows (label, component, total) for a breakdown. */
+function summaryRows(breakdown, units, tr) {
+    return units.map((unit) => ({
+        label: tr.t(`unit.${unit}`),
+        component: breakdown.components[unit],
+        total: tr.number(breakdown.totals[unit]),
+    }));
+}
+
+/** Label/value pairs for the "About your birthday" section. */
+function factRows(facts, tr) {
+    const rows = [
+        [tr.t("report.weekday"), facts.weekday.name],
+        [tr.t("report.dayOfYear"), tr.number(facts.dayOfYear)],
+        [tr.t("report.isoWeek"), isoWeekLabel(facts.isoWeek)],
+        [tr.t("report.westernZodiac"), facts.westernZodiac.name],
+        [tr.t("report.chineseZodiac"), tr.t("report.chineseZodiacValue", {
+            animal: facts.chineseZodiac.name, element: facts.chineseZodiac.element.name,
+        })],
+        [tr.t("report.birthstone"), facts.birthstone.name],
+        [tr.t("report.birthFlower"), facts.birthFlower.name],
+    ];
+    if (facts.generation) {
+        const g = facts.generation;
+        rows.push([tr.t("report.generation"), tr.t("report.generationValue", {
+            name: g.name, from: String(g.from), to: String(g.to),
+        })]);
+    }
+    return rows;
+}
+
+/** ISO 8601 week notation, e.g. "1990-W20". */
+function isoWeekLabel({ year, week }) {
+    return `${year}-W${String(week).padStart(2, "0")}`;
+}
+
+/** "reached" or "in 120 days" for a milestone table. */
+function milestoneStatus(m, tr) {
+    return m.reached
+        ? tr.t("report.reached")
+        : tr.t("report.in", { time: tr.count("days", m.countdown.totals.days) });
+}
+
+/**
+ * Quote a CSV cell when it contains a separator, quote or newline. Text that
+ * a spreadsheet would run as a formula (=, +, -, @, tab or CR first) gets a
+ * leading apostrophe so it is shown as text.
+ */
+function csvCell(value) {
+    const text = typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Escape text for safe inclusion in HTML. */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/** Centre text within a given width. */
+function center(text, width) {
+    const pad = Math.max(0, width - text.length);
+    const left = Math.floor(pad / 2);
+    const right = pad - left;
+    return " ".repeat(left) + text + " ".repeat(right);
+}
+
+/** Append horizontal ASCII bar-chart lines. */
+function asciiBar(lines, items) {
+    const maxBar = 36;
+    const maxVal = Math.max(...items.map((i) => i.value), 1);
+    for (const item of items) {
+        const barLen = Math.max(1, Math.round((item.value / maxVal) * maxBar));
+        lines.push(`    ${item.label} ${"#".repeat(barLen)} ${item.value}`);
+    }
+}
+
+/** ASCII-art birthday cake (pure ASCII, no emoji). */
+function getBirthdayAsciiArt() {
+    return [
+        "            *    *    *    *    *",
+        "            |    |    |    |    |",
+        "           .|.  .|.  .|.  .|.  .|.",
+        "       ____|_|__|_|__|_|__|_|__|_|____",
+        "      |                              |",
+        "      | ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~  |",
+        "      |   H A P P Y                  |",
+        "      |       B I R T H D A Y !      |",
+        "      | ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~  |",
+        "      |______________________________|",
+        "      |                              |",
+        "      |   * * * * * * * * * * * * *  |",
+        "      |______________________________|",
+        "       \\____________________________/",
+    ].join("\n");
+}
+
+module.exports = {
+    renderTextSummary, renderJsonSummary, renderMarkdownSummary, renderCsvSummary,
+    renderHtmlSummary, csvCell,
+};
@@ -0,0 +1,33 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Alternative units (weeks, lunar months, planetary years, ...)
+// ---------------------------------------------------------------------------
+
+const { UNIT_PROVIDERS } = require("../../shared/age-core");
+
+// The units themselves (UNIT_PROVIDERS, calculateUnits()) are in
+// shared/age-core.js, so the browser reports the same values
+const UNITS_ERROR = "units must be a comma-separated list of all, time, planets, " +
+    `${Object.keys(UNIT_PROVIDERS).join(", ")}.`;
+
+/**
+ * Parse a comma-separated unit list ("weeks,mars"), "all", or a group name
+ * ("planets"); null if any entry is unknown.
+ * @param {string} value
+ * @returns {string[] | null}
+ */
+function parseUnits(value) {
+    if (typeof value !== "string") return null;
+    const ids = Object.keys(UNIT_PROVIDERS);
+    const units = [];
+    for (const name of value.split(",").map((u) => u.trim().toLowerCase()).filter(Boolean)) {
+        const group = ids.filter((id) => name === "all" || UNIT_PROVIDERS[id].group === name);
+        if (group.length) units.push(...group);
+        else if (ids.includes(name)) units.push(name);
+        else return null;
+    }
+    return units.length ? ids.filter((id) => units.includes(id)) : null;
+}
+
+module.exports = { UNITS_ERROR, parseUnits };
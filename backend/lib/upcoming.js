@@ -0,0 +1,72 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Upcoming birthdays
+// ---------------------------------------------------------------------------
+
+const { zonedParts } = require("../../shared/age-core");
+
+/** Parse the ?days= window (default 30); null unless an integer 1-366. */
+function parseUpcomingDays(value) {
+    if (value === undefined) return 30;
+    const days = Number(value);
+    return Number.isInteger(days) && days >= 1 && days <= 366 ? days : null;
+}
+
+/**
+ * Split people into today's birthdays and those whose next birthday falls
+ * within the coming `days` calendar days, soonest first.
+ * @param {object[]} people  entries with name, birthday and a calculateAll() `calculation`
+ * @param {Date} now
+ * @param {object} options
+ * @param {string} options.timeZone
+ * @param {string} options.leapPolicy
+ * @param {number} options.days
+ * @returns {object}
+ */
+function upcomingBirthdays(people, now, options) {
+    const n = zonedParts(now, options.timeZone);
+    const todayMs = Date.UTC(n.year, n.month, n.day);
+
+    const entry = (p) => ({
+        ...(p.id && { id: p.id }),
+        name: p.name,
+        birthday: p.birthday,
+    });
+
+    const today = [];
+    const upcoming = [];
+    for (const p of people) {
+        const c = p.calculation;
+        if (c.isBirthday) {
+            today.push({ ...entry(p), turningAge: c.turningAge });
+            continue;
+        }
+        if (!c.nextBirthdayDate) continue;
+
+        const inDays = Math.round((Date.parse(c.nextBirthdayDate) - todayMs) / 86_400_000);
+        if (inDays > options.days) continue;
+        upcoming.push({
+            ...entry(p),
+            nextBirthdayDate: c.nextBirthdayDate,
+            inDays,
+            turningAge: Number(c.nextBirthdayDate.slice(0, 4)) - Number(c.birthday.slice(0, 4)),
+            untilNextBirthday: c.untilNextBirthday,
+        });
+    }
+
+    const byName = (x, y) => (x.name ?? "").localeCompare(y.name ?? "");
+    today.sort(byName);
+    upcoming.sort((x, y) => x.inDays - y.inDays || byName(x, y));
+
+    return {
+        calculatedAt: now.toISOString(),
+        timeZone: options.timeZone,
+        leapPolicy: options.leapPolicy,
+        days: options.days,
+        today,
+        upcoming,
+    };
+}
+
+module.exports = { parseUpcomingDays, upcomingBirthdays };
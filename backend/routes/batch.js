@@ -0,0 +1,90 @@
+"use strict";
+
+const express = require("express");
+
+const { BATCH_MAX_ROWS } = require("../lib/config");
+const { sendProblem } = require("../lib/problems");
+const { parseCalcOptions } = require("../lib/input");
+const { LOCALES, requestLocale } = require("../lib/i18n");
+const { newSummaryId } = require("../lib/summaries");
+const {
+    BATCH_RENDERERS, parseBatchOutputs, batchRows, calculateBatchRow, writeBatchFiles,
+} = require("../lib/batch");
+
+const router = express.Router();
+
+// Batch calculation: JSON array or CSV (name,birthday[,time]) body
+router.post("/api/calculate/batch", express.text({ type: "text/csv", limit: "1mb" }), async (req, res) => {
+    try {
+        const options = parseCalcOptions(req);
+        if (options.error) {
+            return sendProblem(res, options);
+        }
+        const { timeZone, leapPolicy } = options;
+
+        const locale = requestLocale(req);
+        if (!locale) {
+            return sendProblem(res, {
+                code: "INVALID_VALUE", param: "lang",
+                error: `lang must be one of ${LOCALES.join(", ")}.`,
+            });
+        }
+
+        const outputs = req.query.output === undefined ? [] : parseBatchOutputs(req.query.output);
+        if (!outputs) {
+            return sendProblem(res, {
+                code: "INVALID_VALUE", param: "output",
+                error: "output must be a comma-separated list of " +
+                    `${Object.keys(BATCH_RENDERERS).join(", ")}.`,
+            });
+        }
+
+        const rows = batchRows(req.body);
+        if (!rows) {
+            return sendProblem(res, {
+                code: "INVALID_FORMAT",
+                error: "Body must be a JSON array or text/csv with name,birthday columns.",
+            });
+        }
+        if (rows.length === 0) {
+            return sendProblem(res, {
+                code: "INVALID_VALUE",
+                error: "Batch must contain at least one row.",
+            });
+        }
+        if (rows.length > BATCH_MAX_ROWS) {
+            return sendProblem(res, {
+                code: "INVALID_VALUE",
+                error: `Batch is limited to ${BATCH_MAX_ROWS} rows.`,
+            });
+        }
+
+        const now = new Date();
+        const results = rows.map((row, i) =>
+            calculateBatchRow(row, i + 1, now, { timeZone, leapPolicy })
+        );
+        const failed = results.filter((r) => r.error).length;
+
+        const batch = {
+            calculatedAt: now.toISOString(),
+            timeZone,
+            leapPolicy,
+            locale,
+            count: results.length,
+            succeeded: results.length - failed,
+            failed,
+            results,
+        };
+
+        if (outputs.length > 0) {
+            batch.files = await writeBatchFiles(batch, outputs, newSummaryId(now));
+        }
+
+        res.json(batch);
+    } catch (err) {
+        console.error("Batch calculation error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to calculate batch." });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+"use strict";
+
+const express = require("express");
+
+const { sendProblem } = require("../lib/problems");
+const { parseCalcOptions, parseDateParam, fmtDateParam } = require("../lib/input");
+const { UNITS_ERROR, parseUnits } = require("../lib/units");
+const { LOCALES, requestLocale } = require("../lib/i18n");
+const { CALENDARS } = require("../lib/calendars");
+const { calculateAll } = require("../lib/age");
+const { birthFacts } = require("../lib/facts");
+const { calculateMilestones } = require("../lib/milestones");
+const {
+    SUMMARY_RENDERERS, parseSummaryFormats, defaultSummaryFormats, writeSummaryInBackground,
+    newSummaryId,
+} = require("../lib/summaries");
+
+const router = express.Router();
+
+// Main calculation endpoint
+router.get("/api/calculate", (req, res) => {
+    try {
+        const { birthday, time } = req.query;
+
+        const options = parseCalcOptions(req);
+        if (options.error) {
+            return sendProblem(res, options);
+        }
+        const { timeZone, leapPolicy } = options;
+
+        const parsed = parseDateParam("birthday", birthday, time, timeZone);
+        if (parsed.error) {
+            return sendProblem(res, parsed);
+        }
+        const { date: birthDate, hasTime: hasBirthTime } = parsed;
+
+        // Reference instant: now, or ?asOf= in the past or future
+        const asOf = req.query.asOf === undefined
+            ? null
+            : parseDateParam("asOf", req.query.asOf, undefined, timeZone);
+        if (asOf?.error) {
+            return sendProblem(res, asOf);
+        }
+
+        const calculatedAt = new Date();
+        const now = asOf ? asOf.date : calculatedAt;
+        if (birthDate > now) {
+            return sendProblem(res, {
+                code: "FUTURE_DATE", param: "birthday",
+                error: asOf ? "Birthday must be on or before asOf." : "Birthday cannot be in the future.",
+            });
+        }
+
+        const locale = requestLocale(req);
+        if (!locale) {
+            return sendProblem(res, {
+                code: "INVALID_VALUE", param: "lang",
+                error: `lang must be one of ${LOCALES.join(", ")}.`,
+            });
+        }
+
+        const calendar = req.query.calendar || "gregory";
+        if (calendar !== "gregory" && !Object.hasOwn(CALENDARS, calendar)) {
+            return sendProblem(res, {
+                code: "INVALID_VALUE", param: "calendar",
+                error: `calendar must be one of gregory, ${Object.keys(CALENDARS).join(", ")}.`,
+            });
+        }
+
+        const units = req.query.units === undefined ? undefined : parseUnits(req.query.units);
+        if (units === null) {
+            return sendProblem(res, { code: "INVALID_VALUE", param: "units", error: UNITS_ERROR });
+        }
+
+        const formats = req.query.format === undefined
+            ? defaultSummaryFormats
+            : parseSummaryFormats(req.query.format);
+        if (!formats) {
+            return sendProblem(res, {
+                code: "INVALID_VALUE", param: "format",
+                error: "format must be a comma-separated list of " +
+                    `${Object.keys(SUMMARY_RENDERERS).join(", ")}.`,
+            });
+        }
+
+        // summary=false when the client only needs the result again (the
+        // frontend re-rendering in another language)
+        const { summary = "true" } = req.query;
+        if (summary !== "true" && summary !== "false") {
+            return sendProblem(res, {
+                code: "INVALID_VALUE", param: "summary",
+                error: "summary must be one of true, false.",
+            });
+        }
+
+        const result = {
+            ...calculateAll(birthDate, now, {
+                timeZone, hasBirthTime, leapPolicy, units,
+                calendar: calendar === "gregory" ? undefined : calendar,
+            }),
+            calculatedAt: calculatedAt.toISOString(),
+            asOf: asOf && fmtDateParam(asOf.date, timeZone, asOf.hasTime),
+            facts: birthFacts(birthDate, { timeZone, locale }),
+        };
+
+        let summaryId = null;
+        if (summary === "true") {
+            const milestones = calculateMilestones(birthDate, now, { timeZone, locale });
+            summaryId = newSummaryId(calculatedAt);
+
+            // Write summary file (async – don't block response)
+            writeSummaryInBackground({ ...result, milestones, locale }, formats, summaryId);
+        }
+
+        res.json({ ...result, locale, summaryId });
+    } catch (err) {
+        console.error("Calculation error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to calculate age difference." });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+"use strict";
+
+const express = require("express");
+
+const { sendProblem } = require("../lib/problems");
+const { parseCalcOptions, parseDateParam, parseReminderDays } = require("../lib/input");
+const { buildBirthdayCalendar, slugify } = require("../lib/ics");
+
+const router = express.Router();
+
+// iCalendar feed with a yearly all-day birthday event
+router.get("/api/calendar.ics", (req, res) => {
+    try {
+        const { birthday, name } = req.query;
+
+        const options = parseCalcOptions(req);
+        if (options.error) {
+            return sendProblem(res, options);
+        }
+        const { timeZone, leapPolicy } = options;
+
+        const parsed = parseDateParam("birthday", birthday, undefined, timeZone);
+        if (parsed.error) {
+            return sendProblem(res, parsed);
+        }
+
+        const now = new Date();
+        if (parsed.date > now) {
+            return sendProblem(res, {
+                code: "FUTURE_DATE", param: "birthday",
+                error: "Birthday cannot be in the future.",
+            });
+        }
+
+        if (name !== undefined && (typeof name !== "string" || name.length > 100)) {
+            return sendProblem(res, {
+                code: "INVALID_VALUE", param: "name",
+                error: "name must be a string of at most 100 characters.",
+            });
+        }
+
+        const reminders = parseReminderDays(req.query.reminders);
+        if (!reminders) {
+            return sendProblem(res, {
+                code: "INVALID_VALUE", param: "reminders",
+                error: "reminders must be a comma-separated list of days before (0-365).",
+            });
+        }
+
+        const years = req.query.years === undefined ? 10 : Number(req.query.years);
+        if (!Number.isInteger(years) || years < 1 || years > 100) {
+            return sendProblem(res, {
+                code: "INVALID_VALUE", param: "years",
+                error: "years must be an integer from 1 to 100.",
+            });
+        }
+
+        const ics = buildBirthdayCalendar(parsed.date, now, {
+            name, timeZone, leapPolicy, reminders, years,
+        });
+
+        res.set("Content-Type", "text/calendar; charset=utf-8");
+        res.attachment(`${slugify(name || "birthday")}.ics`);
+        res.send(ics);
+    } catch (err) {
+        console.error("Calendar error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to build calendar." });
+    }
+});
+
+module.exports = router;
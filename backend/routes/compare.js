@@ -0,0 +1,57 @@
+"use strict";
+
+const express = require("express");
+
+const { sendProblem } = require("../lib/problems");
+const { parseCalcOptions, parseDateParam } = require("../lib/input");
+const { calculateComparison } = require("../lib/compare");
+
+const router = express.Router();
+
+// Compare two people's ages
+router.get("/api/compare", (req, res) => {
+    try {
+        const options = parseCalcOptions(req);
+        if (options.error) {
+            return sendProblem(res, options);
+        }
+        const { timeZone, leapPolicy } = options;
+
+        const now = new Date();
+        const people = [];
+        for (const key of ["A", "B"]) {
+            const parsed = parseDateParam(
+                `birthday${key}`, req.query[`birthday${key}`], undefined, timeZone
+            );
+            if (parsed.error) {
+                return sendProblem(res, parsed);
+            }
+            if (parsed.date > now) {
+                return sendProblem(res, {
+                    code: "FUTURE_DATE", param: `birthday${key}`,
+                    error: `birthday${key} cannot be in the future.`,
+                });
+            }
+
+            const name = req.query[`name${key}`];
+            if (name !== undefined && (typeof name !== "string" || name.length > 100)) {
+                return sendProblem(res, {
+                    code: "INVALID_VALUE", param: `name${key}`,
+                    error: `name${key} must be a string of at most 100 characters.`,
+                });
+            }
+            people.push({
+                name: name || `Person ${key}`,
+                birthDate: parsed.date,
+                hasBirthTime: parsed.hasTime,
+            });
+        }
+
+        res.json(calculateComparison(people[0], people[1], now, { timeZone, leapPolicy }));
+    } catch (err) {
+        console.error("Compare error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to compare ages." });
+    }
+});
+
+module.exports = router;
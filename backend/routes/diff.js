@@ -0,0 +1,48 @@
+"use strict";
+
+const express = require("express");
+
+const { sendProblem } = require("../lib/problems");
+const { parseTimeZone, parseDateParam, fmtDateParam } = require("../lib/input");
+const { diffBreakdown } = require("../../shared/age-core");
+
+const router = express.Router();
+
+// Difference between any two dates
+router.get("/api/diff", (req, res) => {
+    try {
+        const zone = parseTimeZone(req);
+        if (zone.error) {
+            return sendProblem(res, zone);
+        }
+        const { timeZone } = zone;
+
+        const from = parseDateParam("from", req.query.from, undefined, timeZone);
+        if (from.error) {
+            return sendProblem(res, from);
+        }
+        const to = parseDateParam("to", req.query.to, undefined, timeZone);
+        if (to.error) {
+            return sendProblem(res, to);
+        }
+
+        // Components are always counted from the earlier date to the later one
+        const sign = Math.sign(to.date - from.date);
+        const [start, end] = sign < 0 ? [to.date, from.date] : [from.date, to.date];
+        const hasTime = from.hasTime || to.hasTime;
+
+        res.json({
+            from: fmtDateParam(from.date, timeZone, hasTime),
+            to: fmtDateParam(to.date, timeZone, hasTime),
+            timeZone,
+            sign,
+            direction: sign < 0 ? "backward" : sign > 0 ? "forward" : "none",
+            ...diffBreakdown(start, end, timeZone),
+        });
+    } catch (err) {
+        console.error("Diff error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to calculate date difference." });
+    }
+});
+
+module.exports = router;
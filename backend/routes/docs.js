@@ -0,0 +1,26 @@
+"use strict";
+
+const express = require("express");
+const swaggerUiDist = require("swagger-ui-dist");
+
+const OPENAPI_SPEC = require("../openapi.json");
+const { DOCS_PAGE, DOCS_INIT_SCRIPT } = require("../lib/openapi");
+
+const router = express.Router();
+
+// The API contract, and Swagger UI to try it out (assets from swagger-ui-dist)
+router.get("/api/openapi.json", (_req, res) => {
+    res.json(OPENAPI_SPEC);
+});
+
+router.get("/api/docs", (_req, res) => {
+    res.type("html").send(DOCS_PAGE);
+});
+
+router.get("/api/docs/init.js", (_req, res) => {
+    res.type("js").send(DOCS_INIT_SCRIPT);
+});
+
+router.use("/api/docs", express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
@@ -0,0 +1,73 @@
+"use strict";
+
+const express = require("express");
+
+const { sendProblem } = require("../lib/problems");
+const { parseCalcOptions, parseDateParam } = require("../lib/input");
+const {
+    ELIGIBILITY_LEAP_POLICIES, MAX_ELIGIBILITY_AGE, checkEligibility,
+} = require("../lib/eligibility");
+
+const router = express.Router();
+
+// Is someone at least minAge (and at most maxAge) on a date, and if not, when?
+router.get("/api/eligibility", (req, res) => {
+    try {
+        // Thresholds always fall on a real day, so leap-only counts as mar1
+        const options = parseCalcOptions(req, ELIGIBILITY_LEAP_POLICIES);
+        if (options.error) {
+            return sendProblem(res, options);
+        }
+        const { timeZone, leapPolicy } = options;
+
+        const limits = {};
+        for (const name of ["minAge", "maxAge"]) {
+            const value = req.query[name];
+            if (value === undefined) continue;
+            if (!/^\d{1,3}$/.test(value) || Number(value) > MAX_ELIGIBILITY_AGE) {
+                return sendProblem(res, {
+                    code: "INVALID_VALUE", param: name,
+                    error: `${name} must be an integer from 0 to ${MAX_ELIGIBILITY_AGE}.`,
+                });
+            }
+            limits[name] = Number(value);
+        }
+        if (limits.minAge === undefined && limits.maxAge === undefined) {
+            return sendProblem(res, {
+                code: "INVALID_VALUE", param: "minAge",
+                error: "Give minAge, maxAge or both.",
+            });
+        }
+        if (limits.minAge > limits.maxAge) {
+            return sendProblem(res, {
+                code: "INVALID_VALUE", param: "minAge",
+                error: "minAge cannot be greater than maxAge.",
+            });
+        }
+
+        const birthday = parseDateParam("birthday", req.query.birthday, undefined, timeZone);
+        if (birthday.error) {
+            return sendProblem(res, birthday);
+        }
+
+        const asOf = req.query.asOf === undefined
+            ? { date: new Date() }
+            : parseDateParam("asOf", req.query.asOf, undefined, timeZone);
+        if (asOf.error) {
+            return sendProblem(res, asOf);
+        }
+        if (birthday.date > asOf.date) {
+            return sendProblem(res, {
+                code: "FUTURE_DATE", param: "birthday",
+                error: "Birthday must be on or before asOf.",
+            });
+        }
+
+        res.json(checkEligibility(birthday.date, asOf.date, { timeZone, leapPolicy, ...limits }));
+    } catch (err) {
+        console.error("Eligibility error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to check eligibility." });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+"use strict";
+
+const express = require("express");
+
+const { sendProblem } = require("../lib/problems");
+const { parseTimeZone, parseDateParam, fmtDateParam } = require("../lib/input");
+const { LOCALES, requestLocale } = require("../lib/i18n");
+const { calculateMilestones } = require("../lib/milestones");
+
+const router = express.Router();
+
+// Past and upcoming life milestones (10,000 days, 1 billion seconds, ...)
+router.get("/api/milestones", (req, res) => {
+    try {
+        const { birthday, time } = req.query;
+
+        const zone = parseTimeZone(req);
+        if (zone.error) {
+            return sendProblem(res, zone);
+        }
+        const { timeZone } = zone;
+
+        const locale = requestLocale(req);
+        if (!locale) {
+            return sendProblem(res, {
+                code: "INVALID_VALUE", param: "lang",
+                error: `lang must be one of ${LOCALES.join(", ")}.`,
+            });
+        }
+
+        const parsed = parseDateParam("birthday", birthday, time, timeZone);
+        if (parsed.error) {
+            return sendProblem(res, parsed);
+        }
+
+        const now = new Date();
+        if (parsed.date > now) {
+            return sendProblem(res, {
+                code: "FUTURE_DATE", param: "birthday",
+                error: "Birthday cannot be in the future.",
+            });
+        }
+
+        res.json({
+            birthday: fmtDateParam(parsed.date, timeZone, parsed.hasTime),
+            calculatedAt: now.toISOString(),
+            timeZone,
+            ...calculateMilestones(parsed.date, now, { timeZone, locale }),
+        });
+    } catch (err) {
+        console.error("Milestones error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to calculate milestones." });
+    }
+});
+
+module.exports = router;
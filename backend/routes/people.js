@@ -0,0 +1,128 @@
+"use strict";
+
+const express = require("express");
+const crypto = require("crypto");
+
+const { sendProblem } = require("../lib/problems");
+const { parseCalcOptions } = require("../lib/input");
+const { peopleStore, parsePersonFields, describePerson } = require("../lib/people");
+
+const router = express.Router();
+
+// People roster: stored birthdays, enriched with calculateAll() on read
+router.get("/api/people", async (req, res) => {
+    try {
+        const options = parseCalcOptions(req);
+        if (options.error) {
+            return sendProblem(res, options);
+        }
+
+        const now = new Date();
+        const people = await peopleStore.read();
+        res.json({ people: people.map((p) => describePerson(p, now, options)) });
+    } catch (err) {
+        console.error("People list error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to read people." });
+    }
+});
+
+router.get("/api/people/:id", async (req, res) => {
+    try {
+        const options = parseCalcOptions(req);
+        if (options.error) {
+            return sendProblem(res, options);
+        }
+
+        const person = (await peopleStore.read()).find((p) => p.id === req.params.id);
+        if (!person) {
+            return sendProblem(res, { code: "NOT_FOUND", error: "Person not found." });
+        }
+        res.json(describePerson(person, new Date(), options));
+    } catch (err) {
+        console.error("People read error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to read person." });
+    }
+});
+
+router.post("/api/people", async (req, res) => {
+    try {
+        const options = parseCalcOptions(req);
+        if (options.error) {
+            return sendProblem(res, options);
+        }
+
+        const now = new Date();
+        const fields = parsePersonFields(req.body, now, options.timeZone);
+        if (fields.error) {
+            return sendProblem(res, fields);
+        }
+
+        const person = {
+            id: crypto.randomUUID(),
+            ...fields,
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString(),
+        };
+        await peopleStore.update(async (people, save) => {
+            people.push(person);
+            await save();
+        });
+
+        res.status(201).json(describePerson(person, now, options));
+    } catch (err) {
+        console.error("People create error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to save person." });
+    }
+});
+
+router.put("/api/people/:id", async (req, res) => {
+    try {
+        const options = parseCalcOptions(req);
+        if (options.error) {
+            return sendProblem(res, options);
+        }
+
+        const now = new Date();
+        const fields = parsePersonFields(req.body, now, options.timeZone);
+        if (fields.error) {
+            return sendProblem(res, fields);
+        }
+
+        const person = await peopleStore.update(async (people, save) => {
+            const existing = people.find((p) => p.id === req.params.id);
+            if (!existing) return undefined;
+            Object.assign(existing, fields, { updatedAt: now.toISOString() });
+            await save();
+            return existing;
+        });
+        if (!person) {
+            return sendProblem(res, { code: "NOT_FOUND", error: "Person not found." });
+        }
+
+        res.json(describePerson(person, now, options));
+    } catch (err) {
+        console.error("People update error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to save person." });
+    }
+});
+
+router.delete("/api/people/:id", async (req, res) => {
+    try {
+        const removed = await peopleStore.update(async (people, save) => {
+            const i = people.findIndex((p) => p.id === req.params.id);
+            if (i < 0) return undefined;
+            const [person] = people.splice(i, 1);
+            await save();
+            return person;
+        });
+        if (!removed) {
+            return sendProblem(res, { code: "NOT_FOUND", error: "Person not found." });
+        }
+        res.status(204).end();
+    } catch (err) {
+        console.error("People delete error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to delete person." });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+"use strict";
+
+const express = require("express");
+
+const { DEFAULT_TZ, REMINDER_WEBHOOK_URL } = require("../lib/config");
+const { sendProblem } = require("../lib/problems");
+const {
+    reminderLog, reminderDays, reminderOptions, readDescribedPeople, dueReminders,
+    deliverWebhook, runReminders,
+} = require("../lib/reminders");
+
+const router = express.Router();
+
+// Birthday reminders: inspect the schedule, run it now, or test the webhook
+router.get("/api/reminders", async (_req, res) => {
+    try {
+        const now = new Date();
+        const log = await reminderLog.read();
+        const sent = new Set(log.filter((e) => e.status === "sent").map((e) => e.key));
+        const due = dueReminders(await readDescribedPeople(now), now, reminderOptions());
+
+        res.json({
+            enabled: REMINDER_WEBHOOK_URL !== null,
+            days: reminderDays,
+            timeZone: DEFAULT_TZ,
+            pending: due.filter((r) => !sent.has(r.key)),
+            log: log.slice().reverse(),
+        });
+    } catch (err) {
+        console.error("Reminders error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to read reminders." });
+    }
+});
+
+router.post("/api/reminders/run", async (_req, res) => {
+    try {
+        if (REMINDER_WEBHOOK_URL === null) {
+            return sendProblem(res, {
+                code: "NOT_CONFIGURED",
+                error: "No reminder webhook configured (REMINDER_WEBHOOK_URL).",
+            });
+        }
+        res.json({ sent: await runReminders() });
+    } catch (err) {
+        console.error("Reminders run error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to send reminders." });
+    }
+});
+
+router.post("/api/reminders/test", async (_req, res) => {
+    try {
+        if (REMINDER_WEBHOOK_URL === null) {
+            return sendProblem(res, {
+                code: "NOT_CONFIGURED",
+                error: "No reminder webhook configured (REMINDER_WEBHOOK_URL).",
+            });
+        }
+        const delivery = await deliverWebhook(REMINDER_WEBHOOK_URL, {
+            type: "birthday.reminder.test",
+            message: "Test reminder from AgeDiff.",
+            sentAt: new Date().toISOString(),
+        });
+        res.status(delivery.ok ? 200 : 502).json(delivery);
+    } catch (err) {
+        console.error("Reminders test error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to send test reminder." });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+"use strict";
+
+const express = require("express");
+
+const { sendProblem } = require("../lib/problems");
+const { metricsRegistry } = require("../lib/metrics");
+const { readinessReport } = require("../lib/readiness");
+
+const router = express.Router();
+
+// Health check
+router.get("/api/health", (_req, res) => {
+    res.json({ status: "ok", timestamp: new Date().toISOString() });
+});
+
+// Readiness: output volume writable, last summary write fine (503 if not)
+router.get("/api/ready", async (_req, res) => {
+    try {
+        const report = await readinessReport();
+        res.status(report.status === "ready" ? 200 : 503).json(report);
+    } catch (err) {
+        console.error("Readiness error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to check readiness." });
+    }
+});
+
+// Prometheus metrics: requests, rate limiting, summary writes, process stats
+router.get("/api/metrics", async (_req, res) => {
+    try {
+        res.type(metricsRegistry.contentType).send(await metricsRegistry.metrics());
+    } catch (err) {
+        console.error("Metrics error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to collect metrics." });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+"use strict";
+
+const express = require("express");
+
+const { STREAM_HEARTBEAT_MS } = require("../lib/config");
+const { sendProblem } = require("../lib/problems");
+const { parseCalcOptions, parseDateParam } = require("../lib/input");
+const { UNITS_ERROR, parseUnits } = require("../lib/units");
+const { calculateAll } = require("../lib/age");
+
+const router = express.Router();
+
+// Live calculateAll() results as Server-Sent Events
+router.get("/api/stream", (req, res) => {
+    try {
+        const { birthday, time } = req.query;
+
+        const options = parseCalcOptions(req);
+        if (options.error) {
+            return sendProblem(res, options);
+        }
+
+        const parsed = parseDateParam("birthday", birthday, time, options.timeZone);
+        if (parsed.error) {
+            return sendProblem(res, parsed);
+        }
+        if (parsed.date > new Date()) {
+            return sendProblem(res, {
+                code: "FUTURE_DATE", param: "birthday",
+                error: "Birthday cannot be in the future.",
+            });
+        }
+
+        const interval = req.query.interval === undefined ? 1 : Number(req.query.interval);
+        if (!Number.isInteger(interval) || interval < 1 || interval > 60) {
+            return sendProblem(res, {
+                code: "INVALID_VALUE", param: "interval",
+                error: "interval must be an integer from 1 to 60 (seconds).",
+            });
+        }
+
+        const units = req.query.units === undefined ? undefined : parseUnits(req.query.units);
+        if (units === null) {
+            return sendProblem(res, { code: "INVALID_VALUE", param: "units", error: UNITS_ERROR });
+        }
+
+        res.set({
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive",
+            // Tell the Nginx proxy to pass events through as they are written
+            "X-Accel-Buffering": "no",
+        });
+        res.flushHeaders();
+        res.write("retry: 5000\n\n");
+
+        let eventId = 0;
+        const send = () => {
+            const result = calculateAll(parsed.date, new Date(), {
+                ...options, hasBirthTime: parsed.hasTime, units,
+            });
+            res.write(`id: ${++eventId}\nevent: age\ndata: ${JSON.stringify(result)}\n\n`);
+        };
+
+        const ticker = setInterval(() => {
+            try {
+                send();
+            } catch (err) {
+                console.error("Stream error:", err.message);
+                res.end();
+            }
+        }, interval * 1000);
+        // Comment lines keep idle proxies (Nginx: 30 s read timeout) from closing the stream
+        const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), STREAM_HEARTBEAT_MS);
+
+        res.on("close", () => {
+            clearInterval(ticker);
+            clearInterval(heartbeat);
+        });
+
+        send();
+    } catch (err) {
+        console.error("Stream error:", err.message);
+        if (res.headersSent) return res.end();
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to start stream." });
+    }
+});
+
+module.exports = router;
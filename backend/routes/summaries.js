@@ -0,0 +1,56 @@
+"use strict";
+
+const express = require("express");
+const path = require("path");
+
+const { sendProblem } = require("../lib/problems");
+const { SUMMARY_HISTORY_DIR, SUMMARY_ID_RE, summaryIndex } = require("../lib/summaries");
+
+const router = express.Router();
+
+// Summary history
+router.get("/api/summaries", async (_req, res) => {
+    try {
+        const index = await summaryIndex.read();
+        res.json({ summaries: index.slice().reverse() });
+    } catch (err) {
+        console.error("Summary index error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to read summary history." });
+    }
+});
+
+router.get("/api/summaries/:id", async (req, res) => {
+    try {
+        const { id } = req.params;
+        const format = req.query.format || "txt";
+
+        const entry = SUMMARY_ID_RE.test(id) &&
+            (await summaryIndex.read()).find((e) => e.id === id);
+        if (!entry) {
+            return sendProblem(res, { code: "NOT_FOUND", error: "Summary not found." });
+        }
+        if (!entry.formats.includes(format)) {
+            return sendProblem(res, {
+                code: "NOT_FOUND", param: "format",
+                error: `Summary ${id} is not available as ${format}; ` +
+                    `try one of ${entry.formats.join(", ")}.`,
+            });
+        }
+
+        res.download(
+            path.join(SUMMARY_HISTORY_DIR, `${id}.${format}`),
+            `age_summary-${id}.${format}`,
+            (err) => {
+                // Pruned between the index lookup and the read
+                if (err && !res.headersSent) {
+                    sendProblem(res, { code: "NOT_FOUND", error: "Summary not found." });
+                }
+            }
+        );
+    } catch (err) {
+        console.error("Summary download error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to read summary." });
+    }
+});
+
+module.exports = router;
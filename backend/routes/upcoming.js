@@ -0,0 +1,84 @@
+"use strict";
+
+const express = require("express");
+
+const { BATCH_MAX_ROWS } = require("../lib/config");
+const { sendProblem } = require("../lib/problems");
+const { parseCalcOptions } = require("../lib/input");
+const { batchRows, calculateBatchRow } = require("../lib/batch");
+const { peopleStore, describePerson } = require("../lib/people");
+const { parseUpcomingDays, upcomingBirthdays } = require("../lib/upcoming");
+
+const router = express.Router();
+
+// Upcoming birthdays of the stored roster (GET) or of a submitted list (POST)
+router.get("/api/upcoming", async (req, res) => {
+    try {
+        const options = parseCalcOptions(req);
+        if (options.error) {
+            return sendProblem(res, options);
+        }
+
+        const days = parseUpcomingDays(req.query.days);
+        if (days === null) {
+            return sendProblem(res, {
+                code: "INVALID_VALUE", param: "days",
+                error: "days must be an integer from 1 to 366.",
+            });
+        }
+
+        const now = new Date();
+        const people = (await peopleStore.read()).map((p) => describePerson(p, now, options));
+        res.json(upcomingBirthdays(people, now, { ...options, days }));
+    } catch (err) {
+        console.error("Upcoming error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to list upcoming birthdays." });
+    }
+});
+
+router.post("/api/upcoming", express.text({ type: "text/csv", limit: "1mb" }), (req, res) => {
+    try {
+        const options = parseCalcOptions(req);
+        if (options.error) {
+            return sendProblem(res, options);
+        }
+
+        const days = parseUpcomingDays(req.query.days);
+        if (days === null) {
+            return sendProblem(res, {
+                code: "INVALID_VALUE", param: "days",
+                error: "days must be an integer from 1 to 366.",
+            });
+        }
+
+        const rows = batchRows(req.body);
+        if (!rows) {
+            return sendProblem(res, {
+                code: "INVALID_FORMAT",
+                error: "Body must be a JSON array or text/csv with name,birthday columns.",
+            });
+        }
+        if (rows.length > BATCH_MAX_ROWS) {
+            return sendProblem(res, {
+                code: "INVALID_VALUE",
+                error: `Batch is limited to ${BATCH_MAX_ROWS} rows.`,
+            });
+        }
+
+        const now = new Date();
+        const results = rows.map((row, i) => calculateBatchRow(row, i + 1, now, options));
+        const people = results
+            .filter((r) => r.result)
+            .map((r) => ({ name: r.name, birthday: r.result.birthday, calculation: r.result }));
+
+        res.json({
+            ...upcomingBirthdays(people, now, { ...options, days }),
+            errors: results.filter((r) => r.error),
+        });
+    } catch (err) {
+        console.error("Upcoming error:", err.message);
+        sendProblem(res, { code: "INTERNAL_ERROR", error: "Failed to list upcoming birthdays." });
+    }
+});
+
+module.exports = router;
@@ -4,13 +4,24 @@
 // State
 // ---------------------------------------------------------------------------
 let birthday = null;   // stored as "YYYY-MM-DD"
+let birthTime = null;  // stored as "HH:MM" or "HH:MM:SS", null when unknown
+let leapPolicy = "mar1"; // how the backend observes 29 February in common years
 let updateInterval = null;
+let eventSource = null; // GET /api/stream connection, when the browser supports it
+let upcoming = [];     // upcoming birthdays, each with its countdown target
+let upcomingInterval = null;
+let upcomingToday = [];  // stored people whose birthday is today
+let lastRequest = null;  // query of the last calculation, for reloading it in another language
+let lastResult = null;   // GET /api/calculate response
+let lastComparison = null; // GET /api/compare response
 
 // ---------------------------------------------------------------------------
 // DOM references
 // ---------------------------------------------------------------------------
 const birthdayForm = document.getElementById("birthdayForm");
 const birthdayInput = document.getElementById("birthdayInput");
+const birthTimeInput = document.getElementById("birthTimeInput");
+const calendarInput = document.getElementById("calendarInput");
 const inputSection = document.getElementById("inputSection");
 const resultsSection = document.getElementById("resultsSection");
 const congratsSection = document.getElementById("congratsSection");
@@ -18,11 +29,34 @@ const congratsMessage = document.getElementById("congratsMessage");
 const nextBirthdayCard = document.getElementById("nextBirthdayCard");
 const errorToast = document.getElementById("errorToast");
 const resetBtn = document.getElementById("resetBtn");
+const languageInput = document.getElementById("languageInput");
+const calendarLink = document.getElementById("calendarLink");
+const calendarCard = document.getElementById("calendarCard");
+const calendarTitle = document.getElementById("calendarTitle");
+const calendarDetails = document.getElementById("calendarDetails");
+const factsCard = document.getElementById("factsCard");
+const factsDetails = document.getElementById("factsDetails");
 
 const sinceComponents = document.getElementById("sinceComponents");
 const sinceTotals = document.getElementById("sinceTotals");
 const nextComponents = document.getElementById("nextComponents");
 const nextTotals = document.getElementById("nextTotals");
+const sinceUnits = document.getElementById("sinceUnits");
+const nextUnits = document.getElementById("nextUnits");
+
+const milestonesUpcoming = document.getElementById("milestonesUpcoming");
+const milestonesPast = document.getElementById("milestonesPast");
+
+const compareForm = document.getElementById("compareForm");
+const compareNameInput = document.getElementById("compareNameInput");
+const compareBirthdayInput = document.getElementById("compareBirthdayInput");
+const compareResult = document.getElementById("compareResult");
+const compareSummary = document.getElementById("compareSummary");
+const compareGap = document.getElementById("compareGap");
+const compareRatios = document.getElementById("compareRatios");
+
+const upcomingSection = document.getElementById("upcomingSection");
+const upcomingList = document.getElementById("upcomingList");
 
 // ---------------------------------------------------------------------------
 // Initialisation
@@ -31,6 +65,11 @@ const nextTotals = document.getElementById("nextTotals");
     // Set max date on input to today
     const today = new Date();
     birthdayInput.max = fmtDate(today);
+    compareBirthdayInput.max = fmtDate(today);
+
+    languageInput.value = locale;
+    applyTranslations();
+    loadUpcoming();
 })();
 
 // ---------------------------------------------------------------------------
@@ -40,52 +79,126 @@ const nextTotals = document.getElementById("nextTotals");
 birthdayForm.addEventListener("submit", async (e) => {
     e.preventDefault();
     const value = birthdayInput.value;
+    const timeValue = birthTimeInput.value;
     if (!value) return;
 
     try {
         // Call the backend to generate the summary file
-        const resp = await fetch(`/api/calculate?birthday=${encodeURIComponent(value)}`);
+        const params = new URLSearchParams({ birthday: value, tz: browserTimeZone() });
+        if (timeValue) params.set("time", timeValue);
+        const calendarParams = new URLSearchParams(params);
+        if (calendarInput.value !== "gregory") calendarParams.set("calendar", calendarInput.value);
+        calendarParams.set("lang", locale);
+        const resp = await fetch(`/api/calculate?${calendarParams}`);
         const data = await resp.json();
 
         if (!resp.ok) {
-            showError(data.error || "Something went wrong.");
+            showError(problemMessage(data));
             return;
         }
 
         // Store birthday and start live display
         birthday = value;
-        startLiveUpdate();
+        birthTime = timeValue || null;
+        leapPolicy = data.leapPolicy;
+        lastRequest = calendarParams;
+        lastResult = data;
+        startLiveUpdate(params);
 
         // Collapse input, show results
         inputSection.classList.add("collapsed");
         resultsSection.hidden = false;
         resetBtn.hidden = false;
 
-        // Birthday handling
-        if (data.isBirthday) {
-            congratsSection.hidden = false;
-            congratsMessage.textContent = `Congratulations! You are turning ${data.turningAge} today!`;
-            nextBirthdayCard.hidden = true;
-            launchConfetti();
-        } else {
-            congratsSection.hidden = true;
-            nextBirthdayCard.hidden = false;
-        }
+        loadMilestones(params);
+        renderCalendarBirthday(data.calendar);
+        renderFacts(data.facts);
+        renderCongrats(data);
+
+        // Yearly calendar event with a reminder the day before
+        const icsParams = new URLSearchParams({
+            birthday: value, tz: params.get("tz"), leapPolicy: data.leapPolicy, reminders: "1",
+        });
+        calendarLink.href = `/api/calendar.ics?${icsParams}`;
+
+        if (data.isBirthday) launchConfetti();
     } catch {
-        showError("Could not reach the server. Is the backend running?");
+        showError(t("error.offline"));
     }
 });
 
 resetBtn.addEventListener("click", () => {
     birthday = null;
-    if (updateInterval) clearInterval(updateInterval);
-    updateInterval = null;
+    birthTime = null;
+    lastRequest = null;
+    lastResult = null;
+    lastComparison = null;
+    stopLiveUpdate();
 
     inputSection.classList.remove("collapsed");
     resultsSection.hidden = true;
     congratsSection.hidden = true;
     resetBtn.hidden = true;
     birthdayInput.value = "";
+    birthTimeInput.value = "";
+    calendarInput.value = "gregory";
+    calendarCard.hidden = true;
+    factsCard.hidden = true;
+    compareForm.reset();
+    compareResult.hidden = true;
+});
+
+compareForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    if (!birthday || !compareBirthdayInput.value) return;
+
+    const params = new URLSearchParams({
+        birthdayA: birthTime ? `${birthday}T${birthTime}` : birthday,
+        nameA: t("compare.you"),
+        birthdayB: compareBirthdayInput.value,
+        nameB: compareNameInput.value.trim() || t("compare.them"),
+        tz: browserTimeZone(),
+    });
+
+    try {
+        const resp = await fetch(`/api/compare?${params}`);
+        const data = await resp.json();
+
+        if (!resp.ok) {
+            showError(problemMessage(data));
+            return;
+        }
+
+        lastComparison = data;
+        renderComparison(data);
+    } catch {
+        showError(t("error.offline"));
+    }
+});
+
+// Switching language re-renders everything already on screen
+languageInput.addEventListener("change", async () => {
+    setLocale(languageInput.value);
+    renderUpcoming();
+    if (!lastResult) return;
+
+    loadMilestones(lastRequest);
+    if (lastComparison) renderComparison(lastComparison);
+
+    // Fact names come from the backend, so calculate again in the new
+    // language, without writing another summary report
+    try {
+        const query = new URLSearchParams(lastRequest);
+        query.set("lang", locale);
+        query.set("summary", "false");
+        const resp = await fetch(`/api/calculate?${query}`);
+        if (resp.ok) lastResult = await resp.json();
+    } catch {
+        // Keep the previous result; only its fact names stay untranslated
+    }
+    renderCongrats(lastResult);
+    renderCalendarBirthday(lastResult.calendar);
+    renderFacts(lastResult.facts);
 });
 
 // Tab switching (delegated)
@@ -106,135 +219,361 @@ document.addEventListener("click", (e) => {
 });
 
 // ---------------------------------------------------------------------------
-// Live-updating display (recalculates client-side every second)
+// Live-updating display (server stream, with a client-side fallback)
 // ---------------------------------------------------------------------------
 
-function startLiveUpdate() {
-    if (updateInterval) clearInterval(updateInterval);
+/**
+ * Show the server's calculation every second from GET /api/stream. Until the
+ * first event arrives, and whenever the stream is down, the display is
+ * recalculated locally from the browser clock instead.
+ */
+function startLiveUpdate(params) {
+    stopLiveUpdate();
+    startLocalUpdate();
+    if (!window.EventSource) return;
+
+    const streamParams = new URLSearchParams(params);
+    streamParams.set("units", "all");
+    eventSource = new EventSource(`/api/stream?${streamParams}`);
+    eventSource.addEventListener("age", (e) => {
+        stopLocalUpdate();
+        renderCalculation(JSON.parse(e.data));
+    });
+    eventSource.onerror = () => {
+        // The browser reconnects by itself unless the stream is CLOSED
+        if (eventSource.readyState === EventSource.CLOSED) eventSource = null;
+        startLocalUpdate();
+    };
+}
+
+function stopLiveUpdate() {
+    if (eventSource) eventSource.close();
+    eventSource = null;
+    stopLocalUpdate();
+}
+
+function startLocalUpdate() {
+    if (updateInterval) return;
     updateDisplay();
     updateInterval = setInterval(updateDisplay, 1000);
 }
 
+function stopLocalUpdate() {
+    if (updateInterval) clearInterval(updateInterval);
+    updateInterval = null;
+}
+
+/** Fill the result cards from a calculateAll() result (a stream event). */
+function renderCalculation(data) {
+    const since = data.sinceBirth;
+    sinceComponents.innerHTML = buildComponentGrid([
+        { value: since.components.years, unit: "years" },
+        { value: since.components.months, unit: "months" },
+        { value: since.components.days, unit: "days" },
+        { value: since.components.hours, unit: "hours" },
+        { value: since.components.minutes, unit: "minutes" },
+        { value: since.components.seconds, unit: "seconds" },
+    ]);
+    sinceTotals.innerHTML = buildTotalsList([
+        { unit: "years", value: since.totals.years },
+        { unit: "months", value: since.totals.months },
+        { unit: "days", value: since.totals.days },
+        { unit: "hours", value: since.totals.hours },
+        { unit: "minutes", value: since.totals.minutes },
+        { unit: "seconds", value: since.totals.seconds },
+    ]);
+
+    if (data.units) renderUnits(data.units);
+
+    const next = data.untilNextBirthday;
+    if (!next) return;
+    nextComponents.innerHTML = buildComponentGrid([
+        { value: next.components.months, unit: "months" },
+        { value: next.components.days, unit: "days" },
+        { value: next.components.hours, unit: "hours" },
+        { value: next.components.minutes, unit: "minutes" },
+        { value: next.components.seconds, unit: "seconds" },
+    ]);
+    nextTotals.innerHTML = buildTotalsList([
+        { unit: "months", value: next.totals.months },
+        { unit: "days", value: next.totals.days },
+        { unit: "hours", value: next.totals.hours },
+        { unit: "minutes", value: next.totals.minutes },
+        { unit: "seconds", value: next.totals.seconds },
+    ]);
+}
+
+/** Recalculate locally with the same code the backend runs (shared/age-core.js). */
 function updateDisplay() {
     if (!birthday) return;
 
+    const timeZone = browserTimeZone();
     const [year, month, day] = birthday.split("-").map(Number);
-    const birthDate = new Date(year, month - 1, day);
+    const [hour, minute, second] = (birthTime || "00:00").split(":").map(Number);
+    const birthDate = zonedTime({ year, month: month - 1, day, hour, minute, second: second || 0 }, timeZone);
     const now = new Date();
 
-    // ── Since birth – components ──
-    const since = calcSinceBirth(birthDate, now);
+    renderCalculation({
+        ...calculateAge(birthDate, now, { timeZone, leapPolicy, hasBirthTime: birthTime !== null }),
+        units: calculateUnits(birthDate, now, { timeZone, leapPolicy }),
+    });
+}
 
-    sinceComponents.innerHTML = buildComponentGrid([
-        { value: since.years, label: "Years" },
-        { value: since.months, label: "Months" },
-        { value: since.days, label: "Days" },
-        { value: since.hours, label: "Hours" },
-        { value: since.minutes, label: "Minutes" },
-        { value: since.seconds, label: "Seconds" },
-    ]);
+/** Ages in other units, and the next "birthday" in each (planetary, ...). */
+function renderUnits(units) {
+    sinceUnits.innerHTML = buildTotalsList(units.map((u) => ({
+        label: t(`unitName.${u.id}`),
+        value: u.value,
+    })));
+    nextUnits.innerHTML = buildTotalsList(units.map((u) => ({
+        label: t("units.next", { unit: t(`unitName.${u.id}`), count: u.next.count }),
+        value: fmtDay(u.next.date),
+    })));
+}
 
-    // ── Since birth – totals ──
-    const diffMs = now.getTime() - birthDate.getTime();
+// ---------------------------------------------------------------------------
+// Birthday banner
+// ---------------------------------------------------------------------------
 
-    sinceTotals.innerHTML = buildTotalsList([
-        { label: "Years", value: since.years },
+function renderCongrats(data) {
+    congratsSection.hidden = !data.isBirthday;
+    nextBirthdayCard.hidden = data.isBirthday;
+    if (data.isBirthday) congratsMessage.textContent = t("congrats.message", { age: data.turningAge });
+}
+
+// ---------------------------------------------------------------------------
+// Non-Gregorian calendar birthday
+// ---------------------------------------------------------------------------
+
+function renderCalendarBirthday(calendar) {
+    calendarCard.hidden = !calendar;
+    if (!calendar) return;
+
+    const next = calendar.nextBirthday;
+    const rows = [
+        { label: t("calendarCard.bornOn"), value: calendar.birthDate.formatted },
         {
-            label: "Months",
-            value:
-                (now.getFullYear() - birthDate.getFullYear()) * 12 +
-                (now.getMonth() - birthDate.getMonth()) +
-                (now.getDate() < birthDate.getDate() ? -1 : 0),
+            label: t("calendarCard.next", { age: next.turningAge }),
+            value: `${next.formatted} · ${fmtDay(next.date)}`,
         },
-        { label: "Days", value: Math.floor(diffMs / 86_400_000) },
-        { label: "Hours", value: Math.floor(diffMs / 3_600_000) },
-        { label: "Minutes", value: Math.floor(diffMs / 60_000) },
-        { label: "Seconds", value: Math.floor(diffMs / 1000) },
-    ]);
+        { label: t("calendarCard.daysToGo"), value: calendar.untilNextBirthday.totals.days },
+    ];
+    if (calendar.isBirthday) {
+        rows.unshift({ label: t("calendarCard.today"), value: t("calendarCard.happyBirthday") });
+    }
 
-    // ── Until next birthday ──
-    const isBirthday =
-        now.getMonth() === birthDate.getMonth() &&
-        now.getDate() === birthDate.getDate();
+    calendarTitle.textContent = t("calendarCard.title", { name: t(`calendar.${calendar.id}`) });
+    calendarDetails.innerHTML = buildTotalsList(rows);
+}
 
-    if (!isBirthday) {
-        let nextBd = new Date(now.getFullYear(), birthDate.getMonth(), birthDate.getDate());
-        if (nextBd.getTime() <= now.getTime()) {
-            nextBd.setFullYear(nextBd.getFullYear() + 1);
-        }
-        const diffToNext = nextBd.getTime() - now.getTime();
-
-        // Components
-        let nMonths = nextBd.getMonth() - now.getMonth();
-        let nDays = nextBd.getDate() - now.getDate();
-        let nHours = -now.getHours();
-        let nMinutes = -now.getMinutes();
-        let nSeconds = -now.getSeconds();
-
-        if (nSeconds < 0) { nSeconds += 60; nMinutes--; }
-        if (nMinutes < 0) { nMinutes += 60; nHours--; }
-        if (nHours < 0) { nHours += 24; nDays--; }
-        if (nDays < 0) {
-            const daysInMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
-            nDays += daysInMonth;
-            nMonths--;
+// ---------------------------------------------------------------------------
+// Facts about the day of birth
+// ---------------------------------------------------------------------------
+
+function renderFacts(facts) {
+    factsCard.hidden = !facts;
+    if (!facts) return;
+
+    const isoWeek = `${facts.isoWeek.year}-W${String(facts.isoWeek.week).padStart(2, "0")}`;
+    const rows = [
+        { label: t("facts.weekday"), value: facts.weekday.name },
+        { label: t("facts.dayOfYear"), value: facts.dayOfYear },
+        { label: t("facts.isoWeek"), value: isoWeek },
+        { label: t("facts.westernZodiac"), value: `${facts.westernZodiac.symbol} ${facts.westernZodiac.name}` },
+        {
+            label: t("facts.chineseZodiac"),
+            value: t("facts.chineseZodiacValue", {
+                animal: facts.chineseZodiac.name, element: facts.chineseZodiac.element.name,
+            }),
+        },
+        { label: t("facts.birthstone"), value: facts.birthstone.name },
+        { label: t("facts.birthFlower"), value: facts.birthFlower.name },
+    ];
+    if (facts.generation) {
+        const g = facts.generation;
+        rows.push({
+            label: t("facts.generation"),
+            value: t("facts.generationValue", { name: g.name, from: String(g.from), to: String(g.to) }),
+        });
+    }
+    factsDetails.innerHTML = buildTotalsList(rows);
+}
+
+// ---------------------------------------------------------------------------
+// Life milestones
+// ---------------------------------------------------------------------------
+
+async function loadMilestones(params) {
+    try {
+        const query = new URLSearchParams(params);
+        query.set("lang", locale);
+        const resp = await fetch(`/api/milestones?${query}`);
+        const data = await resp.json();
+        if (!resp.ok) {
+            showError(problemMessage(data, "error.milestones"));
+            return;
         }
-        if (nMonths < 0) { nMonths += 12; }
-
-        nextComponents.innerHTML = buildComponentGrid([
-            { value: nMonths, label: "Months" },
-            { value: nDays, label: "Days" },
-            { value: nHours, label: "Hours" },
-            { value: nMinutes, label: "Minutes" },
-            { value: nSeconds, label: "Seconds" },
-        ]);
-
-        nextTotals.innerHTML = buildTotalsList([
-            { label: "Months", value: nMonths },
-            { label: "Days", value: Math.floor(diffToNext / 86_400_000) },
-            { label: "Hours", value: Math.floor(diffToNext / 3_600_000) },
-            { label: "Minutes", value: Math.floor(diffToNext / 60_000) },
-            { label: "Seconds", value: Math.floor(diffToNext / 1000) },
-        ]);
+
+        milestonesUpcoming.innerHTML = data.upcoming.length
+            ? buildTotalsList(data.upcoming.map((m) => ({
+                label: t("milestones.in", {
+                    label: m.label,
+                    time: countLabel("days", m.countdown.totals.days),
+                }),
+                value: fmtDay(m.date),
+            })))
+            : `<p>${t("milestones.noneLeft")}</p>`;
+
+        // Most recent first
+        milestonesPast.innerHTML = data.past.length
+            ? buildTotalsList(data.past.slice().reverse().map((m) => ({
+                label: m.label,
+                value: fmtDay(m.date),
+            })))
+            : `<p>${t("milestones.noneYet")}</p>`;
+    } catch {
+        showError(t("error.offline"));
     }
 }
 
 // ---------------------------------------------------------------------------
-// Age calculation helpers
+// Upcoming birthdays (stored people, live countdowns)
 // ---------------------------------------------------------------------------
 
-function calcSinceBirth(birthDate, now) {
-    let years = now.getFullYear() - birthDate.getFullYear();
-    let months = now.getMonth() - birthDate.getMonth();
-    let days = now.getDate() - birthDate.getDate();
-    let hours = now.getHours() - birthDate.getHours();
-    let minutes = now.getMinutes() - birthDate.getMinutes();
-    let seconds = now.getSeconds() - birthDate.getSeconds();
-
-    if (seconds < 0) { seconds += 60; minutes--; }
-    if (minutes < 0) { minutes += 60; hours--; }
-    if (hours < 0) { hours += 24; days--; }
-    if (days < 0) {
-        const daysInPrevMonth = new Date(now.getFullYear(), now.getMonth(), 0).getDate();
-        days += daysInPrevMonth;
-        months--;
+async function loadUpcoming() {
+    try {
+        const params = new URLSearchParams({ days: "30", tz: browserTimeZone() });
+        const resp = await fetch(`/api/upcoming?${params}`);
+        if (!resp.ok) return;
+        const data = await resp.json();
+
+        // Count down from the moment the response arrived
+        const loadedAt = Date.now();
+        upcoming = data.upcoming.map((p) => ({
+            ...p,
+            target: loadedAt + p.untilNextBirthday.totals.seconds * 1000,
+        }));
+        upcomingToday = data.today;
+        renderUpcoming();
+    } catch {
+        // The panel is optional; stay hidden when the list can't be loaded
     }
-    if (months < 0) { months += 12; years--; }
+}
+
+function renderUpcoming() {
+    if (upcomingInterval) clearInterval(upcomingInterval);
+    upcomingInterval = null;
+
+    upcomingSection.hidden = upcomingToday.length === 0 && upcoming.length === 0;
+    if (upcomingSection.hidden) return;
+
+    const todayHtml = upcomingToday
+        .map((p) => `<p class="upcoming-today">&#127881; ` +
+            `${t("upcoming.today", { name: escapeHtml(p.name), age: p.turningAge })}</p>`)
+        .join("");
+
+    upcomingList.innerHTML = todayHtml + (upcoming.length
+        ? buildTotalsList(upcoming.map((p, i) => ({
+            label: t("upcoming.on", {
+                name: escapeHtml(p.name),
+                age: p.turningAge,
+                date: fmtDay(p.nextBirthdayDate),
+            }),
+            value: `<span data-upcoming="${i}"></span>`,
+        })))
+        : "");
+
+    updateUpcomingCountdowns();
+    if (upcoming.length) upcomingInterval = setInterval(updateUpcomingCountdowns, 1000);
+}
+
+function updateUpcomingCountdowns() {
+    const now = Date.now();
 
-    return { years, months, days, hours, minutes, seconds };
+    // Someone's birthday has started – fetch the list again to regroup it
+    if (upcoming.some((p) => p.target <= now)) {
+        loadUpcoming();
+        return;
+    }
+
+    upcomingList.querySelectorAll("[data-upcoming]").forEach((el) => {
+        const secs = Math.floor((upcoming[el.dataset.upcoming].target - now) / 1000);
+        const hms = [Math.floor(secs / 3600) % 24, Math.floor(secs / 60) % 60, secs % 60]
+            .map((n) => String(n).padStart(2, "0"))
+            .join(":");
+        el.textContent = t("upcoming.countdown", { days: Math.floor(secs / 86_400), time: hms });
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Age comparison
+// ---------------------------------------------------------------------------
+
+function renderComparison(data) {
+    const them = escapeHtml(data.b.name);
+    const g = data.gap.components;
+
+    if (data.older === null) {
+        compareSummary.innerHTML = t("compare.sameAge", { name: them });
+    } else {
+        const gap = t("compare.gap", {
+            years: countLabel("years", g.years),
+            months: countLabel("months", g.months),
+            days: countLabel("days", g.days),
+        });
+        compareSummary.innerHTML = data.older === "a"
+            ? t("compare.youOlder", { gap })
+            : t("compare.theyOlder", { name: them, gap });
+    }
+
+    if (data.sharedBirthdayWindow) {
+        const w = data.sharedBirthdayWindow;
+        compareSummary.innerHTML += " " + (w.days === 0
+            ? t("compare.sharedBirthday", { date: fmtDay(w.from) })
+            : t("compare.window", { from: fmtDay(w.from), to: fmtDay(w.to) }));
+    }
+
+    compareGap.innerHTML = buildComponentGrid([
+        { value: g.years, unit: "years" },
+        { value: g.months, unit: "months" },
+        { value: g.days, unit: "days" },
+        { value: g.hours, unit: "hours" },
+        { value: g.minutes, unit: "minutes" },
+        { value: g.seconds, unit: "seconds" },
+    ]);
+
+    compareRatios.innerHTML = data.ratios.length
+        ? buildTotalsList(data.ratios.map((r) => ({
+            label: t(r.reached ? "compare.ratioWas" : "compare.ratioWillBe", {
+                label: r.label, older: r.ages.older, younger: r.ages.younger,
+            }),
+            value: fmtDay(r.date),
+        })))
+        : `<p>${t("compare.sameRatio")}</p>`;
+
+    compareResult.hidden = false;
 }
 
 // ---------------------------------------------------------------------------
 // DOM builders
 // ---------------------------------------------------------------------------
 
+/** Items carry either a `label` or a `unit`, named in the singular or plural to match the value. */
+function itemLabel(item) {
+    return item.label ?? t(`unit.${item.unit}`, { count: item.value });
+}
+
+function itemValue(item) {
+    return typeof item.value === "number" ? fmtNumber(item.value) : item.value;
+}
+
 function buildComponentGrid(items) {
     return `<div class="unit-grid">${items
         .map(
             (i) => `
         <div class="unit-box">
-            <span class="unit-box__value">${i.value.toLocaleString()}</span>
-            <span class="unit-box__label">${i.label}</span>
+            <span class="unit-box__value">${itemValue(i)}</span>
+            <span class="unit-box__label">${itemLabel(i)}</span>
         </div>`
         )
         .join("")}</div>`;
@@ -245,8 +584,8 @@ function buildTotalsList(items) {
         .map(
             (i) => `
         <div class="totals-row">
-            <span class="totals-row__label">${i.label}</span>
-            <span class="totals-row__value">${i.value.toLocaleString()}</span>
+            <span class="totals-row__label">${itemLabel(i)}</span>
+            <span class="totals-row__value">${itemValue(i)}</span>
         </div>`
         )
         .join("")}</div>`;
@@ -263,6 +602,26 @@ function fmtDate(d) {
     return `${y}-${m}-${day}`;
 }
 
+function browserTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Toast text for an API error (RFC 7807 problem): a translated message for
+ * the codes a visitor can act on, else the server's own message.
+ */
+function problemMessage(problem, fallbackKey = "error.generic") {
+    const key = `problem.${problem.code}`;
+    if (key in MESSAGES.en) return t(key);
+    return problem.detail || t(fallbackKey);
+}
+
 function showError(msg) {
     errorToast.textContent = msg;
     errorToast.hidden = false;
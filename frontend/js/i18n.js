@@ -0,0 +1,421 @@
+"use strict";
+
+// ---------------------------------------------------------------------------
+// Message catalogs (keep the languages in step with backend/locales/)
+// ---------------------------------------------------------------------------
+const MESSAGES = {
+    en: {
+        "page.title": "AgeDiff – Birthday Calculator",
+        "header.language": "Language",
+        "header.reset": "New Calculation",
+        "input.title": "How old are you, <em>really</em>?",
+        "input.subtitle": "Enter your birthday (and, if you know it, the time you were born) and see your age broken down to the second.",
+        "input.birthTime": "Time of birth (optional)",
+        "input.calendar": "Calendar",
+        "input.submit": "Calculate",
+        "calendar.gregory": "Gregorian",
+        "calendar.hebrew": "Hebrew",
+        "calendar.islamic": "Islamic (Hijri)",
+        "calendar.persian": "Persian",
+        "calendar.chinese": "Chinese lunar",
+
+        "upcoming.title": "Upcoming Birthdays",
+        "upcoming.today": "<strong>{name}</strong> turns {age} today!",
+        "upcoming.on": "{name} turns {age} on {date}",
+        "upcoming.countdown": "{days}d {time}",
+
+        "congrats.title": "Happy Birthday!",
+        "congrats.message": "Congratulations! You are turning {age} today!",
+
+        "results.addToCalendar": "Add to Calendar (.ics)",
+        "results.sinceBirth": "Time Since Birth",
+        "results.untilNextBirthday": "Until Next Birthday",
+        "results.components": "Components",
+        "results.totals": "Totals",
+        "results.otherUnits": "Other Units",
+        "results.otherBirthdays": "Other Birthdays",
+
+        "units.next": "{unit}: {count}",
+        "unitName.weeks": "Weeks",
+        "unitName.fortnights": "Fortnights",
+        "unitName.lunar-months": "Lunar months",
+        "unitName.decades": "Decades",
+        "unitName.mercury": "Mercury years",
+        "unitName.venus": "Venus years",
+        "unitName.mars": "Mars years",
+        "unitName.jupiter": "Jupiter years",
+        "unitName.saturn": "Saturn years",
+        "unitName.uranus": "Uranus years",
+        "unitName.neptune": "Neptune years",
+
+        "facts.title": "About Your Birthday",
+        "facts.weekday": "Born on a",
+        "facts.dayOfYear": "Day of the year",
+        "facts.isoWeek": "ISO week",
+        "facts.westernZodiac": "Zodiac sign",
+        "facts.chineseZodiac": "Chinese zodiac",
+        "facts.chineseZodiacValue": "{animal} ({element})",
+        "facts.birthstone": "Birthstone",
+        "facts.birthFlower": "Birth flower",
+        "facts.generation": "Generation",
+        "facts.generationValue": "{name} ({from}–{to})",
+
+        "calendarCard.title": "{name} Birthday",
+        "calendarCard.bornOn": "Born on",
+        "calendarCard.next": "Next birthday (turning {age})",
+        "calendarCard.daysToGo": "Days to go",
+        "calendarCard.today": "Today",
+        "calendarCard.happyBirthday": "Happy birthday!",
+
+        "milestones.title": "Milestones",
+        "milestones.comingUp": "Coming Up",
+        "milestones.reached": "Reached",
+        "milestones.in": "{label} – in {time}",
+        "milestones.noneLeft": "No more milestones on the list – impressive!",
+        "milestones.noneYet": "Your first milestone is still ahead.",
+
+        "compare.title": "Compare Ages",
+        "compare.name": "Their name (optional)",
+        "compare.birthday": "Their birthday",
+        "compare.submit": "Compare",
+        "compare.gapTab": "Age Gap",
+        "compare.ratiosTab": "Ratios",
+        "compare.you": "You",
+        "compare.them": "Them",
+        "compare.sameAge": "You and {name} are exactly the same age.",
+        "compare.youOlder": "You are older by <strong>{gap}</strong>.",
+        "compare.theyOlder": "{name} is older by <strong>{gap}</strong>.",
+        "compare.gap": "{years}, {months} and {days}",
+        "compare.sharedBirthday": "You share a birthday on {date}.",
+        "compare.window": "Next joint celebration window: {from} to {to}.",
+        "compare.ratioWas": "{label} ({older} & {younger}) was",
+        "compare.ratioWillBe": "{label} ({older} & {younger}) will be",
+        "compare.sameRatio": "Same age – the ratio is always 1:1.",
+
+        "error.generic": "Something went wrong.",
+        "error.offline": "Could not reach the server. Is the backend running?",
+        "error.milestones": "Could not load milestones.",
+        "problem.INVALID_FORMAT": "Please check the date and time you entered.",
+        "problem.IMPOSSIBLE_DATE": "That date doesn't exist on the calendar.",
+        "problem.FUTURE_DATE": "That date is in the future.",
+        "problem.RATE_LIMITED": "Too many requests – please wait a moment and try again.",
+        "problem.INTERNAL_ERROR": "Something went wrong on the server. Please try again.",
+
+        "unit.years": { one: "Year", other: "Years" },
+        "unit.months": { one: "Month", other: "Months" },
+        "unit.days": { one: "Day", other: "Days" },
+        "unit.hours": { one: "Hour", other: "Hours" },
+        "unit.minutes": { one: "Minute", other: "Minutes" },
+        "unit.seconds": { one: "Second", other: "Seconds" },
+        "count.years": { one: "{count} year", other: "{count} years" },
+        "count.months": { one: "{count} month", other: "{count} months" },
+        "count.days": { one: "{count} day", other: "{count} days" },
+    },
+
+    nl: {
+        "page.title": "AgeDiff – Verjaardagscalculator",
+        "header.language": "Taal",
+        "header.reset": "Nieuwe berekening",
+        "input.title": "Hoe oud ben je <em>echt</em>?",
+        "input.subtitle": "Vul je geboortedatum in (en, als je het weet, het uur van je geboorte) en zie je leeftijd tot op de seconde.",
+        "input.birthTime": "Geboorte-uur (optioneel)",
+        "input.calendar": "Kalender",
+        "input.submit": "Bereken",
+        "calendar.gregory": "Gregoriaans",
+        "calendar.hebrew": "Hebreeuws",
+        "calendar.islamic": "Islamitisch (Hijri)",
+        "calendar.persian": "Perzisch",
+        "calendar.chinese": "Chinese maankalender",
+
+        "upcoming.title": "Komende verjaardagen",
+        "upcoming.today": "<strong>{name}</strong> wordt vandaag {age}!",
+        "upcoming.on": "{name} wordt {age} op {date}",
+        "upcoming.countdown": "{days}d {time}",
+
+        "congrats.title": "Gelukkige verjaardag!",
+        "congrats.message": "Proficiat! Je wordt vandaag {age}!",
+
+        "results.addToCalendar": "Toevoegen aan agenda (.ics)",
+        "results.sinceBirth": "Tijd sinds je geboorte",
+        "results.untilNextBirthday": "Tot je volgende verjaardag",
+        "results.components": "Opgesplitst",
+        "results.totals": "Totalen",
+        "results.otherUnits": "Andere eenheden",
+        "results.otherBirthdays": "Andere verjaardagen",
+
+        "units.next": "{unit}: {count}",
+        "unitName.weeks": "Weken",
+        "unitName.fortnights": "Periodes van twee weken",
+        "unitName.lunar-months": "Maanmaanden",
+        "unitName.decades": "Decennia",
+        "unitName.mercury": "Mercuriusjaren",
+        "unitName.venus": "Venusjaren",
+        "unitName.mars": "Marsjaren",
+        "unitName.jupiter": "Jupiterjaren",
+        "unitName.saturn": "Saturnusjaren",
+        "unitName.uranus": "Uranusjaren",
+        "unitName.neptune": "Neptunusjaren",
+
+        "facts.title": "Over je geboortedag",
+        "facts.weekday": "Geboren op een",
+        "facts.dayOfYear": "Dag van het jaar",
+        "facts.isoWeek": "ISO-week",
+        "facts.westernZodiac": "Sterrenbeeld",
+        "facts.chineseZodiac": "Chinese dierenriem",
+        "facts.chineseZodiacValue": "{animal} ({element})",
+        "facts.birthstone": "Geboortesteen",
+        "facts.birthFlower": "Geboortebloem",
+        "facts.generation": "Generatie",
+        "facts.generationValue": "{name} ({from}–{to})",
+
+        "calendarCard.title": "Verjaardag – {name}",
+        "calendarCard.bornOn": "Geboren op",
+        "calendarCard.next": "Volgende verjaardag (je wordt {age})",
+        "calendarCard.daysToGo": "Nog te gaan (dagen)",
+        "calendarCard.today": "Vandaag",
+        "calendarCard.happyBirthday": "Gelukkige verjaardag!",
+
+        "milestones.title": "Mijlpalen",
+        "milestones.comingUp": "Binnenkort",
+        "milestones.reached": "Bereikt",
+        "milestones.in": "{label} – over {time}",
+        "milestones.noneLeft": "Geen mijlpalen meer op de lijst – indrukwekkend!",
+        "milestones.noneYet": "Je eerste mijlpaal moet nog komen.",
+
+        "compare.title": "Leeftijden vergelijken",
+        "compare.name": "Hun naam (optioneel)",
+        "compare.birthday": "Hun geboortedatum",
+        "compare.submit": "Vergelijk",
+        "compare.gapTab": "Leeftijdsverschil",
+        "compare.ratiosTab": "Verhoudingen",
+        "compare.you": "Jij",
+        "compare.them": "Zij",
+        "compare.sameAge": "Jij en {name} zijn precies even oud.",
+        "compare.youOlder": "Jij bent <strong>{gap}</strong> ouder.",
+        "compare.theyOlder": "{name} is <strong>{gap}</strong> ouder.",
+        "compare.gap": "{years}, {months} en {days}",
+        "compare.sharedBirthday": "Jullie verjaren allebei op {date}.",
+        "compare.window": "Volgende gezamenlijke feestperiode: {from} tot {to}.",
+        "compare.ratioWas": "{label} ({older} & {younger}) was op",
+        "compare.ratioWillBe": "{label} ({older} & {younger}) wordt op",
+        "compare.sameRatio": "Even oud – de verhouding is altijd 1:1.",
+
+        "error.generic": "Er ging iets mis.",
+        "error.offline": "De server is niet bereikbaar. Draait de backend?",
+        "error.milestones": "Mijlpalen konden niet geladen worden.",
+        "problem.INVALID_FORMAT": "Controleer de ingevulde datum en tijd.",
+        "problem.IMPOSSIBLE_DATE": "Die datum bestaat niet op de kalender.",
+        "problem.FUTURE_DATE": "Die datum ligt in de toekomst.",
+        "problem.RATE_LIMITED": "Te veel verzoeken – wacht even en probeer opnieuw.",
+        "problem.INTERNAL_ERROR": "Er ging iets mis op de server. Probeer het opnieuw.",
+
+        "unit.years": { one: "Jaar", other: "Jaren" },
+        "unit.months": { one: "Maand", other: "Maanden" },
+        "unit.days": { one: "Dag", other: "Dagen" },
+        "unit.hours": { one: "Uur", other: "Uren" },
+        "unit.minutes": { one: "Minuut", other: "Minuten" },
+        "unit.seconds": { one: "Seconde", other: "Seconden" },
+        "count.years": { one: "{count} jaar", other: "{count} jaar" },
+        "count.months": { one: "{count} maand", other: "{count} maanden" },
+        "count.days": { one: "{count} dag", other: "{count} dagen" },
+    },
+
+    fr: {
+        "page.title": "AgeDiff – Calculateur d'anniversaire",
+        "header.language": "Langue",
+        "header.reset": "Nouveau calcul",
+        "input.title": "Quel âge avez-vous, <em>vraiment</em> ?",
+        "input.subtitle": "Saisissez votre date de naissance (et, si vous la connaissez, l'heure de votre naissance) pour voir votre âge à la seconde près.",
+        "input.birthTime": "Heure de naissance (facultatif)",
+        "input.calendar": "Calendrier",
+        "input.submit": "Calculer",
+        "calendar.gregory": "Grégorien",
+        "calendar.hebrew": "Hébreu",
+        "calendar.islamic": "Musulman (hégirien)",
+        "calendar.persian": "Persan",
+        "calendar.chinese": "Chinois lunaire",
+
+        "upcoming.title": "Prochains anniversaires",
+        "upcoming.today": "<strong>{name}</strong> fête ses {age} ans aujourd'hui !",
+        "upcoming.on": "{name} aura {age} ans le {date}",
+        "upcoming.countdown": "{days} j {time}",
+
+        "congrats.title": "Joyeux anniversaire !",
+        "congrats.message": "Félicitations ! Vous avez {age} ans aujourd'hui !",
+
+        "results.addToCalendar": "Ajouter au calendrier (.ics)",
+        "results.sinceBirth": "Temps depuis la naissance",
+        "results.untilNextBirthday": "Avant le prochain anniversaire",
+        "results.components": "Décomposition",
+        "results.totals": "Totaux",
+        "results.otherUnits": "Autres unités",
+        "results.otherBirthdays": "Autres anniversaires",
+
+        "units.next": "{unit} : {count}",
+        "unitName.weeks": "Semaines",
+        "unitName.fortnights": "Quinzaines",
+        "unitName.lunar-months": "Mois lunaires",
+        "unitName.decades": "Décennies",
+        "unitName.mercury": "Années de Mercure",
+        "unitName.venus": "Années de Vénus",
+        "unitName.mars": "Années de Mars",
+        "unitName.jupiter": "Années de Jupiter",
+        "unitName.saturn": "Années de Saturne",
+        "unitName.uranus": "Années d'Uranus",
+        "unitName.neptune": "Années de Neptune",
+
+        "facts.title": "À propos de votre naissance",
+        "facts.weekday": "Né(e) un",
+        "facts.dayOfYear": "Jour de l'année",
+        "facts.isoWeek": "Semaine ISO",
+        "facts.westernZodiac": "Signe du zodiaque",
+        "facts.chineseZodiac": "Zodiaque chinois",
+        "facts.chineseZodiacValue": "{animal} ({element})",
+        "facts.birthstone": "Pierre de naissance",
+        "facts.birthFlower": "Fleur de naissance",
+        "facts.generation": "Génération",
+        "facts.generationValue": "{name} ({from}–{to})",
+
+        "calendarCard.title": "Anniversaire – {name}",
+        "calendarCard.bornOn": "Né(e) le",
+        "calendarCard.next": "Prochain anniversaire ({age} ans)",
+        "calendarCard.daysToGo": "Jours restants",
+        "calendarCard.today": "Aujourd'hui",
+        "calendarCard.happyBirthday": "Joyeux anniversaire !",
+
+        "milestones.title": "Étapes",
+        "milestones.comingUp": "À venir",
+        "milestones.reached": "Atteintes",
+        "milestones.in": "{label} – dans {time}",
+        "milestones.noneLeft": "Plus aucune étape sur la liste – impressionnant !",
+        "milestones.noneYet": "Votre première étape est encore à venir.",
+
+        "compare.title": "Comparer les âges",
+        "compare.name": "Son nom (facultatif)",
+        "compare.birthday": "Sa date de naissance",
+        "compare.submit": "Comparer",
+        "compare.gapTab": "Écart d'âge",
+        "compare.ratiosTab": "Rapports",
+        "compare.you": "Vous",
+        "compare.them": "L'autre",
+        "compare.sameAge": "Vous et {name} avez exactement le même âge.",
+        "compare.youOlder": "Vous êtes plus âgé(e) de <strong>{gap}</strong>.",
+        "compare.theyOlder": "{name} est plus âgé(e) de <strong>{gap}</strong>.",
+        "compare.gap": "{years}, {months} et {days}",
+        "compare.sharedBirthday": "Vous êtes nés le même jour : le {date}.",
+        "compare.window": "Prochaine période de fête commune : du {from} au {to}.",
+        "compare.ratioWas": "{label} ({older} et {younger}) : le",
+        "compare.ratioWillBe": "{label} ({older} et {younger}) : le",
+        "compare.sameRatio": "Même âge – le rapport est toujours de 1:1.",
+
+        "error.generic": "Une erreur s'est produite.",
+        "error.offline": "Impossible de joindre le serveur. Le backend est-il démarré ?",
+        "error.milestones": "Impossible de charger les étapes.",
+        "problem.INVALID_FORMAT": "Vérifiez la date et l'heure saisies.",
+        "problem.IMPOSSIBLE_DATE": "Cette date n'existe pas dans le calendrier.",
+        "problem.FUTURE_DATE": "Cette date est dans le futur.",
+        "problem.RATE_LIMITED": "Trop de requêtes – patientez un instant puis réessayez.",
+        "problem.INTERNAL_ERROR": "Une erreur s'est produite sur le serveur. Veuillez réessayer.",
+
+        "unit.years": { one: "Année", other: "Années" },
+        "unit.months": { one: "Mois", other: "Mois" },
+        "unit.days": { one: "Jour", other: "Jours" },
+        "unit.hours": { one: "Heure", other: "Heures" },
+        "unit.minutes": { one: "Minute", other: "Minutes" },
+        "unit.seconds": { one: "Seconde", other: "Secondes" },
+        "count.years": { one: "{count} an", other: "{count} ans" },
+        "count.months": { one: "{count} mois", other: "{count} mois" },
+        "count.days": { one: "{count} jour", other: "{count} jours" },
+    },
+};
+
+// ---------------------------------------------------------------------------
+// Locale selection and formatting
+// ---------------------------------------------------------------------------
+let locale = pickLocale();
+let formats = localeFormats(locale);
+
+/**
+ * ?lang= in the URL, else the last language chosen on this device, else the
+ * first supported browser language, else English.
+ */
+function pickLocale() {
+    const wanted = [
+        new URLSearchParams(location.search).get("lang"),
+        localStorage.getItem("agediff.lang"),
+        ...(navigator.languages || [navigator.language]),
+    ];
+    for (const tag of wanted) {
+        const lang = tag && tag.toLowerCase().split("-")[0];
+        if (Object.hasOwn(MESSAGES, lang)) return lang;
+    }
+    return "en";
+}
+
+function localeFormats(lang) {
+    return {
+        number: new Intl.NumberFormat(lang),
+        plural: new Intl.PluralRules(lang),
+        date: new Intl.DateTimeFormat(lang, { dateStyle: "long", timeZone: "UTC" }),
+    };
+}
+
+function setLocale(lang) {
+    locale = lang;
+    formats = localeFormats(lang);
+    localStorage.setItem("agediff.lang", lang);
+    applyTranslations();
+}
+
+/**
+ * Message `key` with {name} placeholders filled in. Plural messages are
+ * picked with Intl.PluralRules on `vars.count`; numbers are formatted.
+ */
+function t(key, vars = {}) {
+    let message = MESSAGES[locale][key] ?? MESSAGES.en[key] ?? key;
+    if (typeof message === "object") {
+        message = message[formats.plural.select(vars.count)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (_, name) =>
+        typeof vars[name] === "number" ? fmtNumber(vars[name]) : String(vars[name])
+    );
+}
+
+/** "3 days", "1 year" in the current language. */
+function countLabel(unit, count) {
+    return t(`count.${unit}`, { count });
+}
+
+function fmtNumber(n) {
+    return formats.number.format(n);
+}
+
+/** YYYY-MM-DD as a long date ("July 4, 1985", "4 juli 1985"). */
+function fmtDay(ymd) {
+    return formats.date.format(new Date(`${ymd}T00:00:00Z`));
+}
+
+/**
+ * Translate the static page: data-i18n sets the text, data-i18n-html the
+ * markup, and data-i18n-placeholder / data-i18n-title / data-i18n-aria
+ * the matching attributes.
+ */
+function applyTranslations() {
+    document.documentElement.lang = locale;
+    document.title = t("page.title");
+    document.querySelectorAll("[data-i18n]").forEach((el) => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    document.querySelectorAll("[data-i18n-html]").forEach((el) => {
+        el.innerHTML = t(el.dataset.i18nHtml);
+    });
+    document.querySelectorAll("[data-i18n-placeholder]").forEach((el) => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll("[data-i18n-title]").forEach((el) => {
+        el.title = t(el.dataset.i18nTitle);
+    });
+    document.querySelectorAll("[data-i18n-aria]").forEach((el) => {
+        el.setAttribute("aria-label", t(el.dataset.i18nAria));
+    });
+}
@@ -0,0 +1,465 @@
+"use strict";
+
+/**
+ * Age calculation shared by the backend and the browser, so the live display
+ * and the API can't drift apart. The backend require()s it; the frontend
+ * loads it as a plain script before app.js. Keep it free of dependencies and
+ * of Node- or DOM-only APIs.
+ *
+ * The golden vectors in backend/__tests__/fixtures/age-vectors.json pin its
+ * results; regenerate them only for an intended change in behaviour.
+ */
+
+// ---------------------------------------------------------------------------
+// Age calculation
+// ---------------------------------------------------------------------------
+
+/**
+ * Age breakdown and time-to-next-birthday, the part of a calculation shown
+ * both by the API and by the browser's live display.
+ *
+ * Calendar components (days, hours, birthdays, ...) are read as wall-clock
+ * time in `options.timeZone`; totals are based on the real elapsed time.
+ * @param {Date} birthDate
+ * @param {Date} now
+ * @param {object} [options]
+ * @param {string} [options.timeZone] IANA zone, defaults to the local zone
+ * @param {boolean} [options.hasBirthTime] report the time of birth as well
+ * @param {string} [options.leapPolicy] one of LEAP_POLICIES, defaults to mar1
+ * @returns {object}
+ */
+function calculateAge(birthDate, now, options = {}) {
+    const timeZone = options.timeZone || localTimeZone();
+    const leapPolicy = options.leapPolicy || "mar1";
+    const b = zonedParts(birthDate, timeZone);
+    const n = zonedParts(now, timeZone);
+
+    // ── Time since birth ───────────────────────────────────────────────
+    const sinceBirth = diffBreakdown(birthDate, now, timeZone, leapPolicy);
+
+    // ── Is today the birthday? ─────────────────────────────────────────
+    const thisYearsBd = birthdayInYear(b, n.year, leapPolicy);
+    const isBirthday =
+        thisYearsBd !== null &&
+        n.month === thisYearsBd.month &&
+        n.day === thisYearsBd.day;
+
+    // ── Time until next birthday ───────────────────────────────────────
+    let untilNextBirthday = null;
+    let nextBirthdayDate = null;
+
+    if (!isBirthday) {
+        // Walk forward to the first celebrated birthday after now (up to
+        // eight years ahead under leap-only, e.g. 1896 → 1904)
+        let nextBd = null;
+        for (let year = n.year; !nextBd || nextBd.getTime() <= now.getTime(); year++) {
+            const bd = birthdayInYear(b, year, leapPolicy);
+            nextBd = bd && zonedTime({ year, ...bd }, timeZone);
+        }
+        const nb = zonedParts(nextBd, timeZone);
+        nextBirthdayDate = fmtYmd(nb.year, nb.month, nb.day);
+
+        const diffToNext = nextBd.getTime() - now.getTime();
+
+        // Component breakdown: from now → midnight of next birthday
+        let nMonths = nb.month - n.month;
+        let nDays = nb.day - n.day;
+        let nHours = nb.hour - n.hour;
+        let nMinutes = nb.minute - n.minute;
+        let nSeconds = nb.second - n.second;
+
+        if (nSeconds < 0) { nSeconds += 60; nMinutes--; }
+        if (nMinutes < 0) { nMinutes += 60; nHours--; }
+        if (nHours < 0) { nHours += 24; nDays--; }
+        if (nDays < 0) {
+            nDays += daysInMonth(n.year, n.month);
+            nMonths--;
+        }
+        if (nMonths < 0) { nMonths += 12; }
+
+        // Totals
+        const totalSecsNext = Math.floor(diffToNext / 1000);
+        const totalMinsNext = Math.floor(diffToNext / (1000 * 60));
+        const totalHrsNext = Math.floor(diffToNext / (1000 * 60 * 60));
+        const totalDaysNext = Math.floor(diffToNext / (1000 * 60 * 60 * 24));
+
+        untilNextBirthday = {
+            components: {
+                months: nMonths, days: nDays, hours: nHours,
+                minutes: nMinutes, seconds: nSeconds,
+            },
+            totals: {
+                months: nMonths, days: totalDaysNext, hours: totalHrsNext,
+                minutes: totalMinsNext, seconds: totalSecsNext,
+            },
+        };
+    }
+
+    return {
+        birthday: fmtYmd(b.year, b.month, b.day),
+        birthTime: options.hasBirthTime ? fmtHms(b.hour, b.minute, b.second) : null,
+        calculatedAt: now.toISOString(),
+        timeZone,
+        sinceBirth,
+        untilNextBirthday,
+        nextBirthdayDate,
+        isBirthday,
+        leapPolicy,
+        // Counted by calendar year, so it holds before the hour of birth too
+        turningAge: isBirthday ? n.year - b.year : null,
+    };
+}
+
+/**
+ * Difference between two instants (`start` <= `end`): a component breakdown
+ * that borrows like a written subtraction, plus the total in each unit.
+ * Components are read as wall-clock time in `timeZone`.
+ *
+ * A 29 February start under the feb28 policy has its anniversaries on
+ * 28 February in common years, so the years (and February's month) roll
+ * over on the day calculateAge() reports as the birthday. Under mar1 and
+ * leap-only they already roll over on 1 March.
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string} timeZone
+ * @param {string} [leapPolicy] one of LEAP_POLICIES, for a 29 February start
+ * @returns {{components: object, totals: object}}
+ */
+function diffBreakdown(start, end, timeZone, leapPolicy) {
+    const a = zonedParts(start, timeZone);
+    const z = zonedParts(end, timeZone);
+
+    // Day of the month on which `start` has its monthly anniversary: its own
+    // day, or the last day of a shorter month (31 January → 29 February). A
+    // 29 February start under mar1 or leap-only instead overflows into
+    // 1 March in common years.
+    const overflow = a.month === 1 && a.day === 29 && leapPolicy !== "feb28";
+    const startDay = (year, month) => (overflow ? a.day : Math.min(a.day, daysInMonth(year, month)));
+
+    // ── Component breakdown ────────────────────────────────────────────
+    let years = z.year - a.year;
+    let months = z.month - a.month;
+    let days = z.day - startDay(z.year, z.month);
+    let hours = z.hour - a.hour;
+    let minutes = z.minute - a.minute;
+    let seconds = z.second - a.second;
+
+    // Borrow as needed so every component is non-negative
+    if (seconds < 0) { seconds += 60; minutes--; }
+    if (minutes < 0) { minutes += 60; hours--; }
+    if (hours < 0) { hours += 24; days--; }
+    if (days < 0) {
+        // Count from the previous month's anniversary instead
+        const daysInPrevMonth = daysInMonth(z.year, z.month - 1);
+        days += daysInPrevMonth - startDay(z.year, z.month - 1) + startDay(z.year, z.month);
+        months--;
+    }
+    if (days < 0) {
+        // Before the hour of an anniversary that overflowed into 1 March:
+        // the one before it, in January, is the last one passed
+        days += daysInMonth(z.year, z.month - 2);
+        months--;
+    }
+    if (months < 0) { months += 12; years--; }
+
+    // ── Totals (each unit independently) ───────────────────────────────
+    const diffMs = end.getTime() - start.getTime();
+    const totalSeconds = Math.floor(diffMs / 1000);
+    const totalMinutes = Math.floor(diffMs / (1000 * 60));
+    const totalHours = Math.floor(diffMs / (1000 * 60 * 60));
+    const totalDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+    const totalMonths = years * 12 + months;
+    const totalYears = years;
+
+    return {
+        components: { years, months, days, hours, minutes, seconds },
+        totals: {
+            years: totalYears, months: totalMonths, days: totalDays,
+            hours: totalHours, minutes: totalMinutes, seconds: totalSeconds,
+        },
+    };
+}
+
+/**
+ * Completed years on the calendar day of `on`, as diffBreakdown() counts
+ * them: a year is complete from the (observed) birthday on, whatever the
+ * hour of birth.
+ * @param {Date} birthDate
+ * @param {Date} on
+ * @param {string} timeZone
+ * @param {string} [leapPolicy] one of LEAP_POLICIES
+ * @returns {number}
+ */
+function completedYears(birthDate, on, timeZone, leapPolicy) {
+    // Noon on both days: the hour of birth and DST gaps don't come into it
+    const noon = (date) => {
+        const { year, month, day } = zonedParts(date, timeZone);
+        return zonedTime({ year, month, day, hour: 12 }, timeZone);
+    };
+    return diffBreakdown(noon(birthDate), noon(on), timeZone, leapPolicy).components.years;
+}
+
+// ---------------------------------------------------------------------------
+// Alternative units (weeks, lunar months, planetary years, ...)
+// ---------------------------------------------------------------------------
+
+// Sidereal orbital periods in Earth days. Earth itself is the years total.
+const PLANET_ORBITS = {
+    mercury: { name: "Mercury", days: 87.969 },
+    venus: { name: "Venus", days: 224.701 },
+    mars: { name: "Mars", days: 686.98 },
+    jupiter: { name: "Jupiter", days: 4332.59 },
+    saturn: { name: "Saturn", days: 10759.22 },
+    uranus: { name: "Uranus", days: 30688.5 },
+    neptune: { name: "Neptune", days: 60182 },
+};
+
+/**
+ * A unit of fixed length (`days` Earth days, fractional for orbits): the age
+ * is the elapsed time divided by it, the next "birthday" is the next whole
+ * multiple after birth.
+ */
+function fixedUnit(label, group, days) {
+    const ms = days * 86_400_000;
+    return {
+        label,
+        group,
+        measure(birthDate, now) {
+            const value = (now - birthDate) / ms;
+            const completed = Math.floor(value);
+            return { value, completed, nextAt: new Date(birthDate.getTime() + (completed + 1) * ms) };
+        },
+    };
+}
+
+/**
+ * Decades follow the calendar: a decade is complete on the 10th, 20th, ...
+ * birthday, and the fraction is how far the current decade has run.
+ */
+const decadeUnit = {
+    label: "Decades",
+    group: "time",
+    measure(birthDate, now, { timeZone, leapPolicy }) {
+        // A round birthday always takes place, so leap-only counts as mar1
+        const policy = leapPolicy === "feb28" ? "feb28" : "mar1";
+        const b = zonedParts(birthDate, timeZone);
+        const decadeAt = (k) => {
+            if (k === 0) return birthDate;
+            const year = b.year + 10 * k;
+            return zonedTime({ year, ...birthdayInYear(b, year, policy) }, timeZone);
+        };
+
+        const completed = Math.floor(completedYears(birthDate, now, timeZone, policy) / 10);
+        const [start, nextAt] = [decadeAt(completed), decadeAt(completed + 1)];
+        return { value: completed + (now - start) / (nextAt - start), completed, nextAt };
+    },
+};
+
+// Units offered by the API's ?units= and shown by the browser, in display
+// order. A provider has a label, a group ("time" or "planets") and
+// measure(birthDate, now, options) returning {value, completed, nextAt}; add
+// an entry here to offer a new unit.
+const UNIT_PROVIDERS = {
+    weeks: fixedUnit("Weeks", "time", 7),
+    fortnights: fixedUnit("Fortnights", "time", 14),
+    "lunar-months": fixedUnit("Lunar months", "time", 29.530589),
+    decades: decadeUnit,
+    ...Object.fromEntries(Object.entries(PLANET_ORBITS).map(([id, planet]) =>
+        [id, fixedUnit(`${planet.name} years`, "planets", planet.days)]
+    )),
+};
+
+/**
+ * Age in each of `options.units`, with the date it next ticks over (the next
+ * planetary birthday, the next whole week, ...).
+ * @param {Date} birthDate
+ * @param {Date} now
+ * @param {object} [options]
+ * @param {string[]} [options.units] keys of UNIT_PROVIDERS, defaults to all
+ * @param {string} [options.timeZone] IANA zone, defaults to the local zone
+ * @param {string} [options.leapPolicy] one of LEAP_POLICIES, defaults to mar1
+ * @returns {object[]}
+ */
+function calculateUnits(birthDate, now, options = {}) {
+    const timeZone = options.timeZone || localTimeZone();
+    const leapPolicy = options.leapPolicy || "mar1";
+    const units = options.units || Object.keys(UNIT_PROVIDERS);
+    return units.map((id) => {
+        const { label, group, measure } = UNIT_PROVIDERS[id];
+        const { value, completed, nextAt } = measure(birthDate, now, { timeZone, leapPolicy });
+        const next = zonedParts(nextAt, timeZone);
+        return {
+            id,
+            label,
+            group,
+            value: Math.floor(value * 100) / 100,
+            completed,
+            next: {
+                count: completed + 1,
+                at: nextAt.toISOString(),
+                date: fmtYmd(next.year, next.month, next.day),
+            },
+        };
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Date formatting
+// ---------------------------------------------------------------------------
+
+/** Format a year, zero-based month and day as YYYY-MM-DD. */
+function fmtYmd(year, month, day) {
+    const y = String(year).padStart(4, "0");
+    const m = String(month + 1).padStart(2, "0");
+    const d = String(day).padStart(2, "0");
+    return `${y}-${m}-${d}`;
+}
+
+/** Format hours, minutes and seconds as HH:MM:SS. */
+function fmtHms(hour, minute, second) {
+    return [hour, minute, second].map((v) => String(v).padStart(2, "0")).join(":");
+}
+
+/** Number of days in a (zero-based) month; out-of-range months roll over. */
+function daysInMonth(year, month) {
+    const d = new Date(0);
+    d.setUTCFullYear(year, month + 1, 0);
+    return d.getUTCDate();
+}
+
+// ---------------------------------------------------------------------------
+// Leap-day (29 February) birthdays
+// ---------------------------------------------------------------------------
+
+/**
+ * How a 29 February birthday is observed in common years:
+ *  – feb28:     on 28 February
+ *  – mar1:      on 1 March
+ *  – leap-only: not at all; only in leap years
+ */
+const LEAP_POLICIES = ["feb28", "mar1", "leap-only"];
+
+/** True when `year` has a 29 February. */
+function isLeapYear(year) {
+    return daysInMonth(year, 1) === 29;
+}
+
+/**
+ * Month (zero-based) and day on which a birthday falls in `year`, or null
+ * when it isn't celebrated that year (leap-only policy in a common year).
+ * @param {{month:number, day:number}} b  birth month and day
+ * @param {number} year
+ * @param {string} leapPolicy
+ * @returns {{month:number, day:number} | null}
+ */
+function birthdayInYear(b, year, leapPolicy) {
+    if (b.month !== 1 || b.day !== 29 || isLeapYear(year)) {
+        return { month: b.month, day: b.day };
+    }
+    if (leapPolicy === "feb28") return { month: 1, day: 28 };
+    if (leapPolicy === "mar1") return { month: 2, day: 1 };
+    return null;
+}
+
+// ---------------------------------------------------------------------------
+// Time-zone helpers
+// ---------------------------------------------------------------------------
+
+// Intl formatters are expensive to build, so keep one per zone
+const zoneFormatters = new Map();
+
+function zoneFormatter(timeZone) {
+    let f = zoneFormatters.get(timeZone);
+    if (!f) {
+        f = new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            era: "short",
+            year: "numeric", month: "numeric", day: "numeric",
+            hour: "numeric", minute: "numeric", second: "numeric",
+        });
+        zoneFormatters.set(timeZone, f);
+    }
+    return f;
+}
+
+/** The zone of the runtime clock (the container's TZ, or the browser's). */
+function localTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/** True when `timeZone` is an IANA zone name the runtime knows about. */
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== "string" || !timeZone) return false;
+    try {
+        zoneFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock fields of an instant as seen in `timeZone`.
+ * `month` is zero-based, like Date#getMonth().
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year:number, month:number, day:number, hour:number, minute:number, second:number}}
+ */
+function zonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of zoneFormatter(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+    const year = Number(parts.year);
+    return {
+        year: parts.era === "BC" ? 1 - year : year,
+        month: Number(parts.month) - 1,
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+    };
+}
+
+/** Milliseconds for wall-clock fields read as if they were UTC. */
+function wallClockMs(p) {
+    const d = new Date(0);
+    d.setUTCFullYear(p.year, p.month, p.day);
+    d.setUTCHours(p.hour || 0, p.minute || 0, p.second || 0, 0);
+    return d.getTime();
+}
+
+/** Offset of `timeZone` from UTC (ms) at the given instant. */
+function zoneOffset(ms, timeZone) {
+    const whole = Math.floor(ms / 1000) * 1000;
+    return wallClockMs(zonedParts(new Date(whole), timeZone)) - whole;
+}
+
+/**
+ * The instant at which the clock in `timeZone` shows the given wall-clock
+ * fields. Fields that don't exist (a DST gap) resolve to the later side of
+ * the gap.
+ * @param {{year:number, month:number, day:number, hour?:number, minute?:number, second?:number}} p
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTime(p, timeZone) {
+    const wall = wallClockMs(p);
+    // A second pass corrects guesses that landed across a DST transition
+    const offset = zoneOffset(wall - zoneOffset(wall, timeZone), timeZone);
+    const result = wall - offset;
+    const check = zoneOffset(result, timeZone);
+    if (check === offset) return new Date(result);
+    // Wall-clock time skipped by a DST jump: use the smaller offset
+    return new Date(wall - Math.min(offset, check));
+}
+
+// Browsers see the declarations above as globals; Node gets the exports
+if (typeof module === "object" && module.exports) {
+    module.exports = {
+        LEAP_POLICIES, UNIT_PROVIDERS, calculateAge, calculateUnits, diffBreakdown, completedYears,
+        birthdayInYear, isLeapYear, daysInMonth, fmtYmd, fmtHms, localTimeZone, isValidTimeZone,
+        zonedParts, zonedTime, wallClockMs,
+    };
+}